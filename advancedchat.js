@@ -1,10 +1,10 @@
 import readline from "readline";
-import { GoogleGenAI } from "@google/genai";
 import dotenv from "dotenv";
+import { createLLMProvider, generateReply } from "./lib/llm/index.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { TextToSpeechClient } from "@google-cloud/text-to-speech";
+import { createTTSProvider } from "./lib/tts/index.js";
 import sound from "sound-play";
 
 dotenv.config();
@@ -13,16 +13,12 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ----------------- Gemini Client -----------------
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  console.error("❌ Gemini API key missing.");
-  process.exit(1);
-}
-const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
+// ----------------- LLM Client -----------------
+// Chosen by LLM_PROVIDER (gemini | openai | stub), see lib/llm/index.js
+const llm = createLLMProvider();
 
-// ----------------- Google Cloud TTS Client -----------------
-const ttsClient = new TextToSpeechClient();
+// ----------------- TTS (engines tried in TTS_ENGINES order, see lib/tts/index.js) -----------------
+const tts = createTTSProvider();
 
 // ----------------- Readline setup -----------------
 const rl = readline.createInterface({
@@ -46,35 +42,25 @@ async function ask() {
     conversationHistory.push({ role: "user", content: userText });
 
     try {
-      const resp = await ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: conversationHistory.map(m => ({ text: m.content })),
-      });
-
-      if (!resp || !resp.text) throw new Error("No response from Gemini");
-
-      const geminiText = resp.text;
+      const geminiText = await generateReply(llm, { messages: conversationHistory });
+      if (!geminiText) throw new Error("No response from Gemini");
 
       conversationHistory.push({ role: "assistant", content: geminiText });
 
-      // ----------------- Google Cloud TTS Call with SSML -----------------
-      console.log("Generating audio with Google Cloud TTS...");
+      // ----------------- TTS Call -----------------
+      console.log(`Generating audio with ${tts.name}...`);
       
-      // Wrap the Gemini text in SSML to adjust the speaking rate for a more natural feel.
-      const ssmlText = `<speak><prosody rate="medium">${geminiText}</prosody></speak>`;
-
-      const [response] = await ttsClient.synthesizeSpeech({
-        input: { ssml: ssmlText },
+      const response = await tts.synthesize({
+        text: geminiText,
         voice: {
           languageCode: "en-US",
           name: "en-US-Neural2-A", // Using a professional, clear voice
           ssmlGender: "MALE"
-        },
-        audioConfig: { audioEncoding: "MP3" },
+        }
       });
       
       const timestamp = new Date().getTime();
-      const outputFilename = `gemini_response_${timestamp}.mp3`;
+      const outputFilename = `gemini_response_${timestamp}.${response.mimeType === "audio/wav" ? "wav" : "mp3"}`;
       const outputPath = path.join(__dirname, outputFilename);
 
       fs.writeFileSync(outputPath, response.audioContent);
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+// ---------------- API Key Registry ----------------
+// Keys live in a JSON file (API_KEYS_FILE, default data/api-keys.json):
+//     { "keys": [{ id, name, keyHash, prefix, createdAt, revokedAt, limits }] }
+// Only the SHA-256 of a key is stored; the key itself is shown once, when it
+// is issued with manageKeys.js. `limits` overrides the defaults per key:
+//     requestsPerMinute, requestsPerDay, audioSecondsPerDay, ttsCharactersPerDay
+// A limit of 0 means unlimited. The server re-reads the file when it changes,
+// so keys issued or revoked while it runs take effect within seconds.
+
+export const LIMIT_NAMES = ['requestsPerMinute', 'requestsPerDay', 'audioSecondsPerDay', 'ttsCharactersPerDay'];
+
+const KEY_PREFIX = 'ak_';
+const RELOAD_CHECK_MS = 2000;
+
+export const hashApiKey = (apiKey) => createHash('sha256').update(apiKey).digest('hex');
+
+export function createKeyRegistry({ file }) {
+    let keys = [];
+    let loadedMtimeMs = null;
+    let lastCheck = 0;
+
+    const read = () => {
+        try {
+            const { mtimeMs } = fs.statSync(file);
+            if (mtimeMs !== loadedMtimeMs) {
+                keys = JSON.parse(fs.readFileSync(file, 'utf8')).keys || [];
+                loadedMtimeMs = mtimeMs;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            keys = [];
+            loadedMtimeMs = null;
+        }
+    };
+
+    const reloadIfChanged = () => {
+        if (Date.now() - lastCheck < RELOAD_CHECK_MS) return;
+        lastCheck = Date.now();
+        try {
+            read();
+        } catch (error) {
+            // Keep serving the last good copy while the file is being edited
+            console.error(`❌ Could not read ${file}: ${error.message}`);
+        }
+    };
+
+    const write = () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tempFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ keys }, null, 2));
+        fs.renameSync(tempFile, file);
+        loadedMtimeMs = fs.statSync(file).mtimeMs;
+    };
+
+    const findById = (id) => {
+        read();
+        const key = keys.find(candidate => candidate.id === id);
+        if (!key) throw new Error(`No API key with id "${id}"`);
+        return key;
+    };
+
+    read();
+
+    return {
+        file,
+
+        // The active key record for a presented key, or null
+        lookup(apiKey) {
+            reloadIfChanged();
+            const presented = Buffer.from(hashApiKey(apiKey), 'hex');
+            const key = keys.find(candidate => timingSafeEqual(Buffer.from(candidate.keyHash, 'hex'), presented));
+            return key && !key.revokedAt ? key : null;
+        },
+
+        list() {
+            read();
+            return keys.map(({ keyHash, ...key }) => key);
+        },
+
+        // Creates a key and returns { apiKey, key }; apiKey is not stored anywhere
+        issue({ name, limits = {} }) {
+            read();
+            const apiKey = KEY_PREFIX + randomBytes(24).toString('base64url');
+            const key = {
+                id: `key_${randomBytes(4).toString('hex')}`,
+                name,
+                keyHash: hashApiKey(apiKey),
+                prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+                createdAt: new Date().toISOString(),
+                revokedAt: null,
+                limits,
+            };
+            keys.push(key);
+            write();
+            const { keyHash, ...publicKey } = key;
+            return { apiKey, key: publicKey };
+        },
+
+        revoke(id) {
+            const key = findById(id);
+            key.revokedAt ??= new Date().toISOString();
+            write();
+        },
+
+        setLimits(id, limits) {
+            const key = findById(id);
+            key.limits = { ...key.limits, ...limits };
+            write();
+        },
+    };
+}
@@ -0,0 +1,232 @@
+import { spawn } from 'child_process';
+
+// ---------------- Audio Helpers ----------------
+
+// Sample rates the server accepts from clients, for the audio it sends and receives
+export const MIN_SAMPLE_RATE = 8000;
+export const MAX_SAMPLE_RATE = 48000;
+
+export const isSupportedSampleRate = (sampleRate) => Number.isInteger(sampleRate) && sampleRate >= MIN_SAMPLE_RATE && sampleRate <= MAX_SAMPLE_RATE;
+
+// Wraps raw 16-bit little-endian PCM in a canonical 44-byte WAV header.
+export function pcmToWav(pcmBuffer, sampleRate, numChannels = 1) {
+    const header = Buffer.alloc(44);
+    const byteRate = sampleRate * numChannels * 2;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcmBuffer.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);               // fmt chunk length
+    header.writeUInt16LE(1, 20);                // PCM (uncompressed)
+    header.writeUInt16LE(numChannels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(numChannels * 2, 32);  // block-align
+    header.writeUInt16LE(16, 34);               // 16-bit
+    header.write('data', 36);
+    header.writeUInt32LE(pcmBuffer.length, 40);
+
+    return Buffer.concat([header, pcmBuffer]);
+}
+
+// Reads a 16-bit PCM WAV file. Engines that write WAV to stdout cannot seek
+// back to fill in the data size, so a missing or oversized size means "until
+// the end of the file".
+export function parseWav(wavBuffer) {
+    if (wavBuffer.length < 12 || wavBuffer.toString('latin1', 0, 4) !== 'RIFF' || wavBuffer.toString('latin1', 8, 12) !== 'WAVE') {
+        throw new Error("Not a WAV file");
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= wavBuffer.length) {
+        const chunkId = wavBuffer.toString('latin1', offset, offset + 4);
+        const chunkSize = wavBuffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: wavBuffer.readUInt16LE(body),
+                numChannels: wavBuffer.readUInt16LE(body + 2),
+                sampleRate: wavBuffer.readUInt32LE(body + 4),
+                bitsPerSample: wavBuffer.readUInt16LE(body + 14),
+            };
+        } else if (chunkId === 'data') {
+            if (!format) break;
+            if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+                throw new Error("Only 16-bit PCM WAV is supported");
+            }
+            if (format.numChannels === 0 || format.sampleRate === 0) {
+                throw new Error("WAV header has zero channels or a zero sample rate");
+            }
+            const end = chunkSize === 0 || body + chunkSize > wavBuffer.length ? wavBuffer.length : body + chunkSize;
+            return { sampleRate: format.sampleRate, numChannels: format.numChannels, pcm: wavBuffer.subarray(body, end) };
+        }
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+    throw new Error("WAV file has no fmt or data chunk");
+}
+
+// Mixes 16-bit PCM down to mono and resamples it with linear interpolation.
+// Good enough for speech; use ffmpeg for anything that needs a proper filter.
+export function resamplePcm(pcmBuffer, fromRate, toRate, numChannels = 1) {
+    const frameCount = Math.floor(pcmBuffer.length / (2 * numChannels));
+    const sampleAt = (frame) => {
+        let sum = 0;
+        for (let channel = 0; channel < numChannels; channel++) {
+            sum += pcmBuffer.readInt16LE((frame * numChannels + channel) * 2);
+        }
+        return sum / numChannels;
+    };
+
+    const outputCount = Math.floor(frameCount * toRate / fromRate);
+    const output = Buffer.alloc(outputCount * 2);
+    for (let index = 0; index < outputCount; index++) {
+        const position = index * fromRate / toRate;
+        const frame = Math.floor(position);
+        const next = Math.min(frame + 1, frameCount - 1);
+        const value = sampleAt(frame) + (sampleAt(next) - sampleAt(frame)) * (position - frame);
+        output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), index * 2);
+    }
+    return output;
+}
+
+// Runs ffmpeg (FFMPEG_CMD, default ffmpeg) with `args`, feeding `input` on
+// stdin, and resolves with stdout. A missing binary rejects with code ENOENT.
+export function runFfmpeg(args, input, { command = process.env.FFMPEG_CMD || 'ffmpeg', timeoutMs = 30000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, ['-hide_banner', '-loglevel', 'error', ...args], { timeout: timeoutMs });
+        const stdout = [];
+        const stderr = [];
+
+        child.stdout.on('data', (data) => stdout.push(data));
+        child.stderr.on('data', (data) => stderr.push(data));
+        child.stdin.on('error', () => {}); // ffmpeg may stop reading a bad input early
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code === 0) {
+                resolve(Buffer.concat(stdout));
+            } else {
+                reject(new Error(Buffer.concat(stderr).toString().trim() || `${command} exited with code ${code}`));
+            }
+        });
+
+        child.stdin.end(input);
+    });
+}
+
+// ---------------- Duration / Sample Rate ----------------
+// Read from the encoded bytes, so they are right whichever engine produced them.
+
+const MP3_BITRATES_KBPS = {
+    mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+// Walks the MPEG layer III frames; concatenated MP3 streams are walked as one.
+function describeMp3(buffer) {
+    let offset = 0;
+    let sampleRate = null;
+    let samples = 0;
+
+    while (offset + 4 <= buffer.length) {
+        // ID3v2 tag: 10-byte header with a syncsafe size
+        if (buffer.toString('latin1', offset, offset + 3) === 'ID3' && offset + 10 <= buffer.length) {
+            offset += 10 + ((buffer[offset + 6] << 21) | (buffer[offset + 7] << 14) | (buffer[offset + 8] << 7) | buffer[offset + 9]);
+            continue;
+        }
+        if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+            offset++;
+            continue;
+        }
+
+        const version = (buffer[offset + 1] >> 3) & 0x03;  // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+        const layer = (buffer[offset + 1] >> 1) & 0x03;    // 1 = layer III
+        const bitrateIndex = buffer[offset + 2] >> 4;
+        const rateIndex = (buffer[offset + 2] >> 2) & 0x03;
+        if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+            offset++;
+            continue;
+        }
+
+        const isMpeg1 = version === 3;
+        const frameRate = MP3_SAMPLE_RATES[rateIndex] / (isMpeg1 ? 1 : version === 2 ? 2 : 4);
+        const bitrate = MP3_BITRATES_KBPS[isMpeg1 ? 'mpeg1' : 'mpeg2'][bitrateIndex] * 1000;
+        const padding = (buffer[offset + 2] >> 1) & 0x01;
+
+        sampleRate = frameRate;
+        samples += isMpeg1 ? 1152 : 576;
+        offset += Math.floor((isMpeg1 ? 144 : 72) * bitrate / frameRate) + padding;
+    }
+
+    return sampleRate ? { sampleRate, durationMs: Math.round(samples * 1000 / sampleRate) } : null;
+}
+
+// Opus granule positions count 48 kHz samples regardless of the input rate.
+// Chained streams (one per synthesized chunk) add up.
+function describeOggOpus(buffer) {
+    const streams = new Map();
+    let sampleRate = null;
+    let offset = 0;
+
+    while (offset + 27 <= buffer.length && buffer.toString('latin1', offset, offset + 4) === 'OggS') {
+        const granule = Number(buffer.readBigInt64LE(offset + 6));
+        const serial = buffer.readUInt32LE(offset + 14);
+        const segmentCount = buffer[offset + 26];
+        let pageSize = 27 + segmentCount;
+        for (let segment = 0; segment < segmentCount; segment++) {
+            pageSize += buffer[offset + 27 + segment];
+        }
+
+        const payload = offset + 27 + segmentCount;
+        if (buffer.toString('latin1', payload, payload + 8) === 'OpusHead') {
+            streams.set(serial, { preSkip: buffer.readUInt16LE(payload + 10), granule: 0 });
+            sampleRate = sampleRate || buffer.readUInt32LE(payload + 12) || 48000;
+        } else if (streams.has(serial) && granule > 0) {
+            streams.get(serial).granule = granule;
+        }
+        offset += pageSize;
+    }
+
+    if (!streams.size) return null;
+    const samples = [...streams.values()].reduce((total, stream) => total + Math.max(0, stream.granule - stream.preSkip), 0);
+    return { sampleRate, durationMs: Math.round(samples / 48) };
+}
+
+const measureAudio = (audioContent, audioEncoding, pcmSampleRate) => {
+    switch (audioEncoding) {
+        case 'LINEAR16': {
+            const { sampleRate, numChannels, pcm } = parseWav(audioContent);
+            return { sampleRate, durationMs: Math.round(pcm.length / (2 * numChannels) * 1000 / sampleRate) };
+        }
+        case 'PCM':
+            return { sampleRate: pcmSampleRate, durationMs: pcmSampleRate ? Math.round(audioContent.length / 2 * 1000 / pcmSampleRate) : null };
+        case 'MP3':
+            return describeMp3(audioContent);
+        case 'OGG_OPUS':
+            return describeOggOpus(audioContent);
+    }
+    return null;
+};
+
+// { sampleRate, durationMs } of synthesized audio, or nulls if it cannot be read.
+// Raw PCM has no header, so its sample rate must be passed in. A header with
+// zero channels or a zero sample rate (crafted uploads) gives a null duration,
+// never NaN or Infinity, so usage metering can rely on it.
+export function describeAudio(audioContent, audioEncoding, pcmSampleRate = null) {
+    try {
+        const measured = measureAudio(audioContent, audioEncoding, pcmSampleRate);
+        if (measured) {
+            const { sampleRate, durationMs } = measured;
+            return {
+                sampleRate: Number.isFinite(sampleRate) && sampleRate > 0 ? sampleRate : null,
+                durationMs: Number.isFinite(durationMs) && durationMs >= 0 ? durationMs : null,
+            };
+        }
+    } catch (error) {
+        console.warn(`Could not read ${audioEncoding} audio: ${error.message}`);
+    }
+    return { sampleRate: null, durationMs: null };
+}
@@ -0,0 +1,173 @@
+import { runFfmpeg, describeAudio, isSupportedSampleRate, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE } from './audio.js';
+import { traceStage } from './trace.js';
+
+// ---------------- Uploaded Audio Handling ----------------
+// Uploads are identified by their magic bytes, never by the Content-Type or
+// file name the client sent. Formats the STT provider cannot take directly
+// (see `inputFormats` / `inputSampleRate` in lib/stt/index.js) are decoded
+// with ffmpeg (FFMPEG_CMD, default ffmpeg) to 16-bit mono WAV.
+export const SUPPORTED_AUDIO_FORMATS = ['wav', 'webm', 'ogg', 'mp3', 'flac', 'm4a'];
+
+const DEFAULT_SAMPLE_RATE = 16000;
+
+// Rejected uploads carry an HTTP status and a stable machine-readable code:
+//     EMPTY_AUDIO               400  no audio data in the request
+//     UNSUPPORTED_AUDIO_FORMAT  415  not one of SUPPORTED_AUDIO_FORMATS, or a WAV / FLAC
+//                                    header with a sample rate outside 8000-48000 Hz
+//                                    or more than two channels
+//     AUDIO_DECODE_FAILED       422  recognized format, but corrupt or truncated
+//     AUDIO_TOO_LARGE           413  over the route's upload limit
+//     AUDIO_DECODER_UNAVAILABLE 500  ffmpeg is not installed on the server
+export class AudioInputError extends Error {
+    constructor(message, code, status) {
+        super(message);
+        this.name = 'AudioInputError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const startsWith = (buffer, text, offset = 0) => buffer.subarray(offset, offset + text.length).toString('latin1') === text;
+
+export function sniffAudioFormat(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WAVE', 8)) return 'wav';
+    if (buffer[0] === 0x1A && buffer[1] === 0x45 && buffer[2] === 0xDF && buffer[3] === 0xA3) return 'webm'; // EBML (WebM / Matroska)
+    if (startsWith(buffer, 'OggS')) return 'ogg';
+    if (startsWith(buffer, 'fLaC')) return 'flac';
+    if (startsWith(buffer, 'ftyp', 4)) return 'm4a'; // MP4 container (m4a / AAC)
+    if (startsWith(buffer, 'ID3') || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'mp3'; // ID3 tag or MPEG frame sync
+    return null;
+}
+
+// { channels, sampleRate } from a WAV "fmt " chunk, or null if it cannot be read
+const wavFormat = (buffer) => {
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        if (startsWith(buffer, 'fmt ', offset) && offset + 16 <= buffer.length) {
+            return { channels: buffer.readUInt16LE(offset + 10), sampleRate: buffer.readUInt32LE(offset + 12) };
+        }
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+    return null;
+};
+
+// FLAC STREAMINFO: 20-bit sample rate and 3-bit channel count minus one
+const flacFormat = (buffer) => buffer.length < 26 ? null : {
+    channels: ((buffer[20] >> 1) & 0x07) + 1,
+    sampleRate: (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4),
+};
+
+// The duration of WAV and FLAC comes from what the header claims, and the
+// audio may reach the STT provider unchanged: a claimed rate far above the
+// real one would meter almost nothing, so such headers are refused
+const checkHeader = (buffer, format) => {
+    const header = format === 'wav' ? wavFormat(buffer) : format === 'flac' ? flacFormat(buffer) : null;
+    if (header && (!isSupportedSampleRate(header.sampleRate) || header.channels < 1 || header.channels > 2)) {
+        throw new AudioInputError(
+            `Unsupported ${format.toUpperCase()} audio: ${header.sampleRate} Hz, ${header.channels} channel(s). Use ${MIN_SAMPLE_RATE}-${MAX_SAMPLE_RATE} Hz, mono or stereo.`,
+            'UNSUPPORTED_AUDIO_FORMAT',
+            415
+        );
+    }
+};
+
+// Decodes any ffmpeg-readable audio to 16-bit mono WAV at `sampleRate`.
+export async function decodeToWav(buffer, { sampleRate = DEFAULT_SAMPLE_RATE } = {}) {
+    let wav;
+    try {
+        wav = await traceStage('decode', async (details) => {
+            Object.assign(details, { bytesIn: buffer.length, sampleRate });
+            const decoded = await runFfmpeg(['-i', 'pipe:0', '-ac', '1', '-ar', String(sampleRate), '-acodec', 'pcm_s16le', '-f', 'wav', 'pipe:1'], buffer);
+            details.bytesOut = decoded.length;
+            return decoded;
+        });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new AudioInputError("Audio decoder (ffmpeg) is not installed on the server.", 'AUDIO_DECODER_UNAVAILABLE', 500);
+        }
+        throw new AudioInputError(`Audio could not be decoded: ${error.message}`, 'AUDIO_DECODE_FAILED', 422);
+    }
+
+    // A header-only WAV (44 bytes) means nothing could be decoded
+    if (wav.length <= 44) {
+        throw new AudioInputError("Audio could not be decoded: no audio samples found.", 'AUDIO_DECODE_FAILED', 422);
+    }
+    return wav;
+}
+
+// FLAC STREAMINFO: the 36-bit sample count follows the rate, see flacFormat()
+const flacDurationMs = (buffer) => {
+    if (buffer.length < 26) return null;
+    const { sampleRate } = flacFormat(buffer);
+    const totalSamples = (buffer[21] & 0x0F) * 2 ** 32 + buffer.readUInt32BE(22);
+    return sampleRate && totalSamples ? Math.round(totalSamples * 1000 / sampleRate) : null;
+};
+
+// Duration of an upload, or null for containers we do not parse (WebM, M4A, Ogg Vorbis)
+const audioDurationMs = (buffer, format) => {
+    switch (format) {
+        case 'wav': return describeAudio(buffer, 'LINEAR16').durationMs;
+        case 'mp3': return describeAudio(buffer, 'MP3').durationMs;
+        case 'ogg': return describeAudio(buffer, 'OGG_OPUS').durationMs;
+        case 'flac': return flacDurationMs(buffer);
+    }
+    return null;
+};
+
+const isSeconds = (value) => Number.isFinite(value) && value >= 0;
+
+// Seconds of audio in an upload, for usage metering: the measured duration
+// or the end of the last transcribed word, whichever is later, since a
+// container header (an Ogg granule position, say) can claim less than the
+// provider transcribed. Always a finite number >= 0.
+export function uploadedAudioSeconds({ durationMs }, transcription) {
+    const measured = isSeconds(durationMs) ? durationMs / 1000 : 0;
+    const lastWord = transcription?.words?.at(-1);
+    const transcribed = lastWord?.startMs != null ? (lastWord.startMs + (lastWord.durationMs || 0)) / 1000 : 0;
+    return Math.max(measured, isSeconds(transcribed) ? transcribed : 0);
+}
+
+// Checks an upload and converts it to something `stt` can transcribe.
+// Resolves with { audio, format, extension, durationMs } where audio is a
+// Buffer and durationMs may be null.
+export async function prepareAudioForSTT(buffer, stt) {
+    if (!buffer || buffer.length === 0) {
+        throw new AudioInputError("No audio data received.", 'EMPTY_AUDIO', 400);
+    }
+
+    const format = sniffAudioFormat(buffer);
+    if (!format) {
+        throw new AudioInputError(
+            `Unsupported or unrecognized audio format. Send one of: ${SUPPORTED_AUDIO_FORMATS.join(', ')}.`,
+            'UNSUPPORTED_AUDIO_FORMAT',
+            415
+        );
+    }
+
+    checkHeader(buffer, format);
+
+    const inputFormats = stt.inputFormats || ['wav'];
+    const sampleRateOk = !stt.inputSampleRate || (format === 'wav' && wavFormat(buffer)?.sampleRate === stt.inputSampleRate);
+    if (inputFormats.includes(format) && sampleRateOk) {
+        return { audio: buffer, format, extension: format, durationMs: audioDurationMs(buffer, format) };
+    }
+
+    const audio = await decodeToWav(buffer, { sampleRate: stt.inputSampleRate || DEFAULT_SAMPLE_RATE });
+    return { audio, format, extension: 'wav', durationMs: audioDurationMs(audio, 'wav') };
+}
+
+// Answers a rejected upload (including body-parser / multer size limits)
+// with its status and code. Returns false for any other error.
+export function sendAudioInputError(res, error) {
+    if (error instanceof AudioInputError) {
+        res.status(error.status).json({ error: error.message, code: error.code });
+        return true;
+    }
+    if (error?.type === 'entity.too.large' || error?.code === 'LIMIT_FILE_SIZE') {
+        res.status(413).json({ error: "Audio upload is too large.", code: 'AUDIO_TOO_LARGE' });
+        return true;
+    }
+    return false;
+}
@@ -0,0 +1,221 @@
+import { pcmToWav, parseWav, resamplePcm, runFfmpeg, describeAudio, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE, isSupportedSampleRate } from './audio.js';
+
+// ---------------- Synthesized Audio Output Formats ----------------
+// Clients pick the encoding of the reply audio with an `audioEncoding` field
+// (JSON body, form field or query string) and optionally `sampleRateHertz`:
+//     MP3       audio/mpeg
+//     OGG_OPUS  audio/ogg (sample rate 8000, 12000, 16000, 24000 or 48000)
+//     LINEAR16  audio/wav, 16-bit mono with a complete WAV header
+//     PCM       audio/L16, the same samples without any header
+// Without the field, the first audio type in the Accept header is used
+// (audio/mpeg, audio/ogg, audio/wav, audio/L16;rate=16000). Without either,
+// each engine answers in its native encoding (MP3 for google, WAV locally).
+// Engines that cannot produce the format are converted here; anything but
+// WAV -> WAV/PCM needs ffmpeg (FFMPEG_CMD).
+export const AUDIO_OUTPUT_ENCODINGS = ['MP3', 'OGG_OPUS', 'LINEAR16', 'PCM'];
+
+const ENCODING_ALIASES = { WAV: 'LINEAR16', OGG: 'OGG_OPUS', OPUS: 'OGG_OPUS', L16: 'PCM' };
+
+const ACCEPT_TYPES = {
+    'audio/mpeg': 'MP3',
+    'audio/mp3': 'MP3',
+    'audio/ogg': 'OGG_OPUS',
+    'audio/opus': 'OGG_OPUS',
+    'audio/wav': 'LINEAR16',
+    'audio/wave': 'LINEAR16',
+    'audio/x-wav': 'LINEAR16',
+    'audio/l16': 'PCM',
+    'audio/pcm': 'PCM',
+};
+
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+const FFMPEG_ENCODERS = {
+    MP3: ['-c:a', 'libmp3lame', '-f', 'mp3'],
+    OGG_OPUS: ['-c:a', 'libopus', '-f', 'ogg'],
+};
+
+export class AudioOutputError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AudioOutputError';
+        this.code = code;
+        this.status = 400;
+    }
+}
+
+export function mimeTypeFor(audioEncoding, sampleRate) {
+    switch (audioEncoding) {
+        case 'MP3': return 'audio/mpeg';
+        case 'OGG_OPUS': return 'audio/ogg';
+        case 'LINEAR16': return 'audio/wav';
+        case 'PCM': return `audio/L16;rate=${sampleRate};channels=1`;
+    }
+    return 'application/octet-stream';
+}
+
+const parseAccept = (accept) => {
+    for (const part of (accept || '').split(',')) {
+        const [type, ...params] = part.split(';').map(value => value.trim().toLowerCase());
+        const encoding = ACCEPT_TYPES[type];
+        if (!encoding) continue;
+        const rate = params.find(param => param.startsWith('rate='));
+        return { encoding, sampleRateHertz: rate ? rate.slice('rate='.length) : undefined };
+    }
+    return null;
+};
+
+// Turns the client's choice into { encoding, sampleRate } (either may be null,
+// meaning "the engine's own"), or null when the client expressed none.
+// Throws AudioOutputError for values we cannot produce.
+export function resolveAudioFormat({ audioEncoding, sampleRateHertz, accept } = {}) {
+    const fromAccept = audioEncoding ? null : parseAccept(accept);
+    const requestedEncoding = audioEncoding || fromAccept?.encoding;
+    const requestedRate = sampleRateHertz ?? fromAccept?.sampleRateHertz;
+
+    if (!requestedEncoding && (requestedRate === undefined || requestedRate === '')) return null;
+
+    let encoding = null;
+    if (requestedEncoding) {
+        const name = String(requestedEncoding).trim().toUpperCase();
+        encoding = ENCODING_ALIASES[name] || name;
+        if (!AUDIO_OUTPUT_ENCODINGS.includes(encoding)) {
+            throw new AudioOutputError(
+                `Unsupported audioEncoding "${requestedEncoding}". Use one of: ${AUDIO_OUTPUT_ENCODINGS.join(', ')}.`,
+                'UNSUPPORTED_AUDIO_ENCODING'
+            );
+        }
+    }
+
+    let sampleRate = null;
+    if (requestedRate !== undefined && requestedRate !== '') {
+        sampleRate = Number(requestedRate);
+        if (!isSupportedSampleRate(sampleRate)) {
+            throw new AudioOutputError(
+                `Unsupported sampleRateHertz "${requestedRate}". Use a whole number from ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE}.`,
+                'UNSUPPORTED_SAMPLE_RATE'
+            );
+        }
+        if (encoding === 'OGG_OPUS' && !OPUS_SAMPLE_RATES.includes(sampleRate)) {
+            throw new AudioOutputError(
+                `OGG_OPUS supports sampleRateHertz ${OPUS_SAMPLE_RATES.join(', ')} only.`,
+                'UNSUPPORTED_SAMPLE_RATE'
+            );
+        }
+    }
+
+    return { encoding, sampleRate };
+}
+
+// The format asked for by an HTTP request: fields from the query string and
+// (JSON or form) body, else the Accept header.
+export function requestedAudioFormat(req) {
+    const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+    const fields = { ...req.query, ...body };
+    return resolveAudioFormat({
+        audioEncoding: fields.audioEncoding,
+        sampleRateHertz: fields.sampleRateHertz,
+        accept: req.get('Accept'),
+    });
+}
+
+// Route middleware: stores the requested format in res.locals.audioFormat,
+// or answers 400 with the error code.
+export function negotiateAudioFormat(req, res, next) {
+    try {
+        res.locals.audioFormat = requestedAudioFormat(req);
+    } catch (error) {
+        return sendAudioOutputError(res, error) || next(error);
+    }
+    next();
+}
+
+export function sendAudioOutputError(res, error) {
+    if (!(error instanceof AudioOutputError)) return false;
+    res.status(error.status).json({ error: error.message, code: error.code });
+    return true;
+}
+
+// Mono 16-bit PCM at `sampleRate` (or the source rate) from any engine output.
+const toPcm = async ({ audioContent, audioEncoding }, sampleRate) => {
+    if (audioEncoding === 'LINEAR16') {
+        const wav = parseWav(audioContent);
+        const targetRate = sampleRate || wav.sampleRate;
+        const pcm = wav.sampleRate === targetRate && wav.numChannels === 1
+            ? wav.pcm
+            : resamplePcm(wav.pcm, wav.sampleRate, targetRate, wav.numChannels);
+        return { pcm, sampleRate: targetRate };
+    }
+
+    const targetRate = sampleRate || describeAudio(audioContent, audioEncoding).sampleRate;
+    if (!targetRate) throw new Error(`Cannot read the sample rate of ${audioEncoding} audio`);
+    const pcm = await runFfmpeg(['-i', 'pipe:0', '-ac', '1', '-ar', String(targetRate), '-f', 's16le', 'pipe:1'], audioContent);
+    return { pcm, sampleRate: targetRate };
+};
+
+const convertSpeech = async (speech, { encoding, sampleRate }) => {
+    if (encoding === 'LINEAR16' || encoding === 'PCM') {
+        const { pcm, sampleRate: pcmRate } = await toPcm(speech, sampleRate);
+        return {
+            audioContent: encoding === 'LINEAR16' ? pcmToWav(pcm, pcmRate) : pcm,
+            audioEncoding: encoding,
+            pcmSampleRate: pcmRate,
+        };
+    }
+
+    const rateArgs = sampleRate ? ['-ar', String(sampleRate)] : [];
+    const audioContent = await runFfmpeg(['-i', 'pipe:0', '-ac', '1', ...rateArgs, ...FFMPEG_ENCODERS[encoding], 'pipe:1'], speech.audioContent);
+    return { audioContent, audioEncoding: encoding };
+};
+
+// Converts engine output to the requested format (when it is not already in
+// it) and adds sampleRateHertz and durationMs.
+export async function encodeSpeech(speech, format) {
+    let result = { ...speech, pcmSampleRate: speech.pcmSampleRate ?? null };
+
+    if (format) {
+        const encoding = format.encoding || speech.audioEncoding;
+        const current = describeAudio(speech.audioContent, speech.audioEncoding, speech.pcmSampleRate);
+        const needsConversion = encoding !== speech.audioEncoding || (format.sampleRate && format.sampleRate !== current.sampleRate);
+
+        if (needsConversion) {
+            try {
+                result = { ...speech, ...await convertSpeech(speech, { encoding, sampleRate: format.sampleRate }) };
+            } catch (error) {
+                const reason = error.code === 'ENOENT' ? "ffmpeg is not installed" : error.message;
+                throw new Error(`Could not convert ${speech.audioEncoding} to ${encoding}: ${reason}`);
+            }
+        }
+    }
+
+    const { sampleRate, durationMs } = describeAudio(result.audioContent, result.audioEncoding, result.pcmSampleRate);
+    const { pcmSampleRate, ...encoded } = result;
+    return {
+        ...encoded,
+        mimeType: mimeTypeFor(result.audioEncoding, sampleRate),
+        sampleRateHertz: sampleRate,
+        durationMs,
+    };
+}
+
+// The audio fields of a JSON reply
+export function speechFields(speech) {
+    return {
+        audioBase64: speech.audioContent.toString('base64'),
+        audioMimeType: speech.mimeType,
+        audioEncoding: speech.audioEncoding,
+        audioSampleRateHertz: speech.sampleRateHertz,
+        audioDurationMs: speech.durationMs,
+    };
+}
+
+// Sends the speech as the raw response body, with its format in headers
+export function sendSpeech(res, speech) {
+    res.set({
+        'Content-Type': speech.mimeType,
+        'X-Audio-Encoding': speech.audioEncoding,
+        ...(speech.sampleRateHertz ? { 'X-Audio-Sample-Rate': String(speech.sampleRateHertz) } : {}),
+        ...(speech.durationMs !== null ? { 'X-Audio-Duration-Ms': String(speech.durationMs) } : {}),
+    });
+    res.send(speech.audioContent);
+}
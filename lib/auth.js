@@ -0,0 +1,225 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createKeyRegistry, LIMIT_NAMES } from './apiKeys.js';
+import { runWithMeter } from './usage.js';
+
+// ---------------- API Key Authentication and Rate Limiting ----------------
+// With API_AUTH=on every API route needs a key from the registry (see
+// lib/apiKeys.js, issue keys with manageKeys.js), sent as
+//     X-API-Key: <key>    or    Authorization: Bearer <key>
+// WebSocket clients that cannot set headers may use ?apiKey=<key> instead.
+// GET /voices and the web UI files stay public. The bundled pages do not
+// send keys, so use them with API_AUTH=off (the default).
+//
+// Each key has a per-minute request limit and daily (UTC) quotas on requests,
+// uploaded audio seconds and TTS characters; defaults come from
+//     API_DEFAULT_REQUESTS_PER_MINUTE (30), API_DEFAULT_REQUESTS_PER_DAY (1000),
+//     API_DEFAULT_AUDIO_SECONDS_PER_DAY (3600), API_DEFAULT_TTS_CHARACTERS_PER_DAY (100000)
+// Audio seconds and TTS characters are metered while a request runs (see
+// lib/usage.js), so the request that crosses a quota completes and the next
+// one is refused. Daily usage survives restarts in API_USAGE_FILE.
+//
+// Refusals:
+//     401 API_KEY_MISSING / API_KEY_INVALID
+//     429 RATE_LIMITED / DAILY_QUOTA_EXCEEDED, with Retry-After in seconds
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_KEYS_FILE = path.resolve(__dirname, '..', 'data', 'api-keys.json');
+const DEFAULT_USAGE_FILE = path.resolve(__dirname, '..', 'data', 'api-usage.json');
+const PUBLIC_PATHS = ['/voices'];
+const MINUTE_MS = 60 * 1000;
+const USAGE_FLUSH_MS = 10 * 1000;
+
+const DEFAULT_LIMITS = {
+    requestsPerMinute: 30,
+    requestsPerDay: 1000,
+    audioSecondsPerDay: 3600,
+    ttsCharactersPerDay: 100000,
+};
+
+// Daily quota name -> usage counter it limits
+const DAILY_QUOTAS = {
+    requestsPerDay: 'requests',
+    audioSecondsPerDay: 'audioSeconds',
+    ttsCharactersPerDay: 'ttsCharacters',
+};
+
+const utcDay = (now = new Date()) => now.toISOString().slice(0, 10);
+
+const secondsUntilUtcMidnight = (now = new Date()) => {
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+const envNumber = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+const refusal = (status, code, error, extra = {}) => ({ ok: false, status, body: { error, code, ...extra } });
+
+export function createAuth(env = process.env) {
+    const enabled = (env.API_AUTH || 'off').toLowerCase() === 'on';
+    const defaultLimits = {
+        requestsPerMinute: envNumber(env.API_DEFAULT_REQUESTS_PER_MINUTE, DEFAULT_LIMITS.requestsPerMinute),
+        requestsPerDay: envNumber(env.API_DEFAULT_REQUESTS_PER_DAY, DEFAULT_LIMITS.requestsPerDay),
+        audioSecondsPerDay: envNumber(env.API_DEFAULT_AUDIO_SECONDS_PER_DAY, DEFAULT_LIMITS.audioSecondsPerDay),
+        ttsCharactersPerDay: envNumber(env.API_DEFAULT_TTS_CHARACTERS_PER_DAY, DEFAULT_LIMITS.ttsCharactersPerDay),
+    };
+
+    if (!enabled) {
+        return {
+            enabled,
+            middleware: (req, res, next) => next(),
+            verifyUpgrade: () => ({ ok: true, key: null }),
+            admit: () => ({ ok: true, headers: {} }),
+            meter: (key, fn) => fn(),
+        };
+    }
+
+    const registry = createKeyRegistry({ file: env.API_KEYS_FILE || DEFAULT_KEYS_FILE });
+    const usageFile = env.API_USAGE_FILE || DEFAULT_USAGE_FILE;
+
+    // ---- Usage counters ----
+    // keyId -> { day, requests, audioSeconds, ttsCharacters }, persisted
+    let daily = {};
+    try {
+        daily = JSON.parse(fs.readFileSync(usageFile, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`❌ Could not read ${usageFile}: ${error.message}`);
+    }
+    // keyId -> { windowStart, count }, in memory only
+    const minuteWindows = new Map();
+    let dirty = false;
+
+    const flushUsage = () => {
+        if (!dirty) return;
+        dirty = false;
+        try {
+            fs.mkdirSync(path.dirname(usageFile), { recursive: true });
+            fs.writeFileSync(usageFile, JSON.stringify(daily));
+        } catch (error) {
+            console.error(`❌ Could not write ${usageFile}: ${error.message}`);
+        }
+    };
+    setInterval(flushUsage, USAGE_FLUSH_MS).unref();
+    // 'exit' alone misses deploys (SIGTERM) and Ctrl+C (SIGINT): flush, then exit as the signal would have
+    process.on('exit', flushUsage);
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.once(signal, () => {
+            flushUsage();
+            process.kill(process.pid, signal);
+        });
+    }
+
+    const dailyUsage = (keyId) => {
+        const today = utcDay();
+        if (daily[keyId]?.day !== today) {
+            daily[keyId] = { day: today, requests: 0, audioSeconds: 0, ttsCharacters: 0 };
+        }
+        return daily[keyId];
+    };
+
+    const record = (keyId, { audioSeconds = 0, ttsCharacters = 0 }) => {
+        // One bad measurement must not poison the day's total (NaN never passes a limit check)
+        if (!Number.isFinite(audioSeconds) || audioSeconds < 0) audioSeconds = 0;
+        if (!Number.isFinite(ttsCharacters) || ttsCharacters < 0) ttsCharacters = 0;
+        const usage = dailyUsage(keyId);
+        usage.audioSeconds = Number((usage.audioSeconds + audioSeconds).toFixed(3));
+        usage.ttsCharacters += ttsCharacters;
+        dirty = true;
+    };
+
+    const limitsFor = (key) => ({ ...defaultLimits, ...Object.fromEntries(
+        Object.entries(key.limits || {}).filter(([name, value]) => LIMIT_NAMES.includes(name) && value !== null && value !== undefined)
+    ) });
+
+    // ---- Checks ----
+    const identify = (req, { allowQuery = false } = {}) => {
+        const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+        const queryKey = allowQuery ? new URL(req.url, 'http://localhost').searchParams.get('apiKey') : null;
+        const apiKey = req.headers['x-api-key'] || bearer || queryKey;
+
+        if (!apiKey) {
+            return refusal(401, 'API_KEY_MISSING', "Missing API key. Send it in the X-API-Key header.");
+        }
+        const key = registry.lookup(String(apiKey).trim());
+        if (!key) {
+            return refusal(401, 'API_KEY_INVALID', "Invalid or revoked API key.");
+        }
+        return { ok: true, key };
+    };
+
+    // Counts one request against the key, or refuses it
+    const admit = (key) => {
+        const limits = limitsFor(key);
+        const usage = dailyUsage(key.id);
+
+        for (const [quota, counter] of Object.entries(DAILY_QUOTAS)) {
+            if (limits[quota] > 0 && usage[counter] >= limits[quota]) {
+                const retryAfter = secondsUntilUtcMidnight();
+                return {
+                    ...refusal(429, 'DAILY_QUOTA_EXCEEDED', `Daily quota exceeded: ${quota} (${limits[quota]}).`, { quota, limit: limits[quota], retryAfterSeconds: retryAfter }),
+                    retryAfter,
+                };
+            }
+        }
+
+        const now = Date.now();
+        let window = minuteWindows.get(key.id);
+        if (!window || now - window.windowStart >= MINUTE_MS) {
+            window = { windowStart: now, count: 0 };
+            minuteWindows.set(key.id, window);
+        }
+        if (limits.requestsPerMinute > 0 && window.count >= limits.requestsPerMinute) {
+            const retryAfter = Math.max(1, Math.ceil((window.windowStart + MINUTE_MS - now) / 1000));
+            return {
+                ...refusal(429, 'RATE_LIMITED', `Rate limit exceeded: ${limits.requestsPerMinute} requests per minute.`, { limit: limits.requestsPerMinute, retryAfterSeconds: retryAfter }),
+                retryAfter,
+            };
+        }
+
+        window.count++;
+        usage.requests++;
+        dirty = true;
+
+        const headers = limits.requestsPerMinute > 0
+            ? { 'X-RateLimit-Limit': String(limits.requestsPerMinute), 'X-RateLimit-Remaining': String(limits.requestsPerMinute - window.count) }
+            : {};
+        return { ok: true, headers };
+    };
+
+    const meter = (key, fn) => runWithMeter((amounts) => record(key.id, amounts), fn);
+
+    return {
+        enabled,
+        registry,
+
+        // Express middleware for every API route
+        middleware(req, res, next) {
+            if (PUBLIC_PATHS.includes(req.path)) return next();
+
+            const identity = identify(req);
+            if (!identity.ok) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return res.status(identity.status).json(identity.body);
+            }
+
+            const admission = admit(identity.key);
+            if (!admission.ok) {
+                res.set('Retry-After', String(admission.retryAfter));
+                return res.status(admission.status).json(admission.body);
+            }
+
+            res.set(admission.headers);
+            req.apiKey = { id: identity.key.id, name: identity.key.name };
+            meter(identity.key, next);
+        },
+
+        // Checks the key of a WebSocket upgrade request; the connection then
+        // calls admit() per utterance and runs its work inside meter().
+        verifyUpgrade(req) {
+            return identify(req, { allowQuery: true });
+        },
+        admit,
+        meter: (key, fn) => (key ? meter(key, fn) : fn()),
+    };
+}
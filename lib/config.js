@@ -0,0 +1,60 @@
+// ---------------- Server Configuration ----------------
+// server.js is the single entry point; which routes it mounts and which page
+// it serves at "/" come from the environment:
+//     SERVER_PRESET             default | shee | he | ready | multi | my (see PRESETS)
+//     ROUTES                    comma-separated route list, overrides the preset
+//     UI_PAGE                   shee.html | he.html | ready.html | none, overrides the preset
+//     TRANSCRIBE_FILE_RESPONSE  json | audio, overrides the preset
+// The presets reproduce the old per-variant servers, so a Unity build that
+// talked to e.g. heserver.js keeps working with SERVER_PRESET=he.
+
+export const ROUTE_NAMES = ['voices', 'sessions', 'process-text', 'process-raw-audio', 'transcribe-file', 'speak', 'voice-stream', 'tts-cache', 'metrics', 'personas', 'translate', 'knowledge', 'memory'];
+export const UI_PAGES = ['shee.html', 'he.html', 'ready.html'];
+export const TRANSCRIBE_FILE_RESPONSES = ['json', 'audio'];
+
+const PRESETS = {
+    // server.js: sessions, personas, the knowledge base, user memories, text + raw WAV routes, translation,
+    // the WebSocket stream, TTS cache stats and metrics
+    default: { routes: ['voices', 'sessions', 'personas', 'knowledge', 'memory', 'process-text', 'process-raw-audio', 'translate', 'voice-stream', 'tts-cache', 'metrics'], uiPage: 'shee.html', transcribeFileResponse: 'json' },
+    // sheeserver.js: text + raw WAV routes for shee.html
+    shee: { routes: ['voices', 'process-text', 'process-raw-audio'], uiPage: 'shee.html', transcribeFileResponse: 'json' },
+    // heserver.js: raw WAV route for he.html and Unity
+    he: { routes: ['voices', 'process-raw-audio'], uiPage: 'he.html', transcribeFileResponse: 'json' },
+    // readyserver.js: multipart upload answering with JSON + base64 audio, plus the
+    // real translator its "TRANSLATOR MODE" page was meant to be
+    ready: { routes: ['voices', 'transcribe-file', 'translate'], uiPage: 'ready.html', transcribeFileResponse: 'json' },
+    // multiserver.js / myserver.js: multipart upload and /speak answering with raw audio
+    multi: { routes: ['voices', 'transcribe-file', 'speak'], uiPage: null, transcribeFileResponse: 'audio' },
+    my: { routes: ['voices', 'transcribe-file', 'speak'], uiPage: null, transcribeFileResponse: 'audio' },
+};
+
+const parseList = (value) => value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+export function loadServerConfig(env = process.env) {
+    const presetName = (env.SERVER_PRESET || 'default').toLowerCase();
+    const preset = PRESETS[presetName];
+    if (!preset) {
+        throw new Error(`Unknown SERVER_PRESET "${presetName}". Use ${Object.keys(PRESETS).join(', ')}.`);
+    }
+
+    const routes = env.ROUTES ? parseList(env.ROUTES) : preset.routes;
+    const unknownRoutes = routes.filter(routeName => !ROUTE_NAMES.includes(routeName));
+    if (unknownRoutes.length > 0) {
+        throw new Error(`Unknown route(s) in ROUTES: ${unknownRoutes.join(', ')}. Use ${ROUTE_NAMES.join(', ')}.`);
+    }
+
+    let uiPage = preset.uiPage;
+    if (env.UI_PAGE) {
+        uiPage = env.UI_PAGE.toLowerCase() === 'none' ? null : env.UI_PAGE;
+        if (uiPage && !UI_PAGES.includes(uiPage)) {
+            throw new Error(`Unknown UI_PAGE "${uiPage}". Use ${UI_PAGES.join(', ')} or none.`);
+        }
+    }
+
+    const transcribeFileResponse = (env.TRANSCRIBE_FILE_RESPONSE || preset.transcribeFileResponse).toLowerCase();
+    if (!TRANSCRIBE_FILE_RESPONSES.includes(transcribeFileResponse)) {
+        throw new Error(`Unknown TRANSCRIBE_FILE_RESPONSE "${transcribeFileResponse}". Use json or audio.`);
+    }
+
+    return { preset: presetName, routes, uiPage, transcribeFileResponse };
+}
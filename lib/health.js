@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+
+// ---------------- Liveness and Readiness Checks ----------------
+// liveness()  the process is up and its event loop answers; nothing else is checked.
+// readiness() every dependency a request needs:
+//     llm      the LLM provider's healthCheck (credentials configured)
+//     stt      the STT provider's healthCheck
+//     tts      each engine in TTS_ENGINES; ready while at least one engine
+//              passes, "degraded" when the first one fails (fallback voice)
+//     uploads  the uploads directory accepts a file
+// With `probe` the providers also make one cheap call to their backend (list
+// models or voices, count tokens). Probe results are reused for
+// READYZ_PROBE_CACHE_SECONDS (default 30) so a load balancer polling every few
+// seconds does not spend API quota. Each check gives up after CHECK_TIMEOUT_MS.
+//
+// Report: { status: "ready" | "not_ready", checks: { <name>: { status: "ok" | "degraded" | "fail",
+//           durationMs, error?, ...details } } }
+
+const CHECK_TIMEOUT_MS = 5000;
+const DEFAULT_PROBE_CACHE_SECONDS = 30;
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Runs one check; never rejects
+const runCheck = async (check) => {
+    const start = performance.now();
+    try {
+        const details = await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT_MS);
+        return { status: 'ok', durationMs: round(performance.now() - start), ...details };
+    } catch (error) {
+        return { status: 'fail', durationMs: round(performance.now() - start), error: error.message || String(error) };
+    }
+};
+
+// Writes and removes a small file, which catches read-only mounts and full disks
+const checkWritable = async (dir) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const probeFile = path.join(dir, `.readyz_${process.pid}`);
+    await fs.promises.writeFile(probeFile, 'ok');
+    await fs.promises.unlink(probeFile);
+    return { dir };
+};
+
+export function createHealthChecks({ llm, stt, tts, uploadDir }, env = process.env) {
+    const startedAt = Date.now();
+    const probeCacheMs = Number(env.READYZ_PROBE_CACHE_SECONDS ?? DEFAULT_PROBE_CACHE_SECONDS) * 1000;
+    let cachedProbe = null; // { at, report }
+
+    const checkTTS = async ({ probe }) => {
+        const engines = {};
+        await Promise.all(tts.engines.map(async (engine) => {
+            engines[engine.name] = await runCheck(() => engine.healthCheck({ probe }));
+        }));
+        const statuses = tts.engines.map(engine => engines[engine.name].status);
+        const status = statuses[0] === 'ok' ? 'ok' : statuses.includes('ok') ? 'degraded' : 'fail';
+        return { status, engines };
+    };
+
+    const check = async ({ probe }) => {
+        const [llmCheck, sttCheck, ttsCheck, uploadsCheck] = await Promise.all([
+            runCheck(async () => ({ provider: llm.name, ...await llm.healthCheck({ probe }) })),
+            runCheck(async () => ({ provider: stt.name, ...await stt.healthCheck({ probe }) })),
+            checkTTS({ probe }),
+            runCheck(() => checkWritable(uploadDir)),
+        ]);
+        const checks = { llm: llmCheck, stt: sttCheck, tts: ttsCheck, uploads: uploadsCheck };
+        const ready = Object.values(checks).every(result => result.status !== 'fail');
+        return { status: ready ? 'ready' : 'not_ready', probed: probe, checks };
+    };
+
+    return {
+        liveness() {
+            return { status: 'ok', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) };
+        },
+
+        async readiness({ probe = false } = {}) {
+            if (!probe) return check({ probe });
+            if (cachedProbe && Date.now() - cachedProbe.at < probeCacheMs) {
+                return { ...cachedProbe.report, cachedSeconds: Math.round((Date.now() - cachedProbe.at) / 1000) };
+            }
+            const report = await check({ probe });
+            cachedProbe = { at: Date.now(), report };
+            return report;
+        },
+    };
+}
@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { currentTrace, traceTimings } from './trace.js';
+
+// ---------------- Interaction Journal ----------------
+// With JOURNAL=on every interaction (process-text, process-raw-audio,
+// transcribe-file, speak and each voice-stream utterance) is appended to
+// JOURNAL_FILE (default logs/requests.jsonl) as one JSON line:
+//     { time, requestId, route, status, errorCode, error, sessionId, personaId, inputMode,
+//       spokenLangCode, requestedLangCode, targetLangCode, transcript, reply, toolCalls,
+//       knowledgeChunkIds, memoriesRecalled, model, sttProvider, ttsEngines,
+//       llmAttempts, timings, audio: { input, reply: [...] } }
+// Voice-stream utterances use the status the HTTP routes would have answered
+// with (200, 400 for an empty transcript, 500). replayInteractions.js replays
+// the journal as a regression check.
+//
+// The journal holds users' words and voices: it is never served over HTTP
+// (server.js serves only the UI pages) and its files and directories are
+// readable by the server's user only.
+//
+// JOURNAL_AUDIO=on also keeps the uploaded audio and the synthesized reply as
+// side files in audio/ next to the journal; `audio` holds their paths,
+// relative to the journal's directory.
+//
+// The journal is rotated to requests.<UTC start>.jsonl when it passes
+// JOURNAL_MAX_MB (default 50) or is older than JOURNAL_ROTATE_HOURS (default
+// 24, 0 = size only). JOURNAL_KEEP_FILES (default 14) rotated files are kept;
+// older ones are deleted together with the audio files they reference.
+//
+// The pipeline fills the entry while the request runs, through the request
+// trace (see lib/trace.js): the stt and llm stages note the transcript and the
+// reply, TTS notes its audio, and routes without STT note the typed text.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.resolve(__dirname, '..', 'logs', 'requests.jsonl');
+const DEFAULT_MAX_MB = 50;
+const DEFAULT_ROTATE_HOURS = 24;
+const DEFAULT_KEEP_FILES = 14;
+const PRIVATE_DIR_MODE = 0o700;
+const PRIVATE_FILE_MODE = 0o600;
+
+const AUDIO_EXTENSIONS = { MP3: 'mp3', OGG_OPUS: 'ogg', LINEAR16: 'wav', PCM: 'pcm' };
+
+export const audioExtensionFor = (audioEncoding) => AUDIO_EXTENSIONS[audioEncoding] || 'bin';
+
+// The entry being built for the current request, or null outside one
+const currentInteraction = () => {
+    const trace = currentTrace();
+    if (!trace) return null;
+    return (trace.interaction ??= { audio: { input: null, reply: [] } });
+};
+
+// Adds fields (transcript, reply, inputMode, error, ...) to the current entry
+export function noteInteraction(fields) {
+    const interaction = currentInteraction();
+    if (interaction) Object.assign(interaction, fields);
+}
+
+// Keeps audio for the current entry; only written when JOURNAL_AUDIO=on.
+// `kind` is 'input' (one per request) or 'reply' (one per synthesis).
+export function noteAudio(kind, content, extension) {
+    const interaction = currentInteraction();
+    if (!interaction) return;
+    if (kind === 'input') interaction.audio.input = { content, extension };
+    else interaction.audio.reply.push({ content, extension });
+}
+
+// "2026-10-19T16:49:55.123Z" -> "20261019T164955123Z", unique even for quick size rotations
+const fileStamp = (ms) => new Date(ms).toISOString().replace(/[-:.]/g, '');
+
+const safeName = (requestId) => requestId.replace(/[^\w.-]/g, '_');
+
+export function createJournal(env = process.env) {
+    const enabled = (env.JOURNAL || 'off').toLowerCase() === 'on';
+    if (!enabled) {
+        return { enabled, withAudio: false, middleware: (req, res, next) => next(), record: () => {} };
+    }
+
+    const file = env.JOURNAL_FILE || DEFAULT_FILE;
+    const dir = path.dirname(file);
+    const audioDir = path.join(dir, 'audio');
+    const withAudio = (env.JOURNAL_AUDIO || 'off').toLowerCase() === 'on';
+    const maxBytes = Number(env.JOURNAL_MAX_MB || DEFAULT_MAX_MB) * 1024 * 1024;
+    const rotateMs = Number(env.JOURNAL_ROTATE_HOURS ?? DEFAULT_ROTATE_HOURS) * 60 * 60 * 1000;
+    const keepFiles = Number(env.JOURNAL_KEEP_FILES || DEFAULT_KEEP_FILES);
+    const { name: baseName, ext } = path.parse(file);
+
+    // Size and start time of the live file, read on the first write
+    let current = null;
+    // Writes are chained so lines stay whole and rotation never races an append
+    let queue = Promise.resolve();
+
+    const openCurrent = async () => {
+        await fs.promises.mkdir(dir, { recursive: true, mode: PRIVATE_DIR_MODE });
+        try {
+            const stats = await fs.promises.stat(file);
+            current = { size: stats.size, startedAt: stats.birthtimeMs || stats.mtimeMs };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            current = { size: 0, startedAt: Date.now() };
+        }
+    };
+
+    const rotatedFiles = async () => (await fs.promises.readdir(dir))
+        .filter(name => name.startsWith(`${baseName}.`) && name.endsWith(ext) && name !== path.basename(file))
+        .sort();
+
+    // Deletes a rotated journal and the audio side files its entries point to
+    const deleteRotated = async (name) => {
+        const rotatedPath = path.join(dir, name);
+        const lines = readline.createInterface({ input: fs.createReadStream(rotatedPath), crlfDelay: Infinity });
+        for await (const line of lines) {
+            try {
+                const { audio } = JSON.parse(line);
+                for (const audioPath of [audio?.input, ...(audio?.reply || [])].filter(Boolean)) {
+                    await fs.promises.unlink(path.join(dir, audioPath)).catch(() => {});
+                }
+            } catch {
+                // A damaged line only loses its audio cleanup
+            }
+        }
+        await fs.promises.unlink(rotatedPath);
+    };
+
+    const rotate = async () => {
+        await fs.promises.rename(file, path.join(dir, `${baseName}.${fileStamp(current.startedAt)}${ext}`));
+        current = { size: 0, startedAt: Date.now() };
+
+        const rotated = await rotatedFiles();
+        for (const name of rotated.slice(0, Math.max(0, rotated.length - keepFiles))) {
+            await deleteRotated(name);
+        }
+    };
+
+    const append = async (line) => {
+        if (!current) await openCurrent();
+        const bytes = Buffer.byteLength(line);
+        const tooBig = maxBytes > 0 && current.size + bytes > maxBytes;
+        const tooOld = rotateMs > 0 && Date.now() - current.startedAt >= rotateMs;
+        if (current.size > 0 && (tooBig || tooOld)) await rotate();
+
+        await fs.promises.appendFile(file, line, { mode: PRIVATE_FILE_MODE });
+        current.size += bytes;
+    };
+
+    // Writes the side files and returns their journal-relative paths
+    const saveAudio = async (requestId, audio) => {
+        await fs.promises.mkdir(audioDir, { recursive: true, mode: PRIVATE_DIR_MODE });
+        const prefix = `${Date.now()}_${safeName(requestId)}`;
+        const save = async (name, { content, extension }) => {
+            await fs.promises.writeFile(path.join(audioDir, `${name}.${extension}`), content, { mode: PRIVATE_FILE_MODE });
+            return path.join('audio', `${name}.${extension}`);
+        };
+        return {
+            input: audio.input ? await save(`${prefix}.input`, audio.input) : null,
+            reply: await Promise.all(audio.reply.map((reply, index) => save(`${prefix}.reply.${index}`, reply))),
+        };
+    };
+
+    // Appends the entry of a finished request. `trace` is its request trace.
+    const record = (trace, { route, status, errorCode = null, error = null }) => {
+        const { audio, ...interaction } = trace.interaction || { audio: { input: null, reply: [] } };
+        const stage = (name) => trace.stages.filter(candidate => candidate.name === name);
+        const llmStage = stage('llm').at(-1);
+        const entry = {
+            time: new Date().toISOString(),
+            requestId: trace.requestId,
+            route,
+            status,
+            errorCode,
+            error: error || interaction.error || null,
+            sessionId: trace.fields.sessionId || null,
+            personaId: trace.fields.personaId || null,
+            inputMode: interaction.inputMode || null,
+            spokenLangCode: trace.fields.spokenLangCode || null,
+            requestedLangCode: trace.fields.requestedLangCode || null, // may be "auto"
+            targetLangCode: trace.fields.targetLangCode || null,
+            transcript: interaction.transcript ?? null,
+            reply: interaction.reply ?? null,
+            toolCalls: interaction.toolCalls ?? null, // [{ name, args, error }]
+            knowledgeChunkIds: interaction.knowledgeChunkIds ?? null,
+            memoriesRecalled: trace.fields.memoriesRecalled ?? null, // how many went into the prompt, see lib/memory.js
+            model: llmStage ? `${llmStage.details.provider}/${llmStage.details.model}` : null,
+            llmAttempts: llmStage?.details.attempts ?? null,
+            sttProvider: stage('stt').at(-1)?.details.provider || null,
+            ttsEngines: [...new Set(stage('tts').map(ttsStage => ttsStage.details.engine).filter(Boolean))],
+            timings: traceTimings(trace),
+            audio: null,
+        };
+
+        queue = queue
+            .then(async () => {
+                if (withAudio) entry.audio = await saveAudio(trace.requestId, audio);
+                await append(`${JSON.stringify(entry)}\n`);
+            })
+            .catch((writeError) => console.error(`❌ Could not write the journal ${file}: ${writeError.message}`));
+    };
+
+    return {
+        enabled,
+        file,
+        withAudio,
+        record,
+
+        // Route middleware: journals the request when its response is finished,
+        // with the error code of a JSON error reply
+        middleware(req, res, next) {
+            const trace = currentTrace();
+            if (!trace) return next();
+
+            let errorBody = null;
+            const json = res.json;
+            res.json = function (body) {
+                if (this.statusCode >= 400) errorBody = body;
+                return json.call(this, body);
+            };
+
+            res.on('finish', () => record(trace, {
+                route: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+                status: res.statusCode,
+                errorCode: errorBody?.code || null,
+                error: errorBody?.error || null,
+            }));
+            next();
+        },
+    };
+}
@@ -0,0 +1,59 @@
+// ---------------- BM25 Keyword Index ----------------
+// The offline retrieval method: ranks chunks by the query words they contain,
+// weighted by how rare each word is. Works for any script, since words are
+// runs of Unicode letters and digits; a few very common English words are
+// ignored so "tell me about the project" matches on "project".
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do', 'does', 'for', 'from', 'how',
+    'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'please', 'tell', 'that', 'the', 'this', 'to', 'was',
+    'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+]);
+
+export const tokenize = (text) => (text.toLowerCase().normalize('NFKC').match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+    .filter(word => !STOPWORDS.has(word));
+
+// `chunks` are { id, text }; the index is rebuilt whenever they change
+export function createBm25Index(chunks) {
+    const documents = chunks.map(chunk => {
+        const termCounts = new Map();
+        const words = tokenize(chunk.text);
+        for (const word of words) termCounts.set(word, (termCounts.get(word) || 0) + 1);
+        return { id: chunk.id, length: words.length, termCounts };
+    });
+    const averageLength = documents.reduce((total, document) => total + document.length, 0) / (documents.length || 1);
+
+    const documentFrequency = new Map();
+    for (const document of documents) {
+        for (const word of document.termCounts.keys()) {
+            documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+        }
+    }
+    const idf = (word) => {
+        const frequency = documentFrequency.get(word) || 0;
+        return Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5));
+    };
+
+    return {
+        // [{ id, score }] of the chunks sharing a word with the query, best first
+        search(query, topK) {
+            const queryWords = [...new Set(tokenize(query))];
+            if (queryWords.length === 0) return [];
+
+            const results = [];
+            for (const document of documents) {
+                let score = 0;
+                for (const word of queryWords) {
+                    const count = document.termCounts.get(word);
+                    if (!count) continue;
+                    score += idf(word) * (count * (K1 + 1)) / (count + K1 * (1 - B + B * document.length / averageLength));
+                }
+                if (score > 0) results.push({ id: document.id, score });
+            }
+            return results.sort((a, b) => b.score - a.score).slice(0, topK);
+        },
+    };
+}
@@ -0,0 +1,173 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+
+// ---------------- Knowledge Documents: Formats and Chunking ----------------
+// Accepted formats: Markdown, plain text and PDF. PDF text is extracted with
+// pdftotext from poppler-utils (PDFTOTEXT_CMD, default pdftotext); scanned
+// PDFs without a text layer come out empty and are refused.
+
+export const DOCUMENT_FORMATS = ['markdown', 'text', 'pdf'];
+
+// Rejected documents carry an HTTP status and a stable machine-readable code:
+//     INVALID_DOCUMENT             400  no text, or a bad field
+//     DOCUMENT_NOT_FOUND           404
+//     DOCUMENT_EXISTS              409  the id is taken
+//     DOCUMENT_TOO_LARGE           413  over the upload limit
+//     UNSUPPORTED_DOCUMENT_FORMAT  415  not one of DOCUMENT_FORMATS
+//     PDF_EXTRACTION_FAILED        422  corrupt PDF, or one without text
+//     PDF_EXTRACTOR_UNAVAILABLE    500  pdftotext is not installed on the server
+export class KnowledgeError extends Error {
+    constructor(message, code, status) {
+        super(message);
+        this.name = 'KnowledgeError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const EXTENSION_FORMATS = { '.md': 'markdown', '.markdown': 'markdown', '.txt': 'text', '.text': 'text', '.pdf': 'pdf' };
+const DEFAULT_CHUNK_CHARACTERS = 1000;
+const PDFTOTEXT_TIMEOUT_MS = 60000;
+
+// The format from the bytes (PDF), the declared format, the file name, then
+// the MIME type; UTF-8 text without any of those is plain text
+export function detectFormat({ content, format, fileName, mimeType }) {
+    if (content.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    if (format) {
+        if (!DOCUMENT_FORMATS.includes(format)) {
+            throw new KnowledgeError(`Unsupported document format "${format}". Use ${DOCUMENT_FORMATS.join(', ')}.`, 'UNSUPPORTED_DOCUMENT_FORMAT', 415);
+        }
+        return format;
+    }
+    const byExtension = EXTENSION_FORMATS[path.extname(fileName || '').toLowerCase()];
+    if (byExtension) return byExtension;
+    if (mimeType === 'text/markdown') return 'markdown';
+    if (!mimeType || mimeType.startsWith('text/') || mimeType === 'application/octet-stream') {
+        if (content.includes(0)) {
+            throw new KnowledgeError("The document is binary. Upload Markdown, plain text or PDF.", 'UNSUPPORTED_DOCUMENT_FORMAT', 415);
+        }
+        return 'text';
+    }
+    throw new KnowledgeError(`Unsupported document type ${mimeType}. Upload Markdown, plain text or PDF.`, 'UNSUPPORTED_DOCUMENT_FORMAT', 415);
+}
+
+// Runs pdftotext on a temp file; it cannot seek in a pipe
+const extractPdfText = async (content, command = process.env.PDFTOTEXT_CMD || 'pdftotext') => {
+    const tempPath = path.join(os.tmpdir(), `knowledge_${Date.now()}_${process.pid}.pdf`);
+    await fs.promises.writeFile(tempPath, content);
+    try {
+        return await new Promise((resolve, reject) => {
+            const child = spawn(command, ['-layout', '-enc', 'UTF-8', tempPath, '-'], { timeout: PDFTOTEXT_TIMEOUT_MS });
+            const stdout = [];
+            const stderr = [];
+            child.stdout.on('data', (data) => stdout.push(data));
+            child.stderr.on('data', (data) => stderr.push(data));
+            child.on('error', (error) => reject(error.code === 'ENOENT'
+                ? new KnowledgeError(`PDF text extraction needs ${command} (poppler-utils), which is not installed on the server.`, 'PDF_EXTRACTOR_UNAVAILABLE', 500)
+                : error));
+            child.on('close', (code) => {
+                if (code === 0) return resolve(Buffer.concat(stdout).toString('utf8'));
+                reject(new KnowledgeError(`Could not read the PDF: ${Buffer.concat(stderr).toString().trim() || `${command} exited with code ${code}`}`, 'PDF_EXTRACTION_FAILED', 422));
+            });
+        });
+    } finally {
+        fs.promises.unlink(tempPath).catch(() => {});
+    }
+};
+
+// The document's text, normalized: Unix newlines, no trailing spaces, at most one blank line in a row
+export async function extractText(content, format) {
+    const raw = format === 'pdf' ? await extractPdfText(content) : content.toString('utf8').replace(/^\uFEFF/, '');
+    const text = raw
+        .replace(/\r\n?/g, '\n')
+        .replace(/\f/g, '\n\n') // pdftotext page breaks
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    if (!text) {
+        throw format === 'pdf'
+            ? new KnowledgeError("The PDF has no text layer (a scan?). Upload its text instead.", 'PDF_EXTRACTION_FAILED', 422)
+            : new KnowledgeError("The document is empty.", 'INVALID_DOCUMENT', 400);
+    }
+    return text;
+}
+
+// A title for documents uploaded without one: the first Markdown heading, else the file name
+export function guessTitle(text, format, fileName) {
+    const heading = format === 'markdown' ? text.match(/^#{1,6}\s+(.+)$/m) : null;
+    if (heading) return heading[1].trim();
+    if (fileName) return path.basename(fileName, path.extname(fileName));
+    return text.split('\n')[0].slice(0, 80);
+}
+
+// Long paragraphs are cut at sentence ends, and words if a sentence is still too long
+const splitLongParagraph = (paragraph, maxCharacters) => {
+    const pieces = [];
+    let current = '';
+    for (const sentence of paragraph.match(/[^.!?।。]+[.!?।。]*\s*/g) || [paragraph]) {
+        if (current && current.length + sentence.length > maxCharacters) {
+            pieces.push(current.trim());
+            current = '';
+        }
+        if (sentence.length > maxCharacters) {
+            for (const word of sentence.split(/(\s+)/)) {
+                if (current && current.length + word.length > maxCharacters) {
+                    pieces.push(current.trim());
+                    current = '';
+                }
+                current += word;
+            }
+        } else {
+            current += sentence;
+        }
+    }
+    if (current.trim()) pieces.push(current.trim());
+    return pieces;
+};
+
+// Splits the text into chunks of about `maxCharacters` (KNOWLEDGE_CHUNK_CHARACTERS,
+// default 1000) along paragraphs. In Markdown a heading starts a new chunk and
+// every chunk begins with the headings it sits under, so a passage about
+// "Setup" still says which part of the document it comes from.
+export function chunkText(text, format, maxCharacters = Number(process.env.KNOWLEDGE_CHUNK_CHARACTERS) || DEFAULT_CHUNK_CHARACTERS) {
+    const chunks = [];
+    const headings = [];
+    let current = [];
+    let currentLength = 0;
+
+    const flush = () => {
+        if (current.length === 0) return;
+        const context = headings.filter(Boolean).join(' > ');
+        chunks.push(context ? `${context}\n\n${current.join('\n\n')}` : current.join('\n\n'));
+        current = [];
+        currentLength = 0;
+    };
+
+    // Headings count as paragraphs of their own, blank lines around them or not
+    const paragraphs = (format === 'markdown' ? text.replace(/^(#{1,6}\s.+)$/gm, '\n$1\n') : text)
+        .split(/\n\s*\n/)
+        .map(part => part.trim())
+        .filter(Boolean);
+
+    for (const paragraph of paragraphs) {
+        const heading = format === 'markdown' ? paragraph.match(/^(#{1,6})\s+(.+)$/) : null;
+        if (heading && !paragraph.includes('\n')) {
+            flush();
+            headings.length = heading[1].length - 1;
+            headings.push(heading[2].trim());
+            continue;
+        }
+
+        for (const piece of paragraph.length > maxCharacters ? splitLongParagraph(paragraph, maxCharacters) : [paragraph]) {
+            if (currentLength > 0 && currentLength + piece.length > maxCharacters) flush();
+            current.push(piece);
+            currentLength += piece.length;
+        }
+    }
+    flush();
+
+    // A document that is only headings still deserves one chunk
+    return chunks.length > 0 ? chunks : [text];
+}
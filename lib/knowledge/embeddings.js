@@ -0,0 +1,99 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// ---------------- Knowledge Embeddings ----------------
+// Semantic retrieval for the knowledge base, chosen with KNOWLEDGE_EMBEDDINGS:
+//     gemini  GEMINI_API_KEY, KNOWLEDGE_EMBEDDING_MODEL (default text-embedding-004)
+//     openai  LLM_BASE_URL / LLM_API_KEY of the OpenAI-compatible LLM server,
+//             KNOWLEDGE_EMBEDDING_MODEL (default nomic-embed-text, for Ollama)
+//     off     BM25 keyword search only (lib/knowledge/bm25.js)
+// When unset, Gemini is used if GEMINI_API_KEY exists, else off.
+// An embedder implements:
+//     name, model
+//     embedDocuments(texts) -> Promise<number[][]>
+//     embedQuery(text)      -> Promise<number[]>
+
+const GEMINI_BATCH_SIZE = 100;
+const OPENAI_BATCH_SIZE = 64;
+const TIMEOUT_MS = 30000;
+
+const inBatches = async (texts, size, embedBatch) => {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += size) {
+        vectors.push(...await embedBatch(texts.slice(start, start + size)));
+    }
+    return vectors;
+};
+
+function createGeminiEmbedder({ apiKey, model = 'text-embedding-004' }) {
+    const embeddingModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+    const toRequest = (text, taskType) => ({ content: { role: 'user', parts: [{ text }] }, taskType });
+
+    return {
+        name: 'gemini',
+        model,
+        embedDocuments: (texts) => inBatches(texts, GEMINI_BATCH_SIZE, async (batch) => {
+            const result = await embeddingModel.batchEmbedContents({ requests: batch.map(text => toRequest(text, 'RETRIEVAL_DOCUMENT')) });
+            return result.embeddings.map(embedding => embedding.values);
+        }),
+        async embedQuery(text) {
+            const result = await embeddingModel.embedContent(toRequest(text, 'RETRIEVAL_QUERY'));
+            return result.embedding.values;
+        },
+    };
+}
+
+function createOpenAIEmbedder({ baseUrl = "http://localhost:11434/v1", apiKey, model = 'nomic-embed-text' }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const embed = async (input) => {
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}/embeddings`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model, input }),
+            signal: AbortSignal.timeout(TIMEOUT_MS),
+        });
+        if (!response.ok) {
+            throw new Error(`Embedding server returned ${response.status}: ${await response.text()}`);
+        }
+        const { data } = await response.json();
+        return data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+    };
+
+    return {
+        name: 'openai',
+        model,
+        embedDocuments: (texts) => inBatches(texts, OPENAI_BATCH_SIZE, embed),
+        embedQuery: async (text) => (await embed([text]))[0],
+    };
+}
+
+// Null when embeddings are off
+export function createEmbedder(env = process.env) {
+    const embedderName = (env.KNOWLEDGE_EMBEDDINGS || (env.GEMINI_API_KEY ? 'gemini' : 'off')).toLowerCase();
+    const model = env.KNOWLEDGE_EMBEDDING_MODEL || undefined;
+
+    switch (embedderName) {
+        case 'gemini':
+            return createGeminiEmbedder({ apiKey: env.GEMINI_API_KEY, model });
+        case 'openai':
+        case 'ollama':
+            return createOpenAIEmbedder({ baseUrl: env.LLM_BASE_URL || undefined, apiKey: env.LLM_API_KEY, model });
+        case 'off':
+            return null;
+        default:
+            throw new Error(`Unknown KNOWLEDGE_EMBEDDINGS "${embedderName}". Use gemini, openai or off.`);
+    }
+}
+
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let index = 0; index < a.length; index++) {
+        dot += a[index] * b[index];
+        normA += a[index] * a[index];
+        normB += b[index] * b[index];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
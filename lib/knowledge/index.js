@@ -0,0 +1,270 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+import { KnowledgeError, detectFormat, extractText, guessTitle, chunkText } from './documents.js';
+import { createBm25Index } from './bm25.js';
+import { createEmbedder, cosineSimilarity } from './embeddings.js';
+import { traceStage } from '../trace.js';
+import { noteInteraction } from '../journal.js';
+
+export { KnowledgeError } from './documents.js';
+
+// ---------------- Local Knowledge Base ----------------
+// Documents about the project (Markdown, plain text, PDF) that the assistant
+// answers from. Managed through the /knowledge routes; stored in
+// KNOWLEDGE_DIR (default data/knowledge):
+//     index.json        { documents: [{ id, title, format, fileName, characters, chunkCount,
+//                         embeddingModel, createdAt, indexedAt }],
+//                         chunks: [{ id, documentId, index, text, embedding }] }
+//     documents/<id>.txt  the extracted text, re-chunked by a re-index
+// Chunk ids are "<documentId>:<n>".
+//
+// Retrieval: with embeddings (lib/knowledge/embeddings.js) chunks are ranked
+// by cosine similarity to the question, keeping those above
+// KNOWLEDGE_MIN_SIMILARITY (default 0.5). Without an embedder, when a chunk
+// was embedded with another model (re-index after changing it), or when the
+// embedding call fails, the BM25 keyword index answers instead
+// (lib/knowledge/bm25.js). The best KNOWLEDGE_TOP_K (default 4) passages go
+// into the system instruction, see buildSystemInstruction() in lib/prompts.js.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.resolve(__dirname, '..', '..', 'data', 'knowledge');
+const DEFAULT_TOP_K = 4;
+const DEFAULT_MIN_SIMILARITY = 0.5;
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const slugify = (text) => text.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+
+const notFound = (documentId) => new KnowledgeError(`Document "${documentId}" not found.`, 'DOCUMENT_NOT_FOUND', 404);
+
+export function createKnowledgeBase(env = process.env) {
+    const dir = env.KNOWLEDGE_DIR || DEFAULT_DIR;
+    const indexFile = path.join(dir, 'index.json');
+    const textDir = path.join(dir, 'documents');
+    const topK = Number(env.KNOWLEDGE_TOP_K ?? DEFAULT_TOP_K);
+    const minSimilarity = Number(env.KNOWLEDGE_MIN_SIMILARITY ?? DEFAULT_MIN_SIMILARITY);
+    const embedder = createEmbedder(env);
+    const embeddingModel = embedder ? `${embedder.name}/${embedder.model}` : null;
+
+    let documents = [];
+    let chunks = [];
+    let bm25 = createBm25Index([]);
+    // Changes are chained so two uploads never write the index at once
+    let queue = Promise.resolve();
+
+    const load = () => {
+        try {
+            ({ documents = [], chunks = [] } = JSON.parse(fs.readFileSync(indexFile, 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        bm25 = createBm25Index(chunks);
+    };
+
+    const save = () => {
+        fs.mkdirSync(dir, { recursive: true });
+        const tempFile = `${indexFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ documents, chunks }));
+        fs.renameSync(tempFile, indexFile);
+        bm25 = createBm25Index(chunks);
+    };
+
+    const textPath = (documentId) => path.join(textDir, `${documentId}.txt`);
+
+    const exclusive = (change) => {
+        const result = queue.then(change);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    // Chunks and embeds a document's text. An embedding failure keeps the
+    // chunks without vectors, searchable with BM25 until a re-index.
+    const indexText = async (document, text) => {
+        const texts = chunkText(text, document.format);
+        let vectors = null;
+        if (embedder) {
+            try {
+                vectors = await embedder.embedDocuments(texts);
+            } catch (error) {
+                console.error(`❌ Could not embed "${document.id}" with ${embeddingModel}, BM25 only until a re-index: ${error.message}`);
+            }
+        }
+
+        const documentChunks = texts.map((chunkTextContent, index) => ({
+            id: `${document.id}:${index}`,
+            documentId: document.id,
+            index,
+            text: chunkTextContent,
+            embedding: vectors ? vectors[index] : null,
+        }));
+        return {
+            document: { ...document, characters: text.length, chunkCount: documentChunks.length, embeddingModel: vectors ? embeddingModel : null, indexedAt: new Date().toISOString() },
+            chunks: documentChunks,
+        };
+    };
+
+    const replaceDocument = (document, documentChunks) => {
+        documents = [...documents.filter(candidate => candidate.id !== document.id), document];
+        chunks = [...chunks.filter(chunk => chunk.documentId !== document.id), ...documentChunks];
+        save();
+    };
+
+    const summarize = (document) => ({ ...document, embedded: document.embeddingModel !== null && document.embeddingModel === embeddingModel });
+
+    const reindexDocument = async (document) => {
+        const text = await fs.promises.readFile(textPath(document.id), 'utf8');
+        const indexed = await indexText(document, text);
+        replaceDocument(indexed.document, indexed.chunks);
+        return summarize(indexed.document);
+    };
+
+    const semanticSearch = async (query, limit) => {
+        const queryVector = await embedder.embedQuery(query);
+        return chunks
+            .map(chunk => ({ id: chunk.id, score: cosineSimilarity(queryVector, chunk.embedding) }))
+            .filter(result => result.score >= minSimilarity)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    };
+
+    load();
+
+    return {
+        dir,
+        embeddingModel,
+        topK,
+
+        get size() {
+            return chunks.length;
+        },
+
+        list: () => documents.map(summarize),
+
+        get(documentId) {
+            const document = documents.find(candidate => candidate.id === documentId);
+            if (!document) return null;
+            return {
+                ...summarize(document),
+                chunks: chunks.filter(chunk => chunk.documentId === documentId).map(({ id, index, text }) => ({ id, index, text })),
+            };
+        },
+
+        // Adds a document from its raw bytes. `id` and `title` are optional.
+        add({ content, format, fileName, mimeType, id, title }) {
+            return exclusive(async () => {
+                const detectedFormat = detectFormat({ content, format, fileName, mimeType });
+                const text = await extractText(content, detectedFormat);
+                const documentTitle = (title && String(title).trim()) || guessTitle(text, detectedFormat, fileName);
+
+                let documentId = id;
+                if (documentId !== undefined) {
+                    // A JSON number would pass the pattern but never match the string id of a URL
+                    if (typeof documentId !== 'string' || !ID_PATTERN.test(documentId)) {
+                        throw new KnowledgeError("id must be a string of 1-64 lowercase letters, digits, '-' or '_'.", 'INVALID_DOCUMENT', 400);
+                    }
+                    if (documents.some(document => document.id === documentId)) {
+                        throw new KnowledgeError(`Document "${documentId}" already exists. Delete it first to replace it.`, 'DOCUMENT_EXISTS', 409);
+                    }
+                } else {
+                    documentId = slugify(documentTitle) || 'document';
+                    while (documents.some(document => document.id === documentId)) {
+                        documentId = `${slugify(documentTitle) || 'document'}-${randomBytes(3).toString('hex')}`;
+                    }
+                }
+
+                await fs.promises.mkdir(textDir, { recursive: true });
+                await fs.promises.writeFile(textPath(documentId), text);
+                const indexed = await indexText({
+                    id: documentId,
+                    title: documentTitle,
+                    format: detectedFormat,
+                    fileName: fileName || null,
+                    createdAt: new Date().toISOString(),
+                }, text);
+                replaceDocument(indexed.document, indexed.chunks);
+                console.log(`📚 Added "${documentId}" (${detectedFormat}, ${indexed.chunks.length} chunks${indexed.document.embeddingModel ? ', embedded' : ''}).`);
+                return summarize(indexed.document);
+            });
+        },
+
+        remove(documentId) {
+            return exclusive(async () => {
+                if (!documents.some(document => document.id === documentId)) throw notFound(documentId);
+                documents = documents.filter(document => document.id !== documentId);
+                chunks = chunks.filter(chunk => chunk.documentId !== documentId);
+                save();
+                await fs.promises.unlink(textPath(documentId)).catch(() => {});
+            });
+        },
+
+        // Re-chunks and re-embeds one document, or all of them without an id
+        reindex(documentId) {
+            return exclusive(async () => {
+                if (documentId !== undefined) {
+                    const document = documents.find(candidate => candidate.id === documentId);
+                    if (!document) throw notFound(documentId);
+                    return [await reindexDocument(document)];
+                }
+                const results = [];
+                for (const document of [...documents]) {
+                    results.push(await reindexDocument(document));
+                }
+                return results;
+            });
+        },
+
+        // [{ id, documentId, title, text, score }] best first, and the method that ranked them
+        async search(query, limit = topK) {
+            if (!query || chunks.length === 0 || limit <= 0) return { method: null, passages: [] };
+
+            let method = 'bm25';
+            let ranked = null;
+            if (embedder && chunks.every(chunk => chunk.embedding) && documents.every(document => document.embeddingModel === embeddingModel)) {
+                try {
+                    ranked = await semanticSearch(query, limit);
+                    method = 'embeddings';
+                } catch (error) {
+                    console.warn(`⚠️ Knowledge embedding search failed, using BM25: ${error.message}`);
+                }
+            }
+            ranked ??= bm25.search(query, limit);
+
+            const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+            const titles = new Map(documents.map(document => [document.id, document.title]));
+            return {
+                method,
+                passages: ranked.map(({ id, score }) => {
+                    const chunk = chunksById.get(id);
+                    return { id, documentId: chunk.documentId, title: titles.get(chunk.documentId), text: chunk.text, score: Math.round(score * 1000) / 1000 };
+                }),
+            };
+        },
+
+        // Passages for the system instruction of an assistant route, timed as the
+        // "retrieve" stage. Never rejects: without passages the assistant answers as before.
+        async retrieve(query) {
+            if (chunks.length === 0 || topK <= 0) return { passages: [], chunkIds: [] };
+            try {
+                const { passages } = await traceStage('retrieve', async (details) => {
+                    const result = await this.search(query);
+                    Object.assign(details, { method: result.method, passages: result.passages.length });
+                    return result;
+                });
+                const chunkIds = passages.map(passage => passage.id);
+                noteInteraction({ knowledgeChunkIds: chunkIds });
+                return { passages, chunkIds };
+            } catch (error) {
+                console.error(`❌ Knowledge retrieval failed: ${error.message}`);
+                return { passages: [], chunkIds: [] };
+            }
+        },
+    };
+}
+
+// Answers a KnowledgeError with its status and code. Returns false for any other error.
+export function sendKnowledgeError(res, error) {
+    if (!(error instanceof KnowledgeError)) return false;
+    res.status(error.status).json({ error: error.message, code: error.code });
+    return true;
+}
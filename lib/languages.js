@@ -0,0 +1,46 @@
+import { VOICE_MAP } from './voices.js';
+
+// ---------------- Language Resolution ----------------
+// targetLangCode=auto makes the reply language (and TTS voice) follow the
+// language the user spoke in. Anything else must be a VOICE_MAP code.
+export const AUTO_LANG_CODE = 'auto';
+export const DEFAULT_LANG_CODE = 'en';
+
+// "hi-IN" / "hi_IN" / "HI" -> "hi"
+export const normalizeLangCode = (code) => (code ? String(code).toLowerCase().split(/[-_]/)[0] : null);
+
+// Non-Latin scripts identify their language well enough for the languages we
+// support. Latin text (en/es/fr/de) cannot be told apart this way.
+const SCRIPT_LANGUAGES = [
+    [/[\u0900-\u097F]/, 'hi'], // Devanagari
+    [/[\u0B80-\u0BFF]/, 'ta'], // Tamil
+    [/[\u0C00-\u0C7F]/, 'te'], // Telugu
+    [/[\u0C80-\u0CFF]/, 'kn'], // Kannada
+    [/[\u0D00-\u0D7F]/, 'ml'], // Malayalam
+    [/[\u3040-\u30FF\u4E00-\u9FFF]/, 'ja'], // Kana / Kanji
+    [/[\u0400-\u04FF]/, 'ru'], // Cyrillic
+];
+
+export function guessLanguageFromText(text = '') {
+    const match = SCRIPT_LANGUAGES.find(([pattern]) => pattern.test(text));
+    return match ? match[1] : null;
+}
+
+// Language of a transcription: the STT provider's language identification
+// first, then the script of the transcript. Null when neither tells.
+export function identifyLanguage(transcription) {
+    return normalizeLangCode(transcription.language) || guessLanguageFromText(transcription.text);
+}
+
+// Spoken language of a transcription, English when it cannot be identified
+export function detectSpokenLanguage(transcription) {
+    return identifyLanguage(transcription) || DEFAULT_LANG_CODE;
+}
+
+export const isValidTargetLangCode = (code) => code === AUTO_LANG_CODE || Boolean(VOICE_MAP[code]);
+
+// Resolves the requested target language to the VOICE_MAP code to reply in.
+export function resolveReplyLanguage(targetLangCode, spokenLangCode) {
+    const code = targetLangCode === AUTO_LANG_CODE ? normalizeLangCode(spokenLangCode) : targetLangCode;
+    return VOICE_MAP[code] ? code : DEFAULT_LANG_CODE;
+}
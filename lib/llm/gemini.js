@@ -0,0 +1,103 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// ---------------- Gemini Provider ----------------
+// Converts the shared { role, content } history into Gemini `contents`.
+// The persona's generation settings use Gemini's own names, so they are
+// passed as `generationConfig` unchanged. Tool requests are `functionCall`
+// parts of a model turn and tool results `functionResponse` parts of a
+// "function" turn; the model's own turn is sent back as it came (`raw`),
+// which keeps the thought signatures Gemini attaches to its function calls.
+export function createGeminiProvider({ apiKey, model = "gemini-2.5-flash" }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    const toContents = (messages) => {
+        const contents = [];
+        for (const message of messages) {
+            if (message.role === 'tool') {
+                const part = { functionResponse: { name: message.name, response: message.content } };
+                // Results of one round of calls go back together
+                const previous = contents.at(-1);
+                if (previous?.role === 'function') previous.parts.push(part);
+                else contents.push({ role: 'function', parts: [part] });
+            } else if (message.toolCalls) {
+                contents.push(message.raw || {
+                    role: 'model',
+                    parts: [
+                        ...(message.content ? [{ text: message.content }] : []),
+                        ...message.toolCalls.map(({ name, args }) => ({ functionCall: { name, args } })),
+                    ],
+                });
+            } else {
+                contents.push({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: message.content }],
+                });
+            }
+        }
+        return contents;
+    };
+
+    const toolModel = ({ systemInstruction, generation, tools }) => genAI.getGenerativeModel({
+        model,
+        systemInstruction,
+        generationConfig: generation,
+        tools: tools.length > 0 ? [{ functionDeclarations: tools }] : undefined,
+    });
+
+    // Thoughts are not part of the answer
+    const textOf = (parts = []) => parts.filter(part => part.text && !part.thought).map(part => part.text).join('');
+
+    const toTurn = (response) => {
+        const content = response.candidates?.[0]?.content;
+        const parts = content?.parts || [];
+        return {
+            text: textOf(parts),
+            toolCalls: parts.filter(part => part.functionCall).map(({ functionCall }, index) => ({
+                id: `call_${index}`,
+                name: functionCall.name,
+                args: functionCall.args || {},
+            })),
+            raw: content,
+        };
+    };
+
+    return {
+        name: 'gemini',
+        model,
+        // The probe counts the tokens of a one-word prompt, which is free
+        async healthCheck({ probe }) {
+            if (!apiKey) throw new Error("GEMINI_API_KEY is not set");
+            if (probe) await genAI.getGenerativeModel({ model }).countTokens("ping");
+            return { model };
+        },
+        async generate({ systemInstruction, messages, generation = {} }) {
+            const generativeModel = genAI.getGenerativeModel({ model, systemInstruction, generationConfig: generation });
+            const result = await generativeModel.generateContent({ contents: toContents(messages) });
+            return result.response.text();
+        },
+        async generateTurn({ systemInstruction, messages, generation = {}, tools = [] }) {
+            const result = await toolModel({ systemInstruction, generation, tools }).generateContent({ contents: toContents(messages) });
+            return toTurn(result.response);
+        },
+        // The SDK aggregates the streamed chunks into the same response
+        async *streamTurn({ systemInstruction, messages, generation = {}, tools = [] }) {
+            const result = await toolModel({ systemInstruction, generation, tools }).generateContentStream({ contents: toContents(messages) });
+            // Awaited only after a complete stream, see stream()
+            result.response.catch(() => {});
+            for await (const chunk of result.stream) {
+                yield textOf(chunk.candidates?.[0]?.content?.parts);
+            }
+            return toTurn(await result.response);
+        },
+        async *stream({ systemInstruction, messages, generation = {} }) {
+            const generativeModel = genAI.getGenerativeModel({ model, systemInstruction, generationConfig: generation });
+            const result = await generativeModel.generateContentStream({ contents: toContents(messages) });
+            // The aggregated response rejects too when the stream fails or is
+            // abandoned; nobody awaits it here, so it must not go unhandled
+            result.response.catch(() => {});
+            for await (const chunk of result.stream) {
+                yield chunk.text();
+            }
+        },
+    };
+}
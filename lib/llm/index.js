@@ -0,0 +1,255 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createStubProvider } from './stub.js';
+import { traceStage, beginStage } from '../trace.js';
+import { llmRetries } from '../metrics.js';
+import { noteInteraction } from '../journal.js';
+
+// ---------------- LLM Provider Layer ----------------
+// Every provider implements:
+//     name, model
+//     generate({ systemInstruction, messages, generation, purpose })
+//                                                           -> Promise<string>
+//     stream({ systemInstruction, messages, generation })   -> AsyncIterable<string> of text deltas (optional)
+//     generateTurn({ systemInstruction, messages, generation, tools })
+//                                                           -> Promise<{ text, toolCalls: [{ id, name, args }], raw }>,
+//                                                              one model call that may ask for tools (optional)
+//     streamTurn({ systemInstruction, messages, generation, tools })
+//                                                           -> AsyncGenerator yielding the text deltas of such a call
+//                                                              and returning the same turn (optional)
+//     healthCheck({ probe })                                -> Promise<details>, rejects when the provider
+//                                                              cannot serve; `probe` also calls the backend (see lib/health.js)
+// where `messages` is the conversation as [{ role: 'user' | 'assistant', content }],
+// ending with the newest user message, and `generation` the persona's optional
+// { temperature, topP, maxOutputTokens } (see lib/personas.js). `purpose` tells
+// calls that are not a persona's answer apart, without reading the prompt:
+//     { task: 'translation', targetLangCode }   see lib/translation.js
+//     { task: 'memory-extraction' }             see lib/memory.js
+// Models follow the system instruction and ignore it; the stub answers by it.
+// During a tool loop `messages` also holds the model's tool requests and their results:
+//     { role: 'assistant', content, toolCalls: [{ id, name, args }], raw }   raw: the provider's own message
+//     { role: 'tool', toolCallId, name, content: { result } | { error } }
+// and `tools` are the declarations of lib/tools/index.js.
+//
+// The provider is chosen with LLM_PROVIDER:
+//     gemini  GEMINI_API_KEY, GEMINI_MODEL (default gemini-2.5-flash)
+//     openai  LLM_BASE_URL, LLM_API_KEY, LLM_MODEL (OpenAI-compatible / Ollama)
+//     stub    deterministic offline replies, no network
+// When LLM_PROVIDER is unset, Gemini is used if GEMINI_API_KEY exists, else the
+// stub, with a warning at startup and a failing readiness check (lib/health.js).
+
+const MAX_RETRIES = 3;
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createLLMProvider(env = process.env) {
+    const providerName = (env.LLM_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'stub')).toLowerCase();
+
+    switch (providerName) {
+        case 'gemini':
+            return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL || undefined });
+        case 'openai':
+        case 'ollama':
+            return createOpenAIProvider({
+                baseUrl: env.LLM_BASE_URL || undefined,
+                apiKey: env.LLM_API_KEY,
+                model: env.LLM_MODEL || undefined,
+            });
+        case 'stub':
+            // Chosen only because GEMINI_API_KEY is missing: runs, but is not ready for real traffic
+            if (!env.LLM_PROVIDER) {
+                console.warn("⚠️ GEMINI_API_KEY is not set: replies come from the OFFLINE STUB, not a model. Set it, or LLM_PROVIDER=stub to run offline on purpose.");
+            }
+            return createStubProvider({ missingKey: env.LLM_PROVIDER ? null : 'GEMINI_API_KEY' });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use gemini, openai or stub.`);
+    }
+}
+
+// Runs one model call with exponential backoff retry (1s, 2s), counting the
+// attempts in the stage `details`
+const callWithRetries = async (llm, details, call) => {
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+        details.attempts = attempt + 1;
+        try {
+            return await call();
+        } catch (error) {
+            console.warn(`${llm.name} generation failed (Attempt ${attempt + 1}/${MAX_RETRIES}).`);
+            if (attempt === MAX_RETRIES - 1) { throw error; }
+            llmRetries.inc({ provider: llm.name });
+            await delay(Math.pow(2, attempt) * 1000);
+        }
+    }
+};
+
+// Generates a reply with exponential backoff retry (1s, 2s) and strips
+// code block wrappers the model sometimes adds. May return an empty string.
+// Timed as the "llm" stage, including the retries.
+export function generateReply(llm, { systemInstruction, messages, generation = {}, purpose }) {
+    return traceStage('llm', async (details) => {
+        Object.assign(details, { provider: llm.name, model: llm.model, messages: messages.length });
+        const text = await callWithRetries(llm, details, () => llm.generate({ systemInstruction, messages, generation, purpose }));
+
+        const reply = cleanReplyText(text);
+        details.replyCharacters = reply.length;
+        noteInteraction({ reply });
+        return reply;
+    });
+}
+
+// Like generateReply, but the model may call the tools of `tools` (see
+// lib/tools/index.js) before it answers: each round is one model call (an
+// "llm" stage); the tools it asks for run with `toolContext` and their
+// results go back to it, until it answers in text. The last of
+// tools.maxRounds rounds offers no tools, so it must answer.
+// Returns { reply, toolCalls: [{ name, args, result | error, durationMs }] }.
+// Providers without generateTurn, and an empty registry, answer without tools.
+export async function generateReplyWithTools(llm, { systemInstruction, messages, generation = {}, tools, toolContext }) {
+    if (!tools?.enabled || !llm.generateTurn) {
+        return { reply: await generateReply(llm, { systemInstruction, messages, generation }), toolCalls: [] };
+    }
+
+    const conversation = [...messages];
+    const invoked = [];
+    for (let round = 1; ; round++) {
+        const offered = round < tools.maxRounds ? tools.declarations() : [];
+        const turn = await traceStage('llm', async (details) => {
+            Object.assign(details, { provider: llm.name, model: llm.model, messages: conversation.length, round });
+            return callWithRetries(llm, details, () => llm.generateTurn({ systemInstruction, messages: conversation, generation, tools: offered }));
+        });
+
+        if (turn.toolCalls.length === 0 || offered.length === 0) {
+            const reply = cleanReplyText(turn.text);
+            noteInteraction({ reply, toolCalls: invoked.map(({ name, args, error }) => ({ name, args, error })) });
+            return { reply, toolCalls: invoked };
+        }
+
+        invoked.push(...await runToolCalls(turn, conversation, tools, toolContext));
+    }
+}
+
+// Runs the tools a turn asked for, adding the turn and the results to `conversation`.
+// Returns the outcomes, see tools.run() in lib/tools/index.js.
+const runToolCalls = async (turn, conversation, tools, toolContext) => {
+    conversation.push({ role: 'assistant', content: turn.text || '', toolCalls: turn.toolCalls, raw: turn.raw });
+    const outcomes = [];
+    for (const call of turn.toolCalls) {
+        const outcome = await tools.run(call, toolContext);
+        console.log(`🛠️ ${call.name}(${JSON.stringify(call.args)}) -> ${outcome.error ? `error: ${outcome.error}` : JSON.stringify(outcome.result)}`);
+        outcomes.push(outcome);
+        conversation.push({
+            role: 'tool',
+            toolCallId: call.id,
+            name: call.name,
+            content: outcome.error ? { error: outcome.error } : { result: outcome.result },
+        });
+    }
+    return outcomes;
+};
+
+// Trims the reply and removes code block wrappers the model sometimes includes
+export function cleanReplyText(text) {
+    text = (text || "").trim();
+    if (text.startsWith('```') && text.endsWith('```')) {
+        text = text.split('\n').slice(1, -1).join('\n').trim();
+    }
+    return text;
+}
+
+// Yields the deltas of `open()`, a provider stream, as { text } and returns
+// what the stream returns. Timed as one "llm" stage with `details`; retries
+// with backoff like generateReply, but only while nothing has been yielded yet.
+async function* streamStage(llm, details, open) {
+    const stage = beginStage('llm');
+    Object.assign(stage.details, { provider: llm.name, model: llm.model, ...details, streamed: true, replyCharacters: 0 });
+    const startedAt = Date.now();
+    let failure;
+    try {
+        for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+            stage.details.attempts = attempt + 1;
+            let yielded = false;
+            const iterator = open()[Symbol.asyncIterator]();
+            try {
+                for (;;) {
+                    const { value, done } = await iterator.next();
+                    if (done) return value;
+                    if (!value) continue;
+                    if (!yielded) stage.details.firstDeltaMs = Date.now() - startedAt;
+                    yielded = true;
+                    stage.details.replyCharacters += value.length;
+                    yield { text: value };
+                }
+            } catch (error) {
+                console.warn(`${llm.name} streaming failed (Attempt ${attempt + 1}/${MAX_RETRIES}).`);
+                if (yielded || attempt === MAX_RETRIES - 1) { throw error; }
+                llmRetries.inc({ provider: llm.name });
+                await delay(Math.pow(2, attempt) * 1000);
+            } finally {
+                // Also reached when the consumer stops early (client disconnected)
+                await iterator.return?.();
+            }
+        }
+    } catch (error) {
+        failure = error;
+        throw error;
+    } finally {
+        stage.end(failure);
+    }
+}
+
+// Yields the reply as text deltas. Providers without stream() yield their
+// whole reply as a single delta.
+export async function* streamReply(llm, { systemInstruction, messages, generation = {} }) {
+    if (!llm.stream) {
+        const text = await generateReply(llm, { systemInstruction, messages, generation });
+        if (text) yield text;
+        return;
+    }
+
+    let streamedText = '';
+    try {
+        for await (const { text } of streamStage(llm, { messages: messages.length }, () => llm.stream({ systemInstruction, messages, generation }))) {
+            streamedText += text;
+            yield text;
+        }
+    } finally {
+        noteInteraction({ reply: cleanReplyText(streamedText) });
+    }
+}
+
+// Like generateReplyWithTools, but streamed: yields { text } deltas as the
+// model writes them, in every round, and { toolCall } for each tool that ran
+// ({ name, args, result | error, durationMs }). Text the model writes before
+// asking for a tool is part of the reply. Without tools this is streamReply;
+// providers without streamTurn answer in one delta after the tool rounds.
+export async function* streamReplyWithTools(llm, { systemInstruction, messages, generation = {}, tools, toolContext }) {
+    if (!tools?.enabled || !llm.generateTurn) {
+        for await (const text of streamReply(llm, { systemInstruction, messages, generation })) yield { text };
+        return;
+    }
+    if (!llm.streamTurn) {
+        const { reply, toolCalls } = await generateReplyWithTools(llm, { systemInstruction, messages, generation, tools, toolContext });
+        for (const toolCall of toolCalls) yield { toolCall };
+        if (reply) yield { text: reply };
+        return;
+    }
+
+    const conversation = [...messages];
+    const invoked = [];
+    let streamedText = '';
+    try {
+        for (let round = 1; ; round++) {
+            const offered = round < tools.maxRounds ? tools.declarations() : [];
+            const turn = yield* streamStage(llm, { messages: conversation.length, round }, () => llm.streamTurn({ systemInstruction, messages: conversation, generation, tools: offered }));
+            streamedText += turn.text;
+
+            if (turn.toolCalls.length === 0 || offered.length === 0) return;
+
+            for (const toolCall of await runToolCalls(turn, conversation, tools, toolContext)) {
+                invoked.push(toolCall);
+                yield { toolCall };
+            }
+        }
+    } finally {
+        noteInteraction({ reply: cleanReplyText(streamedText), toolCalls: invoked.map(({ name, args, error }) => ({ name, args, error })) });
+    }
+}
@@ -0,0 +1,145 @@
+// ---------------- OpenAI-Compatible Provider ----------------
+// Talks to any server exposing POST /chat/completions: OpenAI, Ollama
+// (http://localhost:11434/v1), LM Studio, vLLM, llama.cpp server, ...
+export function createOpenAIProvider({ baseUrl = "http://localhost:11434/v1", apiKey, model = "llama3.1", timeoutMs = 60000 }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    // Persona generation settings in /chat/completions terms
+    const samplingOptions = ({ temperature, topP, maxOutputTokens } = {}) => ({
+        temperature,
+        top_p: topP,
+        max_tokens: maxOutputTokens,
+    });
+
+    // Some local models send malformed arguments; the tool then reports what is missing
+    const parseArguments = (text) => {
+        try {
+            return JSON.parse(text || '{}');
+        } catch {
+            return {};
+        }
+    };
+
+    // Tool requests and results use the `tool_calls` / role "tool" messages of the API
+    const toChatMessage = (message) => {
+        if (message.role === 'tool') {
+            return { role: 'tool', tool_call_id: message.toolCallId, content: JSON.stringify(message.content) };
+        }
+        if (message.toolCalls) {
+            return {
+                role: 'assistant',
+                content: message.content || null,
+                tool_calls: message.toolCalls.map(({ id, name, args }) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } })),
+            };
+        }
+        return { role: message.role, content: message.content };
+    };
+
+    const requestCompletion = async ({ systemInstruction, messages, generation, tools = [] }, stream) => {
+        const chatMessages = [];
+        if (systemInstruction) {
+            chatMessages.push({ role: 'system', content: systemInstruction });
+        }
+        chatMessages.push(...messages.map(toChatMessage));
+        const toolOptions = tools.length > 0
+            ? { tools: tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } })) }
+            : {};
+
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model, messages: chatMessages, stream, ...samplingOptions(generation), ...toolOptions }),
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (!response.ok) {
+            throw new Error(`LLM server returned ${response.status}: ${await response.text()}`);
+        }
+        return response;
+    };
+
+    // Yields choices[0].delta of each chunk of a streamed response
+    const readDeltas = async function* (response) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') return;
+                yield JSON.parse(payload)?.choices?.[0]?.delta || {};
+            }
+        }
+    };
+
+    return {
+        name: 'openai',
+        model,
+        // The probe lists the server's models
+        async healthCheck({ probe }) {
+            if (probe) {
+                const response = await fetch(`${baseUrl.replace(/\/$/, '')}/models`, { headers, signal: AbortSignal.timeout(timeoutMs) });
+                if (!response.ok) throw new Error(`LLM server returned ${response.status} for /models`);
+            }
+            return { baseUrl, model };
+        },
+        async generate({ systemInstruction, messages, generation }) {
+            const response = await requestCompletion({ systemInstruction, messages, generation }, false);
+            const data = await response.json();
+            return data?.choices?.[0]?.message?.content || "";
+        },
+
+        async generateTurn({ systemInstruction, messages, generation, tools }) {
+            const response = await requestCompletion({ systemInstruction, messages, generation, tools }, false);
+            const message = (await response.json())?.choices?.[0]?.message || {};
+            return {
+                text: message.content || "",
+                toolCalls: (message.tool_calls || []).map(call => ({
+                    id: call.id,
+                    name: call.function.name,
+                    args: parseArguments(call.function.arguments),
+                })),
+                raw: null,
+            };
+        },
+
+        // Streaming responses are server-sent events: "data: {chunk}" lines
+        // carrying choices[0].delta.content, terminated by "data: [DONE]".
+        async *stream({ systemInstruction, messages, generation }) {
+            for await (const delta of readDeltas(await requestCompletion({ systemInstruction, messages, generation }, true))) {
+                yield delta.content || "";
+            }
+        },
+
+        // Streamed tool calls arrive in pieces: delta.tool_calls[{ index, id, function: { name, arguments } }],
+        // where `arguments` is JSON split across chunks
+        async *streamTurn({ systemInstruction, messages, generation, tools }) {
+            let text = "";
+            const calls = [];
+            for await (const delta of readDeltas(await requestCompletion({ systemInstruction, messages, generation, tools }, true))) {
+                if (delta.content) {
+                    text += delta.content;
+                    yield delta.content;
+                }
+                for (const piece of delta.tool_calls || []) {
+                    const call = calls[piece.index ?? calls.length] ??= { id: null, name: "", arguments: "" };
+                    if (piece.id) call.id = piece.id;
+                    if (piece.function?.name) call.name += piece.function.name;
+                    if (piece.function?.arguments) call.arguments += piece.function.arguments;
+                }
+            }
+            return {
+                text,
+                toolCalls: calls.filter(Boolean).map((call, index) => ({
+                    id: call.id || `call_${index}`,
+                    name: call.name,
+                    args: parseArguments(call.arguments),
+                })),
+                raw: null,
+            };
+        },
+    };
+}
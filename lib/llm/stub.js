@@ -0,0 +1,111 @@
+// ---------------- Offline Stub Provider ----------------
+// Deterministic rule-based replies so the backend can be run, demoed and
+// tested without any API key or network. The same input always produces
+// the same output.
+const RULES = [
+    { pattern: /\b(hello|hi|hey|namaste|hola|bonjour)\b/i, reply: () => "Hello! I'm Anshu, running in offline mode. How can I help you?" },
+    { pattern: /\b(your name|who are you)\b/i, reply: () => "I'm Anshu, your virtual assistant. I'm currently running in offline mode." },
+    { pattern: /\b(bye|goodbye|see you)\b/i, reply: () => "Goodbye! Talk to you soon." },
+    { pattern: /\b(thank you|thanks)\b/i, reply: () => "You're welcome!" },
+];
+
+// Offline memory extraction: the user's name when they give it, and the last
+// thing they asked about, each kept in one memory that later turns update
+const extractMemories = (content) => {
+    const { memories, exchange } = JSON.parse(content);
+    const changes = { add: [], update: [], remove: [] };
+    const upsert = (kind, prefix, text) => {
+        const existing = memories.find(memory => memory.text.startsWith(prefix));
+        if (existing) changes.update.push({ id: existing.id, text });
+        else changes.add.push({ kind, text });
+    };
+
+    const name = exchange.user.match(/\b(?:my name is|call me)\s+([\p{L}][\p{L}'-]*)/iu);
+    if (name) upsert('profile', "The user's name is", `The user's name is ${name[1]}.`);
+    if (exchange.user.includes('?')) upsert('topic', "The user last asked", `The user last asked: ${exchange.user.slice(0, 120)}`);
+    return JSON.stringify(changes);
+};
+
+// Offline tool use: questions these patterns recognize call the tool, when offered
+const TOOL_RULES = [
+    { tool: 'get_current_time', pattern: /\b(what time|time is it|what day|today's date|date today)\b/i, args: () => ({}) },
+    { tool: 'calculate', pattern: /\b(?:calculate|what is|what's)\s+([\d\s.+\-*/^%()]*\d[\d\s.+\-*/^%()]*)/i, args: (match) => ({ expression: match[1].trim() }) },
+    { tool: 'lookup_game_state', pattern: /\bgame state(?: (?:of|for) ([\w.]+))?/i, args: (match) => (match[1] ? { key: match[1] } : {}) },
+];
+
+// Words the stub answers with once its tools returned
+const describeToolResult = ({ name, content }) => {
+    if (content.error) return `The ${name} tool failed: ${content.error}`;
+    const { result } = content;
+    if (name === 'get_current_time') return `It is ${result.time} on ${result.date}.`;
+    if (name === 'calculate') return `${result.expression} = ${result.result}.`;
+    return `${name}: ${JSON.stringify(result)}`;
+};
+
+// Pulls the language code out of the system instruction, if any
+const extractLangCode = (systemInstruction = "") => {
+    const match = systemInstruction.match(/response language is: ([a-z]{2,3})/i);
+    return match ? match[1] : null;
+};
+
+const words = (text) => text.match(/\S+\s*/g) || [];
+
+// `missingKey` names the API key whose absence selected the stub; such an
+// instance fails its readiness check instead of answering users offline.
+export function createStubProvider({ model = "offline-stub", missingKey = null } = {}) {
+    return {
+        name: 'stub',
+        model,
+        async healthCheck() {
+            if (missingKey) throw new Error(`${missingKey} is not set, so replies come from the offline stub (set LLM_PROVIDER=stub to run offline on purpose)`);
+            return { offline: true };
+        },
+        // Calls a tool when the question matches a TOOL_RULES pattern, then
+        // answers from the tool results
+        async generateTurn({ systemInstruction, messages, tools = [] }) {
+            const last = messages.at(-1);
+            if (last?.role === 'tool') {
+                const results = [];
+                for (let index = messages.length - 1; messages[index]?.role === 'tool'; index--) {
+                    results.unshift(describeToolResult(messages[index]));
+                }
+                return { text: results.join(' '), toolCalls: [], raw: null };
+            }
+
+            const offered = new Set(tools.map(tool => tool.name));
+            const userText = last?.content || "";
+            for (const { tool, pattern, args } of TOOL_RULES) {
+                const match = userText.match(pattern);
+                if (match && offered.has(tool)) {
+                    return { text: "", toolCalls: [{ id: 'call_0', name: tool, args: args(match) }], raw: null };
+                }
+            }
+            return { text: await this.generate({ systemInstruction, messages }), toolCalls: [], raw: null };
+        },
+        // The same turn, its text word by word
+        async *streamTurn(options) {
+            const turn = await this.generateTurn(options);
+            yield* words(turn.text);
+            return turn;
+        },
+        // Streams the same reply word by word, like a real model would
+        async *stream({ systemInstruction, messages }) {
+            yield* words(await this.generate({ systemInstruction, messages }));
+        },
+        async generate({ systemInstruction, messages, purpose }) {
+            const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+            const userText = (lastUserMessage?.content || "").trim();
+
+            if (purpose?.task === 'memory-extraction') return extractMemories(userText);
+
+            // Offline "translation": the text, marked with the target language
+            if (purpose?.task === 'translation') return `[${purpose.targetLangCode}] ${userText}`;
+
+            const rule = RULES.find(({ pattern }) => pattern.test(userText));
+            const reply = rule ? rule.reply(userText) : `You said: "${userText}". (Offline reply, turn ${Math.ceil(messages.length / 2)}.)`;
+
+            const langCode = extractLangCode(systemInstruction);
+            return langCode && langCode !== 'en' ? `[${langCode}] ${reply}` : reply;
+        },
+    };
+}
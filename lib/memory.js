@@ -0,0 +1,327 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+import { generateReply } from './llm/index.js';
+import { buildMemoryExtractionInstruction } from './prompts.js';
+import { createBm25Index } from './knowledge/bm25.js';
+import { createTrace, currentTrace, runWithTrace, traceStage, annotateTrace } from './trace.js';
+
+// ---------------- Long-Term User Memory ----------------
+// Facts the assistant remembers about a player between sessions and days:
+// their name, the language they speak, what they asked about last time.
+// Requests opt in with a client-supplied `userId` (e.g. the Unity player id);
+// without one nothing is remembered or recalled.
+//
+// After every answered turn the LLM reads the exchange and the user's current
+// memories and returns what to add, update or remove (see
+// buildMemoryExtractionInstruction() in lib/prompts.js). This runs after the
+// reply has been sent, in a trace of its own, so it adds no latency.
+// Before answering, the user's profile and preference memories plus the
+// topics most relevant to the question (BM25, lib/knowledge/bm25.js) go into
+// the system instruction, see buildSystemInstruction().
+//
+// Every user has one JSON file in MEMORY_DIR (default data/memory, never
+// served over HTTP and readable by the server's user only):
+//     { userId, memories: [{ id, kind, text, source: "extracted" | "user", createdAt, updatedAt }] }
+// Users view, edit and erase their memories through routes/memory.js.
+//
+// Settings:
+//     MEMORY              on (default) | off: no extraction or recall; the
+//                         endpoints still show and erase what was stored
+//     MEMORY_MAX_FACTS    memories kept per user (default 50); the least
+//                         recently updated topic/other memories go first
+//     MEMORY_RECALL       memories put into one system instruction (default 8)
+
+export const MEMORY_KINDS = ['profile', 'preference', 'topic', 'other'];
+
+// Kinds that are recalled for every question, whatever it is about
+const ALWAYS_RECALLED = ['profile', 'preference'];
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.resolve(__dirname, '..', 'data', 'memory');
+const DEFAULT_MAX_FACTS = 50;
+const DEFAULT_RECALL = 8;
+const MAX_TEXT_LENGTH = 300;
+const USER_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.@-]{0,127}$/;
+
+// Extraction should be repeatable, not creative
+const EXTRACTION_GENERATION = { temperature: 0 };
+
+// Rejected changes carry an HTTP status and a stable machine-readable code:
+//     INVALID_USER_ID    400
+//     INVALID_MEMORY     400  bad text or kind
+//     MEMORY_NOT_FOUND   404
+export class MemoryError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'MemoryError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+export const isValidUserId = (userId) => typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+
+const checkUserId = (userId) => {
+    if (!isValidUserId(userId)) {
+        throw new MemoryError("userId must be 1-128 letters, digits, '_', '.', '@' or '-', starting with a letter or digit.", 'INVALID_USER_ID');
+    }
+};
+
+const validateText = (text) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new MemoryError("text must be a non-empty string.", 'INVALID_MEMORY');
+    }
+    if (text.trim().length > MAX_TEXT_LENGTH) {
+        throw new MemoryError(`text must be at most ${MAX_TEXT_LENGTH} characters.`, 'INVALID_MEMORY');
+    }
+    return text.trim();
+};
+
+const validateKind = (kind) => {
+    if (!MEMORY_KINDS.includes(kind)) {
+        throw new MemoryError(`kind must be one of ${MEMORY_KINDS.join(', ')}.`, 'INVALID_MEMORY');
+    }
+    return kind;
+};
+
+// The model's answer as { add, update, remove }, keeping only well-formed
+// changes; ids that do not exist (any more) are dropped
+export function parseMemoryChanges(text, memories) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) throw new Error(`No JSON object in the extraction reply: ${text.slice(0, 200)}`);
+    const changes = JSON.parse(text.slice(start, end + 1));
+
+    const known = new Set(memories.map(memory => memory.id));
+    const isText = (value) => typeof value === 'string' && value.trim() && value.trim().length <= MAX_TEXT_LENGTH;
+    return {
+        add: (Array.isArray(changes.add) ? changes.add : [])
+            .filter(item => isText(item?.text))
+            .map(item => ({ kind: MEMORY_KINDS.includes(item.kind) ? item.kind : 'other', text: item.text.trim() })),
+        update: (Array.isArray(changes.update) ? changes.update : [])
+            .filter(item => known.has(item?.id) && isText(item.text))
+            .map(item => ({ id: item.id, text: item.text.trim() })),
+        remove: (Array.isArray(changes.remove) ? changes.remove : []).filter(id => known.has(id)),
+    };
+}
+
+export function createMemoryStore(llm, env = process.env) {
+    const setting = (env.MEMORY || 'on').toLowerCase();
+    if (!['on', 'off'].includes(setting)) {
+        throw new Error(`Unknown MEMORY "${env.MEMORY}". Use on or off.`);
+    }
+    const enabled = setting === 'on';
+    const dir = env.MEMORY_DIR || DEFAULT_DIR;
+    const maxFacts = Number(env.MEMORY_MAX_FACTS || DEFAULT_MAX_FACTS);
+    const recallCount = Number(env.MEMORY_RECALL ?? DEFAULT_RECALL);
+
+    // Changes to one user's file are chained so they never overwrite each other
+    const queues = new Map();
+    // The extractions running per user, { cancelled }; erase() cancels them so
+    // they drop their result. An entry lives only while its extraction runs.
+    const extractions = new Map();
+
+    const fileFor = (userId) => path.join(dir, `${userId}.json`);
+
+    const load = async (userId) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(fileFor(userId), 'utf8')).memories || [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    };
+
+    const save = async (userId, memories) => {
+        // Personal data: readable by the server's user only
+        await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+        const file = fileFor(userId);
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify({ userId, memories }, null, 2), { mode: 0o600 });
+        await fs.promises.rename(tempFile, file);
+    };
+
+    const exclusive = (userId, change) => {
+        const result = (queues.get(userId) || Promise.resolve()).then(change);
+        const settled = result.catch(() => {});
+        queues.set(userId, settled);
+        settled.then(() => {
+            if (queues.get(userId) === settled) queues.delete(userId);
+        });
+        return result;
+    };
+
+    // Loads, changes and saves one user's memories. `change(memories)` edits
+    // the array in place and returns the call's result.
+    const modify = (userId, change) => exclusive(userId, async () => {
+        const memories = await load(userId);
+        const result = change(memories);
+        // Over the limit, the stalest memories that are not about the user go first
+        while (memories.length > maxFacts) {
+            const evictable = memories.filter(memory => !ALWAYS_RECALLED.includes(memory.kind));
+            const stalest = (evictable.length > 0 ? evictable : memories)
+                .reduce((oldest, memory) => (memory.updatedAt < oldest.updatedAt ? memory : oldest));
+            memories.splice(memories.indexOf(stalest), 1);
+        }
+        await save(userId, memories);
+        return result;
+    });
+
+    const newMemory = ({ kind, text, source }) => {
+        const now = new Date().toISOString();
+        return { id: randomBytes(4).toString('hex'), kind, text, source, createdAt: now, updatedAt: now };
+    };
+
+    const findMemory = (memories, memoryId) => {
+        const memory = memories.find(candidate => candidate.id === memoryId);
+        if (!memory) throw new MemoryError(`Memory "${memoryId}" not found.`, 'MEMORY_NOT_FOUND', 404);
+        return memory;
+    };
+
+    const extract = async (userId, turn) => {
+        const extraction = { cancelled: false };
+        if (!extractions.has(userId)) extractions.set(userId, new Set());
+        extractions.get(userId).add(extraction);
+        try {
+            return await extractAndSave(userId, turn, extraction);
+        } finally {
+            const running = extractions.get(userId);
+            running.delete(extraction);
+            if (running.size === 0) extractions.delete(userId);
+        }
+    };
+
+    const extractAndSave = async (userId, { userText, assistantText, spokenLangCode, targetLangCode }, extraction) => {
+        const memories = await load(userId);
+        const reply = await generateReply(llm, {
+            systemInstruction: buildMemoryExtractionInstruction(),
+            messages: [{
+                role: 'user',
+                content: JSON.stringify({
+                    memories: memories.map(({ id, kind, text }) => ({ id, kind, text })),
+                    exchange: { user: userText, assistant: assistantText, spokenLangCode: spokenLangCode || null, replyLangCode: targetLangCode },
+                }),
+            }],
+            generation: EXTRACTION_GENERATION,
+            purpose: { task: 'memory-extraction' },
+        });
+        const changes = parseMemoryChanges(reply, memories);
+        if (changes.add.length + changes.update.length + changes.remove.length === 0) return changes;
+
+        return modify(userId, (current) => {
+            // Erased while the model was thinking: the user asked to be forgotten
+            if (extraction.cancelled) return { add: [], update: [], remove: [] };
+            const now = new Date().toISOString();
+            for (const { id, text } of changes.update) {
+                const memory = current.find(candidate => candidate.id === id);
+                if (memory) Object.assign(memory, { text, source: 'extracted', updatedAt: now });
+            }
+            for (const id of changes.remove) {
+                const index = current.findIndex(candidate => candidate.id === id);
+                if (index !== -1) current.splice(index, 1);
+            }
+            for (const { kind, text } of changes.add) {
+                current.push(newMemory({ kind, text, source: 'extracted' }));
+            }
+            return changes;
+        });
+    };
+
+    return {
+        enabled,
+        dir,
+
+        async list(userId) {
+            checkUserId(userId);
+            return load(userId);
+        },
+
+        add(userId, { text, kind = 'other' } = {}) {
+            checkUserId(userId);
+            const memory = newMemory({ kind: validateKind(kind), text: validateText(text), source: 'user' });
+            return modify(userId, (memories) => {
+                memories.push(memory);
+                return memory;
+            });
+        },
+
+        // Changes the given fields only
+        update(userId, memoryId, { text, kind } = {}) {
+            checkUserId(userId);
+            const changes = {};
+            if (text !== undefined) changes.text = validateText(text);
+            if (kind !== undefined) changes.kind = validateKind(kind);
+            return modify(userId, (memories) => {
+                const memory = findMemory(memories, memoryId);
+                return Object.assign(memory, changes, { source: 'user', updatedAt: new Date().toISOString() });
+            });
+        },
+
+        remove(userId, memoryId) {
+            checkUserId(userId);
+            return modify(userId, (memories) => {
+                memories.splice(memories.indexOf(findMemory(memories, memoryId)), 1);
+            });
+        },
+
+        // Forgets everything about the user; resolves to the number of memories deleted
+        erase(userId) {
+            checkUserId(userId);
+            for (const extraction of extractions.get(userId) || []) extraction.cancelled = true;
+            return exclusive(userId, async () => {
+                const count = (await load(userId)).length;
+                await fs.promises.unlink(fileFor(userId)).catch((error) => {
+                    if (error.code !== 'ENOENT') throw error;
+                });
+                return count;
+            });
+        },
+
+        // The memories to put into the system instruction for `query`. Never
+        // rejects: without memories the assistant answers as before.
+        async recall(userId, query) {
+            if (!enabled || !userId || recallCount <= 0) return [];
+            try {
+                const memories = await load(userId);
+                const always = memories
+                    .filter(memory => ALWAYS_RECALLED.includes(memory.kind))
+                    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+                const others = memories.filter(memory => !ALWAYS_RECALLED.includes(memory.kind));
+                // The topics the question is about, then the most recent ones
+                const relevant = createBm25Index(others).search(query || '', others.length).map(({ id }) => others.find(memory => memory.id === id));
+                const recent = [...others].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+                const recalled = [...new Set([...always, ...relevant, ...recent])].slice(0, recallCount);
+                annotateTrace({ userId, memoriesRecalled: recalled.length });
+                return recalled;
+            } catch (error) {
+                console.error(`❌ Could not recall the memories of ${userId}: ${error.message}`);
+                return [];
+            }
+        },
+
+        // Extracts memories from a finished turn in the background, in a trace
+        // of its own (same request id) so the request's timings stay its own.
+        // Never rejects.
+        remember(userId, turn) {
+            if (!enabled || !userId) return Promise.resolve(null);
+            const trace = createTrace(currentTrace()?.requestId);
+            return runWithTrace(trace, () => traceStage('memory', async (details) => {
+                const changes = await extract(userId, turn);
+                Object.assign(details, { added: changes.add.length, updated: changes.update.length, removed: changes.remove.length });
+                return changes;
+            })).catch((error) => {
+                console.error(`❌ Could not update the memories of ${userId}: ${error.message}`);
+                return null;
+            });
+        },
+    };
+}
+
+// Answers a MemoryError with its status and code. Returns false for any other error.
+export function sendMemoryError(res, error) {
+    if (!(error instanceof MemoryError)) return false;
+    res.status(error.status).json({ error: error.message, code: error.code });
+    return true;
+}
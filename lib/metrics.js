@@ -0,0 +1,143 @@
+// ---------------- Prometheus Metrics ----------------
+// In-process counters, gauges and histograms, rendered in the Prometheus text
+// format by GET /metrics (routes/metrics.js). Nothing is pushed anywhere:
+// point any Prometheus-compatible scraper at the endpoint. Values reset when
+// the process restarts.
+//     anshu_http_requests_total{route,method,status}
+//     anshu_http_request_duration_seconds{route}          histogram
+//     anshu_requests_in_flight{kind}                       http | voice-stream
+//     anshu_stage_duration_seconds{stage,outcome}          decode, stt, llm, tts
+//     anshu_llm_retries_total{provider}
+//     anshu_empty_transcriptions_total{route}              the "Text is empty" replies
+//     anshu_tts_characters_total{engine,cached}
+// Stage durations come from the request trace, see lib/trace.js.
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 8, 13, 21];
+
+const metrics = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Series are kept per label combination, keyed by the label values in order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+
+const labelsOf = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((value, index) => [labelNames[index], value]));
+
+function defineMetric(type, name, help, labelNames, render) {
+    const series = new Map();
+    const metric = { type, name, help, labelNames, series, render: () => render(series) };
+    metrics.push(metric);
+    return metric;
+}
+
+function counter(name, help, labelNames = []) {
+    const metric = defineMetric('counter', name, help, labelNames, (series) =>
+        [...series].map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${value}`));
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            metric.series.set(key, (metric.series.get(key) || 0) + amount);
+        },
+    };
+}
+
+function gauge(name, help, labelNames = []) {
+    const metric = defineMetric('gauge', name, help, labelNames, (series) =>
+        [...series].map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${value}`));
+    const add = (labels, amount) => {
+        const key = seriesKey(labelNames, labels);
+        metric.series.set(key, (metric.series.get(key) || 0) + amount);
+    };
+    return {
+        inc: (labels = {}) => add(labels, 1),
+        dec: (labels = {}) => add(labels, -1),
+    };
+}
+
+function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    const metric = defineMetric('histogram', name, help, labelNames, (series) =>
+        [...series].flatMap(([key, { counts, sum, count }]) => {
+            const labels = labelsOf(labelNames, key);
+            let cumulative = 0;
+            return [
+                ...buckets.map((bound, index) => {
+                    cumulative += counts[index];
+                    return `${name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`;
+                }),
+                `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${name}_sum${formatLabels(labels)} ${Number(sum.toFixed(6))}`,
+                `${name}_count${formatLabels(labels)} ${count}`,
+            ];
+        }));
+    return {
+        observe(labels, seconds) {
+            const key = seriesKey(labelNames, labels);
+            let entry = metric.series.get(key);
+            if (!entry) metric.series.set(key, entry = { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            // Each observation lands in its smallest bucket; render() accumulates
+            const index = buckets.findIndex(bound => seconds <= bound);
+            if (index !== -1) entry.counts[index]++;
+            entry.sum += seconds;
+            entry.count++;
+        },
+    };
+}
+
+// ---- Pipeline metrics ----
+export const httpRequests = counter('anshu_http_requests_total', 'HTTP requests by route, method and status.', ['route', 'method', 'status']);
+export const httpRequestDuration = histogram('anshu_http_request_duration_seconds', 'HTTP request latency by route.', ['route']);
+export const requestsInFlight = gauge('anshu_requests_in_flight', 'HTTP requests and voice-stream utterances being processed.', ['kind']);
+export const stageDuration = histogram('anshu_stage_duration_seconds', 'Pipeline stage latency (decode, stt, retrieve, llm, tool, tts, memory).', ['stage', 'outcome']);
+export const llmRetries = counter('anshu_llm_retries_total', 'LLM calls retried after a failed attempt.', ['provider']);
+export const emptyTranscriptions = counter('anshu_empty_transcriptions_total', 'Utterances whose transcription came back empty.', ['route']);
+export const toolCalls = counter('anshu_tool_calls_total', 'Tool calls made by the LLM, by tool and outcome (ok, error).', ['tool', 'outcome']);
+export const ttsCharacters = counter('anshu_tts_characters_total', 'Characters of text synthesized to speech.', ['engine', 'cached']);
+
+const processStartSeconds = Math.floor(Date.now() / 1000);
+
+// The whole registry in the Prometheus text exposition format (version 0.0.4)
+export function renderMetrics() {
+    const lines = [];
+    for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+    }
+    lines.push(
+        '# HELP process_start_time_seconds Start time of the process since unix epoch in seconds.',
+        '# TYPE process_start_time_seconds gauge',
+        `process_start_time_seconds ${processStartSeconds}`,
+        '# HELP process_resident_memory_bytes Resident memory size in bytes.',
+        '# TYPE process_resident_memory_bytes gauge',
+        `process_resident_memory_bytes ${process.memoryUsage().rss}`,
+    );
+    return `${lines.join('\n')}\n`;
+}
+
+// The route pattern that handled a request ("/sessions/:id"), never the raw
+// URL, so unknown paths cannot grow the number of series
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// Express middleware, mounted first: request counts, latency and in-flight gauge
+export function countRequests(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    requestsInFlight.inc({ kind: 'http' });
+
+    let counted = false;
+    const done = () => {
+        if (counted) return;
+        counted = true;
+        requestsInFlight.dec({ kind: 'http' });
+        const route = routeLabel(req);
+        httpRequests.inc({ route, method: req.method, status: res.statusCode });
+        httpRequestDuration.observe({ route }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    };
+    // "close" without "finish" means the client went away mid-response
+    res.on('finish', done);
+    res.on('close', done);
+
+    next();
+}
@@ -0,0 +1,32 @@
+import { randomBytes } from 'crypto';
+
+// ---------------- Binary Multipart Replies ----------------
+// Opt-in alternative to base64 audio inside JSON: a multipart/mixed body with
+//     part 1  application/json, the usual reply fields without audioBase64
+//     part 2  the raw audio bytes, typed with audioMimeType
+// Every part carries a Content-Length, so clients can slice the parts out
+// without searching the audio bytes for the boundary.
+
+// A route answers with multipart when asked with ?multipart=true,
+// "multipart": true in a JSON body, or an Accept: multipart/mixed header.
+export const wantsMultipart = (req) =>
+    req.query.multipart === 'true' || req.body?.multipart === true || (req.get('Accept') || '').includes('multipart/mixed');
+
+export function sendMultipartReply(res, reply, speech) {
+    const { audioBase64, ...metadata } = reply;
+    const boundary = `anshu-${randomBytes(12).toString('hex')}`;
+    const json = Buffer.from(JSON.stringify(metadata), 'utf8');
+
+    const part = (contentType, body) => Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Length: ${body.length}\r\n\r\n`),
+        body,
+        Buffer.from('\r\n'),
+    ]);
+
+    res.set('Content-Type', `multipart/mixed; boundary=${boundary}`);
+    res.send(Buffer.concat([
+        part('application/json; charset=utf-8', json),
+        part(speech.mimeType, speech.audioContent),
+        Buffer.from(`--${boundary}--\r\n`),
+    ]));
+}
@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VOICE_CATALOG, VOICE_GENDERS } from './voices.js';
+
+// ---------------- Personas ----------------
+// A persona is the character that answers: its system prompt, its default
+// voice per language and its generation settings. Personas live in a JSON
+// file (PERSONAS_FILE, default data/personas.json), managed through the
+// /personas routes; requests pick one with `personaId`, else PERSONA_DEFAULT
+// (default "anshu") answers.
+//     { id, name, description, systemPrompt,
+//       voices: { "<lang>": { voiceName, voiceGender } },
+//       generation: { temperature, topP, maxOutputTokens },
+//       createdAt, updatedAt }
+//
+// systemPrompt is a template. {{variable}} is replaced by its value and
+// {{#variable}}...{{/variable}} is kept only when the variable has one:
+//     personaName   the persona's name
+//     language      the reply language ("Hindi"), languageCode its code ("hi")
+//     userName      the request's userName field
+//     scene         the request's scene field (e.g. the Unity scene)
+// The reply-language rules are appended by buildSystemInstruction() in
+// lib/prompts.js, so a persona cannot forget them.
+//
+// The built-in "anshu" persona is used until the file defines its own.
+
+export const TEMPLATE_VARIABLES = ['personaName', 'language', 'languageCode', 'userName', 'scene'];
+
+export const BUILT_IN_PERSONA = {
+    id: 'anshu',
+    name: 'Anshu',
+    description: "The default assistant.",
+    systemPrompt: "You are a helpful and friendly virtual assistant.",
+    voices: {},
+    generation: {},
+    createdAt: null,
+    updatedAt: null,
+};
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.resolve(__dirname, '..', 'data', 'personas.json');
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_PROMPT_LENGTH = 8000;
+const GENERATION_LIMITS = {
+    temperature: { min: 0, max: 2 },
+    topP: { min: 0, max: 1 },
+    maxOutputTokens: { min: 1, max: 8192, integer: true },
+};
+const EDITABLE_FIELDS = ['name', 'description', 'systemPrompt', 'voices', 'generation'];
+
+export class PersonaError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'PersonaError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const invalid = (message) => new PersonaError(message, 'INVALID_PERSONA');
+
+// "Shop Keeper 2" -> "shop-keeper-2"
+const slugify = (name) => name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+
+// {{#var}}...{{/var}} sections first, then plain {{var}}
+export function renderTemplate(template, variables) {
+    return template
+        .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, body) => (variables[name] ? body : ''))
+        .replace(/\{\{(\w+)\}\}/g, (match, name) => variables[name] ?? '')
+        .replace(/[ \t]+\n/g, '\n')
+        .trim();
+}
+
+const validateTemplate = (template) => {
+    if (typeof template !== 'string' || !template.trim()) throw invalid("systemPrompt must be a non-empty string.");
+    if (template.length > MAX_PROMPT_LENGTH) throw invalid(`systemPrompt is longer than ${MAX_PROMPT_LENGTH} characters.`);
+    const unknown = [...template.matchAll(/\{\{[#/]?(\w+)\}\}/g)]
+        .map(([, name]) => name)
+        .filter(name => !TEMPLATE_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+        throw invalid(`Unknown template variable(s): ${[...new Set(unknown)].join(', ')}. Use ${TEMPLATE_VARIABLES.join(', ')}.`);
+    }
+};
+
+const validateVoices = (voices) => {
+    if (typeof voices !== 'object' || voices === null || Array.isArray(voices)) throw invalid("voices must be an object keyed by language code.");
+    for (const [langCode, voice] of Object.entries(voices)) {
+        const language = VOICE_CATALOG[langCode];
+        if (!language) throw invalid(`voices.${langCode}: not a supported language code.`);
+        if (voice?.voiceName !== undefined && !language.voices.some(candidate => candidate.name === voice.voiceName)) {
+            throw invalid(`voices.${langCode}.voiceName: ${voice.voiceName} is not a ${langCode} voice, see GET /voices.`);
+        }
+        if (voice?.voiceGender !== undefined && !VOICE_GENDERS.includes(String(voice.voiceGender).toUpperCase())) {
+            throw invalid(`voices.${langCode}.voiceGender must be ${VOICE_GENDERS.join(' or ')}.`);
+        }
+    }
+};
+
+const validateGeneration = (generation) => {
+    if (typeof generation !== 'object' || generation === null || Array.isArray(generation)) throw invalid("generation must be an object.");
+    for (const [name, value] of Object.entries(generation)) {
+        const limits = GENERATION_LIMITS[name];
+        if (!limits) throw invalid(`generation.${name} is not a setting. Use ${Object.keys(GENERATION_LIMITS).join(', ')}.`);
+        if (typeof value !== 'number' || value < limits.min || value > limits.max || (limits.integer && !Number.isInteger(value))) {
+            throw invalid(`generation.${name} must be a${limits.integer ? 'n integer' : ' number'} from ${limits.min} to ${limits.max}.`);
+        }
+    }
+};
+
+// Checks the editable fields of a complete persona
+const validatePersona = (persona) => {
+    if (typeof persona.name !== 'string' || !persona.name.trim()) throw invalid("name must be a non-empty string.");
+    if (persona.description !== undefined && typeof persona.description !== 'string') throw invalid("description must be a string.");
+    validateTemplate(persona.systemPrompt);
+    validateVoices(persona.voices);
+    validateGeneration(persona.generation);
+};
+
+const pickEditable = (fields) => Object.fromEntries(
+    Object.entries(fields || {}).filter(([name]) => EDITABLE_FIELDS.includes(name))
+);
+
+export function createPersonaStore({ file = DEFAULT_FILE, defaultId = BUILT_IN_PERSONA.id } = {}) {
+    let personas = [];
+
+    const read = () => {
+        try {
+            personas = JSON.parse(fs.readFileSync(file, 'utf8')).personas || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            personas = [];
+        }
+    };
+
+    const write = () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tempFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ personas }, null, 2));
+        fs.renameSync(tempFile, file);
+    };
+
+    // Stored personas, plus the built-in one unless the file overrides it
+    const all = () => (personas.some(persona => persona.id === BUILT_IN_PERSONA.id) ? personas : [BUILT_IN_PERSONA, ...personas]);
+
+    const find = (id) => all().find(persona => persona.id === id) || null;
+
+    read();
+    if (!find(defaultId)) {
+        console.warn(`⚠️ PERSONA_DEFAULT "${defaultId}" does not exist, using "${BUILT_IN_PERSONA.id}".`);
+        defaultId = BUILT_IN_PERSONA.id;
+    }
+
+    return {
+        file,
+        defaultId,
+
+        list: () => all(),
+
+        get: find,
+
+        // The persona for a request's personaId (no id means the default), or null when unknown
+        resolve(id) {
+            if (id === undefined || id === null || id === '') return find(defaultId);
+            return find(String(id));
+        },
+
+        create(fields) {
+            const id = fields?.id ?? slugify(String(fields?.name || ''));
+            // A JSON number would pass the pattern but be stored as a number no URL matches
+            if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+                throw invalid("id must be a string of 1-64 lowercase letters, digits, '-' or '_' (or give a name to derive it from).");
+            }
+            if (personas.some(persona => persona.id === id)) {
+                throw new PersonaError(`Persona "${id}" already exists.`, 'PERSONA_EXISTS', 409);
+            }
+            const now = new Date().toISOString();
+            const { name, description = '', systemPrompt, voices = {}, generation = {} } = pickEditable(fields);
+            const persona = { id, name, description, systemPrompt, voices, generation, createdAt: now, updatedAt: now };
+            validatePersona(persona);
+            personas.push(persona);
+            write();
+            return persona;
+        },
+
+        // Changes the given fields; editing the built-in persona stores a copy of it
+        update(id, fields) {
+            const existing = find(id);
+            if (!existing) throw new PersonaError(`Persona "${id}" not found.`, 'PERSONA_NOT_FOUND', 404);
+            const persona = { ...existing, ...pickEditable(fields), updatedAt: new Date().toISOString() };
+            validatePersona(persona);
+            personas = [...personas.filter(candidate => candidate.id !== id), persona];
+            write();
+            return persona;
+        },
+
+        // Deleting the stored "anshu" brings back the built-in one
+        remove(id) {
+            if (id === BUILT_IN_PERSONA.id && !personas.some(persona => persona.id === id)) {
+                throw new PersonaError(`Persona "${id}" is built in and cannot be deleted.`, 'PERSONA_BUILT_IN', 409);
+            }
+            if (!personas.some(persona => persona.id === id)) {
+                throw new PersonaError(`Persona "${id}" not found.`, 'PERSONA_NOT_FOUND', 404);
+            }
+            if (id === defaultId && id !== BUILT_IN_PERSONA.id) {
+                throw new PersonaError(`Persona "${id}" is the default (PERSONA_DEFAULT) and cannot be deleted.`, 'PERSONA_IS_DEFAULT', 409);
+            }
+            personas = personas.filter(persona => persona.id !== id);
+            write();
+        },
+    };
+}
+
+// The reply voice options: the request's voiceName / voiceGender win over the
+// persona's default for the language
+export function personaVoiceOptions(persona, langCode, { voiceName, voiceGender } = {}) {
+    const personaVoice = persona?.voices?.[langCode] || {};
+    return {
+        voiceName: voiceName ?? personaVoice.voiceName,
+        voiceGender: voiceGender ?? personaVoice.voiceGender,
+    };
+}
+
+// Answers a PersonaError with its status and code. Returns false for any other error.
+export function sendPersonaError(res, error) {
+    if (!(error instanceof PersonaError)) return false;
+    res.status(error.status).json({ error: error.message, code: error.code });
+    return true;
+}
@@ -0,0 +1,254 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { generateReply, generateReplyWithTools } from './llm/index.js';
+import { resolveVoice } from './voices.js';
+import { buildSystemInstruction } from './prompts.js';
+import { personaVoiceOptions } from './personas.js';
+import { prepareAudioForSTT } from './audioInput.js';
+import { buildToolContext } from './tools/index.js';
+import { gameStateTool } from './tools/gameState.js';
+import { AUTO_LANG_CODE, DEFAULT_LANG_CODE, detectSpokenLanguage, guessLanguageFromText, resolveReplyLanguage } from './languages.js';
+
+// ---------------- Interaction Replay and Regression Checks ----------------
+// Used by replayInteractions.js. A replay case is one recorded interaction:
+//     { id, source, audioPath, transcript, reply, spokenLangCode, requestedLangCode, personaId,
+//       history, toolCalls, memoriesRecalled }
+// taken from the interaction journal (lib/journal.js; audio side files when it
+// kept them) or from a loose audio file such as an upload left in uploads/.
+// Journal entries of one session are replayed with the recorded earlier turns
+// as history, so every case is independent of how the others came out.
+//
+// Each stage can use the configured provider ("env") or the recording:
+//     stt  env | recorded   recorded uses the journal transcript, when there is one
+//     llm  env | recorded   recorded uses the journal reply
+//     tts  env | off
+// A run result per case: { transcript, spokenLangCode, targetLangCode, reply,
+// audioBytes, timings: { stt, llm, tts, total }, error, skipped }.
+//
+// A recording whose toolCalls is not null was answered with tools offered;
+// its replay offers the tools TOOLS configures today, as the server would.
+// Some prompts cannot be rebuilt, so with llm=env these cases are skipped
+// (`skipped` says why) instead of reporting the different prompt's reply:
+//     memoriesRecalled > 0     the user's memories then are not the ones now
+//     lookup_game_state calls  the game state is not in the journal
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+const readJsonLines = (file) => fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch {
+            throw new Error(`${file}:${index + 1} is not valid JSON`);
+        }
+    });
+
+// Journal entries that can be replayed: they have audio or a transcript
+export function loadJournalCases(file) {
+    const entries = readJsonLines(file);
+    const turnsBySession = new Map();
+    const cases = [];
+
+    for (const entry of entries) {
+        const audioPath = entry.audio?.input ? path.resolve(path.dirname(file), entry.audio.input) : null;
+        const hasAudio = audioPath && fs.existsSync(audioPath);
+        if (!hasAudio && !entry.transcript) continue;
+
+        const history = entry.sessionId ? turnsBySession.get(entry.sessionId) || [] : [];
+        cases.push({
+            id: entry.requestId,
+            source: `${path.basename(file)} ${entry.route}`,
+            audioPath: hasAudio ? audioPath : null,
+            transcript: entry.transcript ?? null,
+            reply: entry.reply ?? null,
+            spokenLangCode: entry.spokenLangCode ?? null,
+            requestedLangCode: entry.requestedLangCode || entry.targetLangCode || DEFAULT_LANG_CODE,
+            personaId: entry.personaId ?? null,
+            history: [...history],
+            toolCalls: entry.toolCalls ?? null,
+            memoriesRecalled: entry.memoriesRecalled ?? null,
+        });
+
+        if (entry.sessionId && entry.transcript && entry.reply) {
+            turnsBySession.set(entry.sessionId, [
+                ...history,
+                { role: 'user', content: entry.transcript },
+                { role: 'assistant', content: entry.reply },
+            ]);
+        }
+    }
+    return cases;
+}
+
+// Loose audio files; a directory contributes every file in it
+export function loadAudioCases(target, requestedLangCode = AUTO_LANG_CODE) {
+    const files = fs.statSync(target).isDirectory()
+        ? fs.readdirSync(target).filter(name => !name.startsWith('.')).map(name => path.join(target, name))
+        : [target];
+
+    return files.filter(file => fs.statSync(file).isFile()).map(file => ({
+        id: `file:${path.basename(file)}`,
+        source: file,
+        audioPath: file,
+        transcript: null,
+        reply: null,
+        spokenLangCode: null,
+        requestedLangCode,
+        personaId: null,
+        history: [],
+        toolCalls: null,
+        memoriesRecalled: null,
+    }));
+}
+
+// Runs `fn` and stores its duration in `timings[name]`
+const timed = async (timings, name, fn) => {
+    const start = performance.now();
+    try {
+        return await fn();
+    } finally {
+        timings[name] = round(performance.now() - start);
+    }
+};
+
+const transcribe = async (stt, audioPath) => {
+    const { audio, extension } = await prepareAudioForSTT(await fs.promises.readFile(audioPath), stt);
+    const tempPath = path.join(os.tmpdir(), `replay_${Date.now()}_${process.pid}.${extension}`);
+    await fs.promises.writeFile(tempPath, audio);
+    try {
+        return await stt.transcribeFile(tempPath);
+    } finally {
+        fs.promises.unlink(tempPath).catch(() => {});
+    }
+};
+
+// Why a case's recorded prompt cannot be rebuilt, or null
+const unreplayableReason = (interaction) => {
+    if (interaction.memoriesRecalled > 0) return `answered with ${interaction.memoriesRecalled} recalled memories`;
+    if (interaction.toolCalls?.some(call => call.name === gameStateTool.name)) return "answered from the game state";
+    return null;
+};
+
+// Replays one case through STT -> LLM -> TTS, the way /process-raw-audio and
+// /process-text run it, as the recorded persona (or the default one), with
+// the passages today's knowledge base retrieves and, when the recording had
+// them, the `tools` of lib/tools/index.js.
+// Never rejects: failures end up in `error`.
+export async function replayCase(interaction, { stt, llm, tts, personas, knowledge, tools, modes }) {
+    const timings = {};
+    const result = { transcript: null, spokenLangCode: null, targetLangCode: null, reply: null, audioBytes: null, timings, error: null, skipped: null };
+    const start = performance.now();
+
+    result.skipped = modes.llm === 'env' ? unreplayableReason(interaction) : null;
+    if (result.skipped) {
+        timings.total = 0;
+        return result;
+    }
+
+    try {
+        // 1. TRANSCRIPT: recorded, typed text, or the audio through STT
+        if (interaction.audioPath && !(modes.stt === 'recorded' && interaction.transcript !== null)) {
+            const transcription = await timed(timings, 'stt', () => transcribe(stt, interaction.audioPath));
+            result.transcript = transcription.text;
+            result.spokenLangCode = detectSpokenLanguage(transcription);
+        } else {
+            result.transcript = interaction.transcript;
+            result.spokenLangCode = interaction.spokenLangCode || guessLanguageFromText(interaction.transcript);
+        }
+        result.targetLangCode = resolveReplyLanguage(interaction.requestedLangCode, result.spokenLangCode);
+
+        if (!result.transcript) {
+            throw new Error("Could not transcribe audio. Text is empty.");
+        }
+
+        // 2. REPLY
+        const persona = personas.resolve(interaction.personaId);
+        if (!persona) {
+            throw new Error(`Persona "${interaction.personaId}" no longer exists.`);
+        }
+        if (modes.llm === 'recorded' && interaction.reply !== null) {
+            result.reply = interaction.reply;
+        } else {
+            const { passages } = await knowledge.retrieve(result.transcript);
+            const request = {
+                systemInstruction: buildSystemInstruction({ persona, targetLangCode: result.targetLangCode, spokenLangCode: result.spokenLangCode, passages }),
+                messages: [...interaction.history, { role: 'user', content: result.transcript }],
+                generation: persona.generation,
+            };
+            result.reply = await timed(timings, 'llm', async () => (interaction.toolCalls
+                ? (await generateReplyWithTools(llm, { ...request, tools, toolContext: buildToolContext({ replyLangCode: result.targetLangCode, tools }) })).reply
+                : generateReply(llm, request)));
+        }
+        if (!result.reply) {
+            throw new Error("The LLM did not provide a response");
+        }
+
+        // 3. SPEECH
+        if (modes.tts !== 'off') {
+            const voice = resolveVoice(result.targetLangCode, personaVoiceOptions(persona, result.targetLangCode));
+            const speech = await timed(timings, 'tts', () => tts.synthesize({ text: result.reply, voice }));
+            result.audioBytes = speech.audioContent.length;
+        }
+    } catch (error) {
+        result.error = error.message || String(error);
+    }
+
+    timings.total = round(performance.now() - start);
+    return result;
+}
+
+// Transcripts compare without case, punctuation or extra spaces
+const normalizeText = (text) => (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+// Compares a run with the baseline. A case regresses when it now fails, its
+// transcript or languages changed, its reply changed (only with strictReplies;
+// live models rarely answer twice alike) or a stage got slower than
+// baseline * (1 + latencyTolerance) by more than latencyFloorMs.
+// Cases skipped now or in the baseline are not compared.
+// Returns [{ id, status: 'ok' | 'regressed' | 'changed' | 'new' | 'missing' | 'skipped', differences }]
+export function compareRuns(baseline, current, { strictReplies = false, latencyTolerance = 0.5, latencyFloorMs = 250 } = {}) {
+    const comparisons = [];
+
+    for (const [id, now] of Object.entries(current)) {
+        const before = baseline[id];
+        if (!before) {
+            comparisons.push({ id, status: 'new', differences: [] });
+            continue;
+        }
+        if (now.skipped || before.skipped) {
+            comparisons.push({ id, status: 'skipped', differences: [] });
+            continue;
+        }
+
+        const differences = [];
+        const differ = (field, regression, from, to) => differences.push({ field, regression, from, to });
+
+        if (now.error && !before.error) differ('error', true, null, now.error);
+        if (!now.error && before.error) differ('error', false, before.error, null);
+        if (normalizeText(now.transcript) !== normalizeText(before.transcript)) differ('transcript', true, before.transcript, now.transcript);
+        if (now.spokenLangCode !== before.spokenLangCode) differ('spokenLangCode', true, before.spokenLangCode, now.spokenLangCode);
+        if (now.targetLangCode !== before.targetLangCode) differ('targetLangCode', true, before.targetLangCode, now.targetLangCode);
+        if ((now.reply || '').trim() !== (before.reply || '').trim()) differ('reply', strictReplies, before.reply, now.reply);
+
+        for (const stage of ['stt', 'llm', 'tts', 'total']) {
+            const from = before.timings?.[stage];
+            const to = now.timings?.[stage];
+            if (from === undefined || to === undefined) continue;
+            if (to > from * (1 + latencyTolerance) && to - from > latencyFloorMs) {
+                differ(`timings.${stage}`, true, from, to);
+            }
+        }
+
+        const status = differences.some(difference => difference.regression) ? 'regressed' : differences.length > 0 ? 'changed' : 'ok';
+        comparisons.push({ id, status, differences });
+    }
+
+    for (const id of Object.keys(baseline)) {
+        if (!current[id]) comparisons.push({ id, status: 'missing', differences: [] });
+    }
+    return comparisons;
+}
@@ -0,0 +1,67 @@
+// ---------------- Sentence Splitting ----------------
+// Splits an assistant reply into sentences so speech can be synthesized and
+// played piece by piece. Handles Latin punctuation plus the Devanagari danda
+// and CJK full stops used by the languages in VOICE_MAP.
+const SENTENCE_REGEX = /[^.!?।॥。！？]+(?:[.!?।॥。！？]+["'”’)\]]*|$)/g;
+
+// Very short fragments ("Hi.") are merged into the next sentence to avoid
+// lots of tiny TTS requests.
+const MIN_SENTENCE_LENGTH = 12;
+
+export function splitSentences(text) {
+    const parts = (text.match(SENTENCE_REGEX) || [])
+        .map(part => part.trim())
+        .filter(Boolean);
+
+    const sentences = [];
+    let pending = '';
+    for (const part of parts) {
+        pending = pending ? `${pending} ${part}` : part;
+        if (pending.length >= MIN_SENTENCE_LENGTH) {
+            sentences.push(pending);
+            pending = '';
+        }
+    }
+    if (pending) {
+        if (sentences.length > 0) {
+            sentences[sentences.length - 1] += ` ${pending}`;
+        } else {
+            sentences.push(pending);
+        }
+    }
+    return sentences;
+}
+
+// Groups sentences into chunks of at most `maxBytes` UTF-8 bytes, for TTS
+// APIs with a per-request input limit. A sentence that alone exceeds the
+// limit is split between words.
+export function chunkText(text, maxBytes) {
+    const byteLength = (value) => Buffer.byteLength(value, 'utf8');
+    const pieces = [];
+    for (const sentence of splitSentences(text)) {
+        if (byteLength(sentence) <= maxBytes) {
+            pieces.push(sentence);
+            continue;
+        }
+        let piece = '';
+        for (const word of sentence.split(/\s+/)) {
+            if (piece && byteLength(`${piece} ${word}`) > maxBytes) {
+                pieces.push(piece);
+                piece = '';
+            }
+            piece = piece ? `${piece} ${word}` : word;
+        }
+        if (piece) pieces.push(piece);
+    }
+
+    const chunks = [];
+    for (const piece of pieces) {
+        const last = chunks[chunks.length - 1];
+        if (last !== undefined && byteLength(`${last} ${piece}`) <= maxBytes) {
+            chunks[chunks.length - 1] = `${last} ${piece}`;
+        } else {
+            chunks.push(piece);
+        }
+    }
+    return chunks;
+}
@@ -0,0 +1,113 @@
+import { randomUUID } from 'crypto';
+
+// ---------------- Conversation Session Store ----------------
+// Keeps per-session turn history in memory so every route can send the LLM
+// the whole conversation instead of a single prompt.
+// Sessions expire after SESSION_TTL_MINUTES of inactivity.
+
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 30) * 60 * 1000;
+const SESSION_MAX_TURNS = Number(process.env.SESSION_MAX_TURNS) || 20;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const sessions = new Map();
+
+const isExpired = (session, now = Date.now()) => now - session.updatedAt > SESSION_TTL_MS;
+
+export function createSession() {
+    const now = Date.now();
+    const session = {
+        id: randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        turns: [],
+    };
+    sessions.set(session.id, session);
+    return session;
+}
+
+// Returns the live session, or null if it never existed or has expired.
+export function getSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+    if (isExpired(session)) {
+        sessions.delete(sessionId);
+        return null;
+    }
+    return session;
+}
+
+// Resolves the session for a request: a missing id starts a new session,
+// an unknown or expired id returns null so the route can answer 404.
+export function resolveSession(sessionId) {
+    if (!sessionId) return createSession();
+    return getSession(sessionId);
+}
+
+export function deleteSession(sessionId) {
+    return sessions.delete(sessionId);
+}
+
+// Records a completed turn. Voice and text turns share the same shape so
+// they can be mixed freely within one session.
+export function addTurn(session, { inputMode, userText, assistantText, spokenLangCode, targetLangCode }) {
+    const now = Date.now();
+    session.turns.push({
+        inputMode,
+        userText,
+        assistantText,
+        spokenLangCode: spokenLangCode || null,
+        targetLangCode,
+        createdAt: new Date(now).toISOString(),
+    });
+    // Only the most recent turns are kept to bound the prompt size
+    if (session.turns.length > SESSION_MAX_TURNS) {
+        session.turns.splice(0, session.turns.length - SESSION_MAX_TURNS);
+    }
+    session.updatedAt = now;
+}
+
+// Replaces the game state the Unity client reported for this session; read by
+// the lookup_game_state tool, see lib/tools/gameState.js
+export function setGameState(session, gameState) {
+    const now = Date.now();
+    session.gameState = gameState;
+    session.gameStateUpdatedAt = new Date(now).toISOString();
+    session.updatedAt = now;
+}
+
+// Builds the provider-neutral message list from the history plus the new user message.
+export function buildMessages(session, userText) {
+    const messages = [];
+    for (const turn of session.turns) {
+        messages.push({ role: 'user', content: turn.userText });
+        messages.push({ role: 'assistant', content: turn.assistantText });
+    }
+    messages.push({ role: 'user', content: userText });
+    return messages;
+}
+
+export function summarizeSession(session) {
+    return {
+        sessionId: session.id,
+        createdAt: new Date(session.createdAt).toISOString(),
+        updatedAt: new Date(session.updatedAt).toISOString(),
+        expiresAt: new Date(session.updatedAt + SESSION_TTL_MS).toISOString(),
+        turnCount: session.turns.length,
+        // Set by /translate in interpreter mode, see lib/translation.js
+        interpreterLangCodes: session.interpreterLangCodes,
+    };
+}
+
+export function serializeSession(session) {
+    return { ...summarizeSession(session), turns: session.turns };
+}
+
+// ---------------- Expiry Sweep ----------------
+const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const session of sessions.values()) {
+        if (isExpired(session, now)) sessions.delete(session.id);
+    }
+}, SWEEP_INTERVAL_MS);
+// Do not keep the process alive just for the sweep
+sweepTimer.unref();
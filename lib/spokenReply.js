@@ -0,0 +1,58 @@
+import { openEventStream } from './sse.js';
+import { synthesizeSentences } from './tts/index.js';
+import { traceTimings } from './trace.js';
+import { noteInteraction } from './journal.js';
+
+// ---------------- Streamed Spoken Reply (SSE) ----------------
+// Events of a streamed reply, in order:
+//     delta  { text }, incremental reply text (token-streaming routes only)
+//     reply  the route's usual JSON fields with the full reply text, without the audio
+//     audio  { index, text, audioBase64, audioMimeType, encoding, sampleRateHertz, durationMs },
+//            one per sentence, in order
+//     done   { sessionId, audioChunks, timings }, timings in ms per stage, see lib/trace.js
+//     error  { error, details }, ends the stream
+// Audio is sent sentence by sentence so playback can start before the whole
+// answer is synthesized.
+
+// Sends `reply`, its audio (unless withAudio is false) and `done` on an open event stream.
+// `format` is the requested audio format, see lib/audioOutput.js. Resolves to
+// true once `done` was sent, false when synthesis failed or the client left.
+export async function sendSpokenReply(events, tts, { reply, voice, format, withAudio = true }) {
+    events.send('reply', reply);
+
+    try {
+        let audioChunks = 0;
+        if (withAudio) {
+            for await (const { index, text, speech } of synthesizeSentences(tts, { text: reply.assistantResponse, voice, format })) {
+                if (events.closed) return false; // Client disconnected, stop synthesizing
+                events.send('audio', {
+                    index,
+                    text,
+                    audioBase64: speech.audioContent.toString('base64'),
+                    audioMimeType: speech.mimeType,
+                    encoding: speech.audioEncoding,
+                    sampleRateHertz: speech.sampleRateHertz,
+                    durationMs: speech.durationMs,
+                });
+                audioChunks++;
+            }
+        }
+        events.send('done', { sessionId: reply.sessionId, audioChunks, timings: traceTimings() });
+        return true;
+    } catch (err) {
+        console.error("TTS error in streamed reply:", err.message || err);
+        noteInteraction({ error: `Failed to synthesize speech: ${err.message}` });
+        events.send('error', { error: "Failed to synthesize speech", details: err.message });
+        return false;
+    }
+}
+
+// Streams a reply whose text is already complete.
+export async function streamSpokenReply(res, tts, options) {
+    const events = openEventStream(res);
+    try {
+        return await sendSpokenReply(events, tts, options);
+    } finally {
+        events.end();
+    }
+}
@@ -0,0 +1,37 @@
+// ---------------- Server-Sent Events ----------------
+// Streaming responses for POST routes. Browsers read them with fetch() and a
+// stream reader (EventSource only supports GET); each event is
+//     event: <name>
+//     data: <JSON>
+
+// A route streams when asked with ?stream=true, "stream": true in a JSON
+// body, or an Accept: text/event-stream header.
+export const wantsEventStream = (req) =>
+    req.query.stream === 'true' || req.body?.stream === true || (req.get('Accept') || '').includes('text/event-stream');
+
+export function openEventStream(res) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop reverse proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    return {
+        // True once the client went away; producers should stop working
+        get closed() {
+            return closed || res.writableEnded;
+        },
+        send(event, data) {
+            if (this.closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        end() {
+            if (!res.writableEnded) res.end();
+        },
+    };
+}
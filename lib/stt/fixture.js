@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { joinWords } from './words.js';
+
+// ---------------- Fixture Provider (offline) ----------------
+// Looks up a recorded transcription by the SHA-256 of the audio file:
+//     <fixtureDir>/<sha256>.json  ->  { "text": "...", "words": [...], "language": "en" }
+// "words" and "language" are optional. Audio without a fixture gets the
+// default text, so /process-raw-audio can be exercised without the network.
+// `missingKey` names the API key whose absence selected the fixtures; such an
+// instance fails its readiness check.
+export function createFixtureProvider({ fixtureDir, defaultText = "Hello Anshu, can you hear me?", missingKey = null }) {
+    const toTranscription = (fixture) => {
+        const words = (fixture.words || []).map(word => ({
+            text: word.text,
+            startMs: word.startMs ?? null,
+            durationMs: word.durationMs ?? null,
+            confidence: word.confidence ?? null,
+            language: word.language || null,
+        }));
+        return {
+            text: fixture.text ?? joinWords(words),
+            words,
+            language: fixture.language || null,
+        };
+    };
+
+    return {
+        name: 'fixture',
+        model: 'fixture',
+        async healthCheck() {
+            if (missingKey) throw new Error(`${missingKey} is not set, so transcripts come from fixtures (set STT_PROVIDER=fixture to run offline on purpose)`);
+            return { offline: true, fixtureDir };
+        },
+        // Fixtures are keyed by the uploaded bytes, so nothing is decoded
+        inputFormats: ['wav', 'webm', 'ogg', 'mp3', 'flac', 'm4a'],
+        async transcribeFile(filePath) {
+            const audio = await fs.promises.readFile(filePath);
+            const hash = createHash('sha256').update(audio).digest('hex');
+            const fixturePath = path.join(fixtureDir, `${hash}.json`);
+
+            if (fs.existsSync(fixturePath)) {
+                return toTranscription(JSON.parse(await fs.promises.readFile(fixturePath, 'utf8')));
+            }
+            console.warn(`No STT fixture for ${hash}, using the default transcription.`);
+            return toTranscription({ text: defaultText });
+        },
+    };
+}
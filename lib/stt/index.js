@@ -0,0 +1,155 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { createSonioxProvider } from './soniox.js';
+import { createFixtureProvider } from './fixture.js';
+import { createWhisperProvider } from './whisper.js';
+import { pcmToWav } from '../audio.js';
+import { VOICE_MAP } from '../voices.js';
+import { traceStage } from '../trace.js';
+import { noteInteraction } from '../journal.js';
+
+// ---------------- Speech-to-Text Provider Layer ----------------
+// Every provider implements:
+//     name, model
+//     transcribeFile(filePath) -> Promise<Transcription>
+//     createStream({ sampleRate, onPartial })   optional, for live PCM input
+//     healthCheck({ probe })                    -> Promise<details>, rejects when the provider
+//                                               cannot serve (see lib/health.js)
+//     inputFormats, inputSampleRate             optional, audio the provider takes as is
+//                                               (default WAV at any rate); other uploads are
+//                                               decoded to mono WAV first, see lib/audioInput.js
+// and returns a normalized Transcription:
+//     { text, language, words: [{ text, startMs, durationMs, confidence, language }] }
+// `language` is the detected spoken language code, or null if unknown.
+//
+// The provider is chosen with STT_PROVIDER:
+//     soniox   SONIOX_API_KEY, SONIOX_MODEL (default stt-async-v3),
+//              SONIOX_RT_MODEL (default stt-rt-v3), SONIOX_LANGUAGE_HINTS
+//     whisper  WHISPER_CMD (default whisper-cli), WHISPER_MODEL, WHISPER_LANGUAGE
+//     fixture  STT_FIXTURE_DIR (default fixtures/stt), STT_FIXTURE_TEXT
+// When STT_PROVIDER is unset, Soniox is used if SONIOX_API_KEY exists, else
+// fixtures, with a warning at startup and a failing readiness check.
+// Soniox and whisper identify the spoken language; SONIOX_LANGUAGE_HINTS
+// (comma-separated) defaults to every language in VOICE_MAP. For whisper use a
+// multilingual model (not *.en) and leave WHISPER_LANGUAGE at auto.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// PCM a buffered stream keeps per utterance, like the 5 MB upload limit of
+// /process-raw-audio (about 160 s at 16 kHz); later audio is dropped
+export const MAX_BUFFERED_BYTES = 5 * 1024 * 1024;
+const DEFAULT_FIXTURE_DIR = path.resolve(__dirname, '..', '..', 'fixtures', 'stt');
+
+export { joinWords, detectLanguage } from './words.js';
+
+// Every transcription is timed as the "stt" stage of the request trace and
+// noted in the interaction journal
+const withTracing = (provider) => ({
+    ...provider,
+    transcribeFile: (filePath) => traceStage('stt', async (details) => {
+        details.provider = provider.name;
+        details.bytes = (await fs.promises.stat(filePath)).size;
+        const transcription = await provider.transcribeFile(filePath);
+        details.spokenLangCode = transcription.language;
+        details.words = transcription.words.length;
+        noteInteraction({ inputMode: 'voice', transcript: transcription.text });
+        return transcription;
+    }),
+});
+
+export function createSTTProvider(env = process.env) {
+    return withTracing(createProvider(env));
+}
+
+const createProvider = (env) => {
+    const providerName = (env.STT_PROVIDER || (env.SONIOX_API_KEY ? 'soniox' : 'fixture')).toLowerCase();
+
+    switch (providerName) {
+        case 'soniox':
+            return createSonioxProvider({
+                apiKey: env.SONIOX_API_KEY,
+                model: env.SONIOX_MODEL || undefined,
+                realtimeModel: env.SONIOX_RT_MODEL || undefined,
+                languageHints: env.SONIOX_LANGUAGE_HINTS
+                    ? env.SONIOX_LANGUAGE_HINTS.split(',').map(code => code.trim()).filter(Boolean)
+                    : Object.keys(VOICE_MAP),
+            });
+        case 'whisper':
+            return createWhisperProvider({
+                command: env.WHISPER_CMD || undefined,
+                modelPath: env.WHISPER_MODEL,
+                language: env.WHISPER_LANGUAGE || undefined,
+            });
+        case 'fixture':
+            if (!env.STT_PROVIDER) {
+                console.warn("⚠️ SONIOX_API_KEY is not set: transcripts come from FIXTURES, not the audio. Set it, or STT_PROVIDER=fixture to run offline on purpose.");
+            }
+            return createFixtureProvider({
+                fixtureDir: env.STT_FIXTURE_DIR || DEFAULT_FIXTURE_DIR,
+                defaultText: env.STT_FIXTURE_TEXT || undefined,
+                // Chosen only because SONIOX_API_KEY is missing: not ready for real traffic
+                missingKey: env.STT_PROVIDER ? null : 'SONIOX_API_KEY',
+            });
+        default:
+            throw new Error(`Unknown STT_PROVIDER "${providerName}". Use soniox, whisper or fixture.`);
+    }
+};
+
+// Opens a live transcription stream. Providers without native streaming get
+// a buffered stream that collects the PCM and transcribes it as a WAV file
+// when the utterance finishes (no interim results in that case); it keeps at
+// most MAX_BUFFERED_BYTES, so a client that never stops cannot fill the memory.
+export function openTranscriptionStream(stt, { sampleRate, onPartial }) {
+    if (stt.createStream) {
+        const stream = stt.createStream({ sampleRate, onPartial });
+        let bytes = 0;
+        return {
+            write: (chunk) => {
+                bytes += chunk.length;
+                stream.write(chunk);
+            },
+            // Times only the wait for the final transcript after the audio ended
+            finish: () => traceStage('stt', async (details) => {
+                Object.assign(details, { provider: stt.name, bytes, streamed: true });
+                const transcription = await stream.finish();
+                details.spokenLangCode = transcription.language;
+                noteInteraction({ inputMode: 'voice', transcript: transcription.text });
+                return transcription;
+            }),
+            abort: () => stream.abort(),
+        };
+    }
+
+    const chunks = [];
+    let kept = 0;
+    let truncated = false;
+    return {
+        write: (chunk) => {
+            const room = MAX_BUFFERED_BYTES - kept;
+            if (chunk.length > room && !truncated) {
+                truncated = true;
+                console.warn(`⚠️ Utterance over ${MAX_BUFFERED_BYTES / 1024 / 1024} MB of PCM: only its start is transcribed.`);
+            }
+            if (room <= 0) return;
+            const part = chunk.length > room ? chunk.subarray(0, room - (room % 2)) : chunk;
+            chunks.push(part);
+            kept += part.length;
+        },
+        async finish() {
+            const wavPath = path.join(os.tmpdir(), `stream_${randomUUID()}.wav`);
+            await fs.promises.writeFile(wavPath, pcmToWav(Buffer.concat(chunks), sampleRate));
+            try {
+                return await stt.transcribeFile(wavPath);
+            } finally {
+                fs.promises.unlink(wavPath).catch(() => {});
+            }
+        },
+        abort() {
+            chunks.length = 0;
+            kept = 0;
+        },
+    };
+}
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import WebSocket from 'ws';
+import { joinWords, detectLanguage } from './words.js';
+
+// ---------------- Soniox Provider ----------------
+// Uses the multilingual Soniox models with language identification, so every
+// token comes back tagged with the language it was spoken in:
+//     files    REST API, upload -> transcription job -> transcript
+//     streams  real-time WebSocket API
+// `languageHints` (ISO 639-1 codes) biases recognition toward the languages
+// the assistant can answer in.
+const API_URL = "https://api.soniox.com/v1";
+const REALTIME_URL = "wss://stt-rt.soniox.com/transcribe-websocket";
+const POLL_INTERVAL_MS = 500;
+
+const toWord = (token) => ({
+    text: token.text,
+    startMs: token.start_ms ?? null,
+    durationMs: token.end_ms != null && token.start_ms != null ? token.end_ms - token.start_ms : null,
+    confidence: token.confidence ?? null,
+    language: token.language || null,
+});
+
+const toTranscription = (words) => ({
+    text: joinWords(words),
+    words,
+    language: detectLanguage(words),
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createSonioxProvider({ apiKey, model = "stt-async-v3", realtimeModel = "stt-rt-v3", languageHints = [], timeoutMs = 120000 }) {
+    if (!apiKey) {
+        throw new Error("SONIOX_API_KEY is required for the soniox STT provider.");
+    }
+
+    const request = async (method, urlPath, body) => {
+        const response = await fetch(`${API_URL}${urlPath}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${apiKey}`,
+                ...(body && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}),
+            },
+            body: body instanceof FormData ? body : body && JSON.stringify(body),
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (!response.ok) {
+            throw new Error(`Soniox ${method} ${urlPath} failed with ${response.status}: ${await response.text()}`);
+        }
+        return response.status === 204 ? null : response.json();
+    };
+
+    return {
+        name: 'soniox',
+        model,
+        // The key is checked when the provider is created; the probe lists the available models
+        async healthCheck({ probe }) {
+            if (probe) await request('GET', '/models');
+            return { model, realtimeModel };
+        },
+        // Soniox decodes compressed uploads itself
+        inputFormats: ['wav', 'webm', 'ogg', 'mp3', 'flac', 'm4a'],
+        async transcribeFile(filePath) {
+            const form = new FormData();
+            form.append('file', new Blob([await fs.promises.readFile(filePath)]), path.basename(filePath));
+            const file = await request('POST', '/files', form);
+
+            let transcription = null;
+            try {
+                transcription = await request('POST', '/transcriptions', {
+                    file_id: file.id,
+                    model,
+                    language_hints: languageHints,
+                    enable_language_identification: true,
+                });
+
+                // File transcription is an async job; poll until it settles
+                const deadline = Date.now() + timeoutMs;
+                while (transcription.status !== 'completed') {
+                    if (transcription.status === 'error') {
+                        throw new Error(`Soniox transcription failed: ${transcription.error_message}`);
+                    }
+                    if (Date.now() > deadline) {
+                        throw new Error(`Soniox transcription timed out after ${timeoutMs} ms`);
+                    }
+                    await sleep(POLL_INTERVAL_MS);
+                    transcription = await request('GET', `/transcriptions/${transcription.id}`);
+                }
+
+                const transcript = await request('GET', `/transcriptions/${transcription.id}/transcript`);
+                return toTranscription(transcript.tokens.map(toWord));
+            } finally {
+                // Soniox keeps uploads and results until deleted
+                if (transcription) request('DELETE', `/transcriptions/${transcription.id}`).catch(() => {});
+                request('DELETE', `/files/${file.id}`).catch(() => {});
+            }
+        },
+
+        // Live transcription of 16-bit mono PCM. onPartial receives the interim
+        // transcription (final tokens plus the current non-final guess).
+        createStream({ sampleRate, onPartial }) {
+            const finalWords = [];
+            let nonFinalWords = [];
+            let streamError = null;
+            const pending = [];
+
+            const socket = new WebSocket(REALTIME_URL);
+            const ended = new Promise(resolve => {
+                socket.on('close', resolve);
+                socket.on('error', (error) => {
+                    streamError = streamError || error;
+                    resolve();
+                });
+            });
+
+            socket.on('open', () => {
+                socket.send(JSON.stringify({
+                    api_key: apiKey,
+                    model: realtimeModel,
+                    audio_format: 'pcm_s16le',
+                    sample_rate: sampleRate,
+                    num_channels: 1,
+                    language_hints: languageHints,
+                    enable_language_identification: true,
+                }));
+                // Audio that arrived before the connection was ready
+                for (const chunk of pending.splice(0)) socket.send(chunk);
+            });
+
+            socket.on('message', (data) => {
+                let result;
+                try {
+                    result = JSON.parse(data.toString());
+                } catch {
+                    // Thrown here it would crash the server: the utterance fails instead
+                    streamError = streamError || new Error(`Soniox sent a frame that is not JSON: ${data.toString().slice(0, 100)}`);
+                    socket.close();
+                    return;
+                }
+                if (result.error_code) {
+                    streamError = new Error(`Soniox stream error ${result.error_code}: ${result.error_message}`);
+                    return;
+                }
+                nonFinalWords = [];
+                for (const token of result.tokens || []) {
+                    (token.is_final ? finalWords : nonFinalWords).push(toWord(token));
+                }
+                onPartial?.(toTranscription([...finalWords, ...nonFinalWords]));
+            });
+
+            const send = (chunk) => {
+                if (socket.readyState === WebSocket.OPEN) socket.send(chunk);
+                else if (socket.readyState === WebSocket.CONNECTING) pending.push(chunk);
+            };
+
+            return {
+                write: (chunk) => send(chunk),
+                async finish() {
+                    // An empty frame tells Soniox the audio is complete; it
+                    // flushes the remaining tokens and closes the connection.
+                    send('');
+                    await ended;
+                    if (streamError) throw streamError;
+                    return toTranscription([...finalWords, ...nonFinalWords]);
+                },
+                abort() {
+                    pending.length = 0;
+                    socket.terminate();
+                },
+            };
+        },
+    };
+}
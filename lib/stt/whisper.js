@@ -0,0 +1,55 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { randomUUID } from 'crypto';
+import { promisify } from 'util';
+import { joinWords } from './words.js';
+
+const execFileAsync = promisify(execFile);
+
+// ---------------- Local whisper.cpp Provider ----------------
+// Runs the whisper.cpp CLI as a subprocess, fully offline. One segment per
+// word (-ml 1 -sow) gives per-word timings; whisper.cpp expects 16 kHz WAV.
+export function createWhisperProvider({ command = "whisper-cli", modelPath, language = "auto", timeoutMs = 120000 }) {
+    return {
+        name: 'whisper',
+        model: path.basename(modelPath || 'default'),
+        // The probe runs the CLI once with --help
+        async healthCheck({ probe }) {
+            if (modelPath) await fs.promises.access(modelPath, fs.constants.R_OK);
+            if (probe) await execFileAsync(command, ['--help'], { timeout: timeoutMs });
+            return { command, modelPath: modelPath || null };
+        },
+        inputFormats: ['wav'],
+        inputSampleRate: 16000,
+        async transcribeFile(filePath) {
+            const outputBase = path.join(os.tmpdir(), `whisper_${randomUUID()}`);
+            const args = ['-f', filePath, '-l', language, '-oj', '-of', outputBase, '-ml', '1', '-sow', '-np'];
+            if (modelPath) args.unshift('-m', modelPath);
+
+            try {
+                await execFileAsync(command, args, { timeout: timeoutMs });
+                const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+
+                const words = (output.transcription || [])
+                    .filter(segment => segment.text.trim())
+                    .map(segment => ({
+                        text: segment.text,
+                        startMs: segment.offsets?.from ?? null,
+                        durationMs: segment.offsets ? segment.offsets.to - segment.offsets.from : null,
+                        confidence: null,
+                        language: null,
+                    }));
+
+                return {
+                    text: joinWords(words),
+                    words,
+                    language: output.result?.language || null,
+                };
+            } finally {
+                fs.promises.unlink(`${outputBase}.json`).catch(() => {});
+            }
+        },
+    };
+}
@@ -0,0 +1,20 @@
+// ---------------- Transcript Helpers ----------------
+
+// Joins recognized words into a transcript and removes the space Soniox
+// leaves before punctuation.
+export const joinWords = (words) => words.map(word => word.text).join("").replace(/(\s+)([.,?!;])/g, '$2').trim();
+
+// The spoken language is the one covering most of the transcript (by characters),
+// so a single borrowed English word does not flip a Hindi utterance to "en".
+export const detectLanguage = (words) => {
+    const charsByLanguage = new Map();
+    for (const word of words) {
+        if (!word.language) continue;
+        charsByLanguage.set(word.language, (charsByLanguage.get(word.language) || 0) + word.text.trim().length);
+    }
+    let spokenLanguage = null;
+    for (const [language, chars] of charsByLanguage) {
+        if (spokenLanguage === null || chars > charsByLanguage.get(spokenLanguage)) spokenLanguage = language;
+    }
+    return spokenLanguage;
+};
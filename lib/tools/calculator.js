@@ -0,0 +1,150 @@
+// ---------------- Calculator Tool ----------------
+// Evaluates arithmetic the model should not do in its head. The expression is
+// parsed here (never passed to eval): numbers, + - * / % ^, parentheses,
+// the constants pi and e, and the functions in FUNCTIONS.
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    ln: Math.log, log: Math.log10, log2: Math.log2, exp: Math.exp,
+    min: Math.min, max: Math.max, pow: Math.pow,
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+const MAX_EXPRESSION_LENGTH = 500;
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+
+const tokenize = (expression) => {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(expression);
+        if (!match) {
+            if (!expression.slice(start).trim()) break;
+            throw new Error(`Unexpected character at position ${start + 1}: "${expression.slice(start).trim()[0]}"`);
+        }
+        const spaced = /^\s/.test(match[0]);
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]), raw: match[1], spaced });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase(), spaced });
+        else if (match[3] !== undefined) tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3], spaced });
+    }
+    return tokens;
+};
+
+const isOp = (token, value) => token?.type === 'op' && token.value === value;
+
+// "1,000" and "12,345.67" are thousands separators, but only outside a
+// function's argument list: min(5,100) has two arguments. The comma and the
+// three-digit group after it are folded into the number before it.
+const joinThousands = (tokens) => {
+    const result = [];
+    const calls = []; // per open parenthesis: whether it opens a function's arguments
+    for (let index = 0; index < tokens.length; index++) {
+        const token = tokens[index];
+        const previous = result.at(-1);
+        const group = tokens[index + 1];
+        if (isOp(token, ',') && !calls.at(-1) && !token.spaced
+            && previous?.type === 'number' && (previous.grouped ? /^\d+$/.test(previous.raw) : /^\d{1,3}$/.test(previous.raw))
+            && group?.type === 'number' && !group.spaced && /^\d{3}(?:\.\d*)?$/.test(group.raw)) {
+            previous.raw += group.raw;
+            previous.value = Number(previous.raw);
+            previous.grouped = true;
+            index++;
+            continue;
+        }
+        if (isOp(token, '(')) calls.push(previous?.type === 'name');
+        if (isOp(token, ')')) calls.pop();
+        result.push(token);
+    }
+    return result;
+};
+
+// Recursive descent: expression > term > unary > power > primary
+export function evaluateExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) throw new Error("The expression is empty.");
+    if (expression.length > MAX_EXPRESSION_LENGTH) throw new Error(`The expression is longer than ${MAX_EXPRESSION_LENGTH} characters.`);
+
+    const tokens = joinThousands(tokenize(expression));
+    let position = 0;
+    const peek = () => tokens[position];
+    const accept = (value) => (peek()?.type === 'op' && peek().value === value ? tokens[position++] : null);
+    const expect = (value) => {
+        if (!accept(value)) throw new Error(`Expected "${value}"`);
+    };
+
+    const parseExpression = () => {
+        let value = parseTerm();
+        for (let op; (op = accept('+') || accept('-'));) {
+            value = op.value === '+' ? value + parseTerm() : value - parseTerm();
+        }
+        return value;
+    };
+
+    const parseTerm = () => {
+        let value = parseUnary();
+        for (let op; (op = accept('*') || accept('/') || accept('%'));) {
+            const right = parseUnary();
+            if (op.value === '*') value *= right;
+            else if (op.value === '/') value /= right;
+            else value %= right;
+        }
+        return value;
+    };
+
+    const parseUnary = () => {
+        if (accept('-')) return -parseUnary();
+        if (accept('+')) return parseUnary();
+        return parsePower();
+    };
+
+    // Right-associative, and binds tighter than unary minus on its left: -2^2 = -4
+    const parsePower = () => {
+        const base = parsePrimary();
+        return accept('^') ? Math.pow(base, parseUnary()) : base;
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error("The expression ends too early.");
+        if (token.type === 'number') return token.value;
+        if (token.type === 'op' && token.value === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+        if (token.type === 'name') {
+            if (token.value in CONSTANTS) return CONSTANTS[token.value];
+            const fn = FUNCTIONS[token.value];
+            if (!fn) throw new Error(`Unknown name "${token.value}".`);
+            expect('(');
+            const args = [parseExpression()];
+            while (accept(',')) args.push(parseExpression());
+            expect(')');
+            return fn(...args);
+        }
+        throw new Error(`Unexpected "${token.value}".`);
+    };
+
+    const value = parseExpression();
+    if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}".`);
+    if (!Number.isFinite(value)) throw new Error("The result is not a finite number (division by zero?).");
+    return value;
+}
+
+export const calculatorTool = {
+    name: 'calculate',
+    description: "Evaluates an arithmetic expression exactly. Use it for any calculation instead of computing in your head. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, min, max, pow, sin, cos, tan, ln, log (base 10), exp.",
+    parameters: {
+        type: 'object',
+        properties: {
+            expression: { type: 'string', description: "The expression, e.g. \"(12.5 * 4) / 3\" or \"sqrt(2) ^ 2\"." },
+        },
+        required: ['expression'],
+    },
+    handler: ({ expression }) => {
+        const value = evaluateExpression(expression);
+        // Drops floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+        return { expression, result: Number(value.toPrecision(12)) };
+    },
+};
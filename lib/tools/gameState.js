@@ -0,0 +1,40 @@
+// ---------------- Game-State Lookup Tool ----------------
+// Lets the assistant answer questions about the player's game ("how much gold
+// do I have?", "where is the next quest?") from state the Unity client
+// reports: PUT /sessions/:sessionId/game-state, or a "gameState" object in a
+// /process-text body. The state is free-form JSON kept with the session.
+
+const MAX_RESULT_CHARACTERS = 4000;
+
+// "inventory.items.0.name" -> state.inventory.items[0].name
+const lookup = (state, key) => key.split('.').filter(Boolean).reduce(
+    (value, part) => (value !== null && typeof value === 'object' && Object.hasOwn(value, part) ? value[part] : undefined),
+    state
+);
+
+export const gameStateTool = {
+    name: 'lookup_game_state',
+    description: "Looks up the player's current game state reported by the game client (inventory, quests, location, stats, ...). Call it without a key first to see which keys exist, then with a dotted key such as \"player.health\" or \"inventory.items\".",
+    parameters: {
+        type: 'object',
+        properties: {
+            key: { type: 'string', description: "Dotted path into the game state; omit to list the top-level keys." },
+        },
+    },
+    handler: ({ key }, { gameState, gameStateUpdatedAt }) => {
+        if (!gameState || Object.keys(gameState).length === 0) {
+            return { available: false, message: "The game has not reported any state for this player." };
+        }
+        if (!key) {
+            return { keys: Object.keys(gameState), updatedAt: gameStateUpdatedAt };
+        }
+        const value = lookup(gameState, key);
+        if (value === undefined) {
+            return { key, found: false, keys: Object.keys(gameState) };
+        }
+        const serialized = JSON.stringify(value);
+        return serialized.length > MAX_RESULT_CHARACTERS
+            ? { key, found: true, truncated: true, value: serialized.slice(0, MAX_RESULT_CHARACTERS) }
+            : { key, found: true, value };
+    },
+};
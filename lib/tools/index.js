@@ -0,0 +1,115 @@
+import { performance } from 'perf_hooks';
+import { currentTimeTool } from './time.js';
+import { calculatorTool } from './calculator.js';
+import { gameStateTool } from './gameState.js';
+import { VOICE_MAP } from '../voices.js';
+import { traceStage } from '../trace.js';
+import { toolCalls } from '../metrics.js';
+
+// ---------------- Tool Registry (LLM Function Calling) ----------------
+// Server-side tools the LLM may call while answering /process-text and
+// /process-raw-audio, see generateReplyWithTools() and streamReplyWithTools()
+// in lib/llm/index.js.
+// Every tool implements:
+//     name, description
+//     parameters                  JSON schema of its arguments (type "object")
+//     handler(args, context)      -> result (JSON-serializable), may be async;
+//                                    throwing reports the error to the model
+// where `context` describes the request, see buildToolContext().
+//
+// Settings:
+//     TOOLS              comma-separated tool names, "all" (default) or "none"
+//     TOOLS_MAX_ROUNDS   model calls that may request tools per reply (default 5)
+//     TOOLS_TIME_ZONE    the users' time zone when a request names none
+// Unity-specific tools can be added with registry.register(tool).
+
+export const BUILT_IN_TOOLS = [currentTimeTool, calculatorTool, gameStateTool];
+
+const DEFAULT_MAX_ROUNDS = 5;
+const TOOL_TIMEOUT_MS = 5000;
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+export function createToolRegistry(env = process.env) {
+    const setting = (env.TOOLS || 'all').trim().toLowerCase();
+    const names = setting === 'all' ? BUILT_IN_TOOLS.map(tool => tool.name)
+        : setting === 'none' ? []
+        : setting.split(',').map(name => name.trim()).filter(Boolean);
+
+    const unknown = names.filter(name => !BUILT_IN_TOOLS.some(tool => tool.name === name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown tool(s) in TOOLS: ${unknown.join(', ')}. Use ${BUILT_IN_TOOLS.map(tool => tool.name).join(', ')}, all or none.`);
+    }
+
+    const defaultTimeZone = env.TOOLS_TIME_ZONE || undefined;
+    if (defaultTimeZone && !currentTimeTool.isValidTimeZone(defaultTimeZone)) {
+        throw new Error(`Unknown TOOLS_TIME_ZONE "${defaultTimeZone}". Use an IANA zone such as Asia/Kolkata.`);
+    }
+
+    const tools = new Map(BUILT_IN_TOOLS.filter(tool => names.includes(tool.name)).map(tool => [tool.name, tool]));
+
+    return {
+        get enabled() {
+            return tools.size > 0;
+        },
+        maxRounds: Number(env.TOOLS_MAX_ROUNDS || DEFAULT_MAX_ROUNDS),
+        defaultTimeZone,
+
+        names: () => [...tools.keys()],
+
+        register(tool) {
+            if (tools.has(tool.name)) throw new Error(`Tool "${tool.name}" is already registered.`);
+            tools.set(tool.name, tool);
+        },
+
+        // What the model is told about the tools
+        declarations: () => [...tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters })),
+
+        // Runs one call the model asked for; never rejects, so the model hears about failures.
+        // Returns { name, args, result } or { name, args, error }, plus durationMs.
+        async run({ name, args = {} }, context) {
+            const start = performance.now();
+            const tool = tools.get(name);
+            let outcome;
+            try {
+                if (!tool) throw new Error(`There is no tool named "${name}".`);
+                const result = await traceStage('tool', (details) => {
+                    details.tool = name;
+                    return withTimeout(Promise.resolve().then(() => tool.handler(args, context)), TOOL_TIMEOUT_MS);
+                });
+                outcome = { name, args, result };
+            } catch (error) {
+                outcome = { name, args, error: error.message || String(error) };
+            }
+            toolCalls.inc({ tool: tool ? name : 'unknown', outcome: outcome.error ? 'error' : 'ok' });
+            return { ...outcome, durationMs: round(performance.now() - start) };
+        },
+    };
+}
+
+const isValidLocale = (locale) => {
+    try {
+        return Intl.getCanonicalLocales(locale).length > 0;
+    } catch {
+        return false;
+    }
+};
+
+// The request the tools answer for: the user's locale (request field, else the
+// reply language's), time zone and the session's game state
+export function buildToolContext({ session, replyLangCode, locale, timeZone, tools }) {
+    return {
+        locale: locale && isValidLocale(locale) ? locale : VOICE_MAP[replyLangCode]?.languageCode || 'en-US',
+        timeZone: timeZone && currentTimeTool.isValidTimeZone(timeZone) ? timeZone : tools.defaultTimeZone,
+        gameState: session?.gameState || null,
+        gameStateUpdatedAt: session?.gameStateUpdatedAt || null,
+    };
+}
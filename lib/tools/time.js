@@ -0,0 +1,42 @@
+// ---------------- Current Time Tool ----------------
+// Models do not know the current date or time. Formatted in the user's
+// locale and time zone: the request's `locale` / `timeZone` fields, else the
+// reply language's locale (e.g. hi-IN) and TOOLS_TIME_ZONE (default: the
+// server's zone).
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+export const currentTimeTool = {
+    name: 'get_current_time',
+    description: "Returns the current date, time and weekday for the user, or for a given IANA time zone (e.g. \"Asia/Kolkata\", \"America/New_York\").",
+    parameters: {
+        type: 'object',
+        properties: {
+            timeZone: { type: 'string', description: "IANA time zone; omit for the user's own time zone." },
+        },
+    },
+    handler: ({ timeZone: requestedTimeZone }, { locale, timeZone: userTimeZone }) => {
+        if (requestedTimeZone && !isValidTimeZone(requestedTimeZone)) {
+            throw new Error(`Unknown time zone "${requestedTimeZone}".`);
+        }
+        const timeZone = requestedTimeZone || userTimeZone;
+        const now = new Date();
+        const format = (options) => new Intl.DateTimeFormat(locale, { timeZone, ...options }).format(now);
+        return {
+            iso: now.toISOString(),
+            timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            locale,
+            date: format({ dateStyle: 'full' }),
+            time: format({ timeStyle: 'short' }),
+            weekday: format({ weekday: 'long' }),
+        };
+    },
+    isValidTimeZone,
+};
@@ -0,0 +1,143 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { performance } from 'perf_hooks';
+import { stageDuration } from './metrics.js';
+
+// ---------------- Request Tracing and Structured Logs ----------------
+// Every HTTP request, and every voice-stream utterance, gets a request ID
+// (the client's X-Request-Id if it sent a usable one) and a trace of the
+// pipeline stages it ran: decode, stt, llm, tts. Each finished stage and the
+// request as a whole are logged as one JSON line on stdout:
+//     {"time":"...","level":"info","event":"stage","requestId":"...","stage":"llm","durationMs":812.4,"provider":"gemini","attempts":2,...}
+//     {"time":"...","level":"info","event":"request","requestId":"...","method":"POST","path":"/process-text","status":200,"timings":{...},...}
+// The same per-stage totals go back to the client in a Server-Timing header
+// and in the `timings` field of JSON replies (see traceTimings()). Stage
+// durations also feed the latency histograms of lib/metrics.js.
+
+const traceStorage = new AsyncLocalStorage();
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Polled by load balancers and scrapers; traced, but without a summary log line
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+export const currentTrace = () => traceStorage.getStore() || null;
+
+// One JSON log line; the current request ID is added automatically
+export function logEvent(event, fields = {}, level = 'info') {
+    const trace = currentTrace();
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        event,
+        ...(trace ? { requestId: trace.requestId } : {}),
+        ...fields,
+    });
+    if (level === 'error') console.error(line);
+    else console.log(line);
+}
+
+export function createTrace(requestId) {
+    return {
+        requestId: requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : randomUUID(),
+        startedAt: performance.now(),
+        stages: [],   // { name, start, end, details }
+        fields: {},   // request-level details: language codes, session, ...
+        interaction: null, // journal entry being built, see lib/journal.js
+    };
+}
+
+export function runWithTrace(trace, fn) {
+    return traceStorage.run(trace, fn);
+}
+
+// Adds request-level details to the summary log line
+export function annotateTrace(fields) {
+    const trace = currentTrace();
+    if (trace) Object.assign(trace.fields, fields);
+}
+
+// Starts a stage by hand, for work that is not a single awaited call (e.g. a
+// stream). Fill `details` while it runs, then call end() or end(error).
+export function beginStage(name) {
+    const trace = currentTrace();
+    const start = performance.now();
+    const details = {};
+
+    return {
+        details,
+        end(error) {
+            const end = performance.now();
+            stageDuration.observe({ stage: name, outcome: error ? 'error' : 'ok' }, (end - start) / 1000);
+            if (!trace) return;
+            trace.stages.push({ name, start, end, details });
+            logEvent('stage', {
+                stage: name,
+                durationMs: round(end - start),
+                ...details,
+                ...(error ? { error: error.message || String(error) } : {}),
+            }, error ? 'error' : 'info');
+        },
+    };
+}
+
+// Times `fn(details)` as one stage; `fn` may add fields to `details`.
+export async function traceStage(name, fn) {
+    const stage = beginStage(name);
+    try {
+        const result = await fn(stage.details);
+        stage.end();
+        return result;
+    } catch (error) {
+        stage.end(error);
+        throw error;
+    }
+}
+
+// Milliseconds per stage name plus the total so far. Stages that ran in
+// parallel (TTS per sentence) count from the first start to the last end.
+export function traceTimings(trace = currentTrace()) {
+    if (!trace) return {};
+    const spans = {};
+    for (const { name, start, end } of trace.stages) {
+        const span = spans[name] || (spans[name] = { start, end });
+        span.start = Math.min(span.start, start);
+        span.end = Math.max(span.end, end);
+    }
+    return {
+        ...Object.fromEntries(Object.entries(spans).map(([name, span]) => [name, round(span.end - span.start)])),
+        total: round(performance.now() - trace.startedAt),
+    };
+}
+
+const serverTimingHeader = (timings) =>
+    Object.entries(timings).map(([name, ms]) => `${name};dur=${ms}`).join(', ');
+
+// Express middleware, mounted first: request ID, trace context, Server-Timing
+// header and the summary log line when the response is finished.
+export function traceRequests(req, res, next) {
+    const trace = createTrace(req.get('X-Request-Id'));
+    req.requestId = trace.requestId;
+    res.set('X-Request-Id', trace.requestId);
+
+    // Server-Timing must be set before the headers go out, whichever way the route responds
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+        if (!this.headersSent) this.setHeader('Server-Timing', serverTimingHeader(traceTimings(trace)));
+        return writeHead.apply(this, args);
+    };
+
+    res.on('finish', () => {
+        if (QUIET_PATHS.includes(req.path)) return;
+        runWithTrace(trace, () => logEvent('request', {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            ...(req.apiKey ? { apiKeyId: req.apiKey.id } : {}),
+            ...trace.fields,
+            timings: traceTimings(trace),
+        }, res.statusCode >= 500 ? 'error' : 'info'));
+    });
+
+    runWithTrace(trace, next);
+}
@@ -0,0 +1,55 @@
+import { generateReply } from './llm/index.js';
+import { buildTranslationInstruction } from './prompts.js';
+import { VOICE_MAP } from './voices.js';
+
+// ---------------- Translation and Interpreter Mode ----------------
+// /translate and /translate-audio (routes/translate.js) translate instead of
+// answering: the LLM gets a translator instruction (see
+// buildTranslationInstruction() in lib/prompts.js), only the one message, and
+// no persona.
+//
+// Interpreter mode serves a conversation between two people who speak
+// different languages, configured once per session as interpreterLangCodes,
+// e.g. ["en", "hi"]. Every utterance is translated into the other party's
+// language: the detected language says who spoke, and when it matches
+// neither party (Latin-script text, no language identification from STT) the
+// parties are assumed to take turns.
+
+// Translations should be faithful, not creative
+export const TRANSLATION_GENERATION = { temperature: 0 };
+
+// Translates `text`; an empty string means the model gave nothing back.
+// Text already in the target language is returned as is, without a model call.
+export async function translateText(llm, { text, sourceLangCode, targetLangCode }) {
+    if (sourceLangCode === targetLangCode) return text.trim();
+    return generateReply(llm, {
+        systemInstruction: buildTranslationInstruction({ sourceLangCode, targetLangCode }),
+        messages: [{ role: 'user', content: text }],
+        generation: TRANSLATION_GENERATION,
+        purpose: { task: 'translation', targetLangCode },
+    });
+}
+
+// "en,hi" or ["en", "hi"] -> ["en", "hi"]; null when not two different VOICE_MAP codes
+export function parseInterpreterLangCodes(value) {
+    const langCodes = (Array.isArray(value) ? value : String(value).split(','))
+        .map(code => String(code).trim().toLowerCase())
+        .filter(Boolean);
+    if (langCodes.length !== 2 || langCodes[0] === langCodes[1] || !langCodes.every(code => VOICE_MAP[code])) {
+        return null;
+    }
+    return langCodes;
+}
+
+// Source and target of one interpreter turn. `detectedLangCode` may be null;
+// `previousSourceLangCode` is the source of the session's last turn, if any.
+export function interpreterDirection([first, second], detectedLangCode, previousSourceLangCode) {
+    let sourceLangCode;
+    if (detectedLangCode === first || detectedLangCode === second) {
+        sourceLangCode = detectedLangCode;
+    } else {
+        // Taking turns; the first party opens the conversation
+        sourceLangCode = previousSourceLangCode === first ? second : first;
+    }
+    return { sourceLangCode, targetLangCode: sourceLangCode === first ? second : first };
+}
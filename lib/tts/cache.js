@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+
+// ---------------- TTS Audio Cache (disk) ----------------
+// Content-addressed: an entry's key is the SHA-256 of the normalized text,
+// the voice, the requested audio format and the primary engine, so the same
+// phrase in the same voice is synthesized once. Each entry is two files:
+//     <dir>/<key>.audio  the audio bytes
+//     <dir>/<key>.json   { audioEncoding, mimeType, sampleRateHertz, durationMs, engine, text, createdAt, size }
+// The .json file is written last, so an entry without one is incomplete and
+// ignored. Entries older than ttlMs count as misses and are removed; when the
+// audio exceeds maxBytes, the least recently used entries are evicted.
+
+// Whitespace and Unicode normalization only; case and punctuation change the speech.
+export const normalizeCacheText = (text) => text.normalize('NFC').replace(/\s+/g, ' ').trim();
+
+export function cacheKey({ text, voice, format, engine }) {
+    return createHash('sha256').update(JSON.stringify({
+        text: normalizeCacheText(text),
+        voice: { languageCode: voice?.languageCode || null, name: voice?.name || null, ssmlGender: voice?.ssmlGender || null },
+        format: { encoding: format?.encoding || null, sampleRate: format?.sampleRate || null },
+        engine,
+    })).digest('hex');
+}
+
+export function createTTSCache({ dir, maxBytes, ttlMs }) {
+    // key -> { size, createdAt, lastUsed }, loaded from disk on first use
+    const index = new Map();
+    const stats = { hits: 0, misses: 0, writes: 0, evictions: 0, expired: 0 };
+    let totalBytes = 0;
+    let loading = null;
+
+    const audioPath = (key) => path.join(dir, `${key}.audio`);
+    const metaPath = (key) => path.join(dir, `${key}.json`);
+
+    const remove = async (key) => {
+        const entry = index.get(key);
+        if (entry) {
+            index.delete(key);
+            totalBytes -= entry.size;
+        }
+        await Promise.all([audioPath(key), metaPath(key)].map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+    };
+
+    const load = () => {
+        loading ??= (async () => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            for (const fileName of await fs.promises.readdir(dir)) {
+                if (!fileName.endsWith('.json')) continue;
+                const key = fileName.slice(0, -'.json'.length);
+                try {
+                    const meta = JSON.parse(await fs.promises.readFile(metaPath(key), 'utf8'));
+                    const { mtimeMs } = await fs.promises.stat(audioPath(key));
+                    index.set(key, { size: meta.size, createdAt: meta.createdAt, lastUsed: mtimeMs });
+                    totalBytes += meta.size;
+                } catch {
+                    // Half-written or damaged entry
+                    await remove(key);
+                }
+            }
+        })();
+        return loading;
+    };
+
+    const evict = async () => {
+        const byAge = [...index.entries()].sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+        for (const [key] of byAge) {
+            if (totalBytes <= maxBytes) break;
+            await remove(key);
+            stats.evictions++;
+        }
+    };
+
+    const isExpired = (entry) => ttlMs > 0 && Date.now() - entry.createdAt > ttlMs;
+
+    return {
+        dir,
+
+        // Resolves with the cached speech, or null on a miss
+        async get(key) {
+            await load();
+            const entry = index.get(key);
+            if (entry && isExpired(entry)) {
+                await remove(key);
+                stats.expired++;
+            } else if (entry) {
+                try {
+                    const [audioContent, meta] = await Promise.all([
+                        fs.promises.readFile(audioPath(key)),
+                        fs.promises.readFile(metaPath(key), 'utf8').then(JSON.parse),
+                    ]);
+                    entry.lastUsed = Date.now();
+                    // The audio file's mtime keeps the LRU order across restarts
+                    fs.promises.utimes(audioPath(key), new Date(), new Date()).catch(() => {});
+                    stats.hits++;
+                    const { text, createdAt, size, ...speech } = meta;
+                    return { ...speech, audioContent };
+                } catch {
+                    // Files deleted behind our back
+                    await remove(key);
+                }
+            }
+            stats.misses++;
+            return null;
+        },
+
+        async set(key, { text, speech }) {
+            await load();
+            const { audioContent, ...fields } = speech;
+            const meta = { ...fields, text: normalizeCacheText(text), createdAt: Date.now(), size: audioContent.length };
+
+            // Write to temp names and rename, so readers never see partial files
+            const tempSuffix = `.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+            await fs.promises.writeFile(audioPath(key) + tempSuffix, audioContent);
+            await fs.promises.rename(audioPath(key) + tempSuffix, audioPath(key));
+            await fs.promises.writeFile(metaPath(key) + tempSuffix, JSON.stringify(meta));
+            await fs.promises.rename(metaPath(key) + tempSuffix, metaPath(key));
+
+            const previous = index.get(key);
+            if (previous) totalBytes -= previous.size;
+            index.set(key, { size: meta.size, createdAt: meta.createdAt, lastUsed: Date.now() });
+            totalBytes += meta.size;
+            stats.writes++;
+
+            if (totalBytes > maxBytes) await evict();
+        },
+
+        async has(key) {
+            await load();
+            const entry = index.get(key);
+            return Boolean(entry) && !isExpired(entry);
+        },
+
+        async stats() {
+            await load();
+            const lookups = stats.hits + stats.misses;
+            return {
+                ...stats,
+                hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null,
+                entries: index.size,
+                bytes: totalBytes,
+                maxBytes,
+                ttlMs,
+            };
+        },
+    };
+}
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import { TextToSpeechClient } from '@google-cloud/text-to-speech';
+import { chunkText } from '../sentences.js';
+import { pcmToWav, parseWav } from '../audio.js';
+import { mimeTypeFor } from '../audioOutput.js';
+
+// ---------------- Google Cloud TTS Engine ----------------
+// Uses the credentials from GOOGLE_APPLICATION_CREDENTIALS, else Application
+// Default Credentials (on GCE / Cloud Run, or after gcloud auth).
+// Produces MP3 unless another `format` is requested (see lib/audioOutput.js);
+// raw PCM is requested as LINEAR16 and unwrapped there.
+// Google rejects input over 5000 bytes, so longer text is synthesized in
+// sentence-aligned chunks that are joined: MP3 frames are self-contained, Ogg
+// streams may be chained, and WAV chunks are re-wrapped in a single header.
+const MAX_INPUT_BYTES = 5000;
+
+export function createGoogleEngine({ credentialsFile } = {}) {
+    let ttsClient = null;
+
+    // The client is initialized explicitly: its own lazy initialization rethrows
+    // credential errors as an unhandled rejection, which would crash the process
+    // instead of letting the next engine take over. A client that failed to
+    // initialize is dropped so the credentials are retried on the next call.
+    const getClient = async () => {
+        if (!ttsClient) ttsClient = new TextToSpeechClient();
+        try {
+            await ttsClient.initialize();
+        } catch (error) {
+            ttsClient = null;
+            throw error;
+        }
+        return ttsClient;
+    };
+
+    return {
+        name: 'google',
+        // The probe lists the en-US voices, which costs no synthesis quota.
+        // Without GOOGLE_APPLICATION_CREDENTIALS the client uses Application
+        // Default Credentials (metadata server, gcloud), which only the probe can check.
+        async healthCheck({ probe }) {
+            if (credentialsFile) await fs.promises.access(credentialsFile, fs.constants.R_OK);
+            if (probe) await (await getClient()).listVoices({ languageCode: 'en-US' });
+            return { credentialsFile: credentialsFile || null, credentials: credentialsFile ? 'file' : 'application-default' };
+        },
+        async synthesize({ text, voice, format }) {
+            const client = await getClient();
+            const audioEncoding = format?.encoding === 'PCM' ? 'LINEAR16' : format?.encoding || 'MP3';
+            const chunks = Buffer.byteLength(text, 'utf8') > MAX_INPUT_BYTES ? chunkText(text, MAX_INPUT_BYTES) : [text];
+            const responses = await Promise.all(chunks.map(chunk => client.synthesizeSpeech({
+                input: { text: chunk },
+                voice,
+                audioConfig: { audioEncoding, ...(format?.sampleRate ? { sampleRateHertz: format.sampleRate } : {}) },
+            })));
+            const parts = responses.map(([ttsResponse]) => Buffer.from(ttsResponse.audioContent));
+
+            let audioContent = Buffer.concat(parts);
+            if (audioEncoding === 'LINEAR16' && parts.length > 1) {
+                const wavs = parts.map(parseWav);
+                audioContent = pcmToWav(Buffer.concat(wavs.map(wav => wav.pcm)), wavs[0].sampleRate, wavs[0].numChannels);
+            }
+            return { audioContent, audioEncoding, mimeType: mimeTypeFor(audioEncoding) };
+        },
+    };
+}
@@ -0,0 +1,168 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createGoogleEngine } from './google.js';
+import { createEspeakEngine, createPiperEngine } from './local.js';
+import { splitSentences } from '../sentences.js';
+import { encodeSpeech } from '../audioOutput.js';
+import { createTTSCache, cacheKey } from './cache.js';
+import { meterUsage } from '../usage.js';
+import { traceStage } from '../trace.js';
+import { ttsCharacters } from '../metrics.js';
+import { noteAudio, audioExtensionFor } from '../journal.js';
+
+// ---------------- Text-to-Speech Engine Layer ----------------
+// Every engine implements:
+//     name
+//     synthesize({ text, voice, format }) -> Promise<{ audioContent, audioEncoding, mimeType }>
+//     healthCheck({ probe })              -> Promise<details>, rejects when the engine cannot
+//                                            serve (see lib/health.js)
+// where `voice` is { languageCode, name, ssmlGender } as returned by resolveVoice()
+// in lib/voices.js, and `format` is the optional { encoding, sampleRate } from
+// resolveAudioFormat() in lib/audioOutput.js. Engines may ignore `format`; the
+// provider converts their output and adds sampleRateHertz and durationMs.
+//
+// TTS_ENGINES is an ordered, comma-separated list (default "google,espeak").
+// Engines are tried in that order and the first one that succeeds wins, so a
+// Google outage falls back to the local engine instead of failing the request.
+//     google  GOOGLE_APPLICATION_CREDENTIALS, returns MP3
+//     espeak  ESPEAK_CMD (default espeak-ng), returns WAV
+//     piper   PIPER_CMD (default piper), PIPER_MODEL_DIR, PIPER_MODEL, returns WAV
+//
+// Results are cached on disk (see lib/tts/cache.js) unless TTS_CACHE=off:
+//     TTS_CACHE_DIR (default cache/tts), TTS_CACHE_MAX_MB (default 200),
+//     TTS_CACHE_TTL_HOURS (default 720, 0 = never expire)
+// Only audio from the first engine is cached, so a fallback voice does not
+// outlive the outage it covered for. prerenderPhrases.js fills the cache.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ENGINES = "google,espeak";
+const DEFAULT_CACHE_DIR = path.resolve(__dirname, '..', '..', 'cache', 'tts');
+const DEFAULT_CACHE_MAX_MB = 200;
+const DEFAULT_CACHE_TTL_HOURS = 720;
+
+const createEngine = (engineName, env) => {
+    switch (engineName) {
+        case 'google':
+            return createGoogleEngine({ credentialsFile: env.GOOGLE_APPLICATION_CREDENTIALS });
+        case 'espeak':
+            return createEspeakEngine({ command: env.ESPEAK_CMD || undefined });
+        case 'piper':
+            return createPiperEngine({
+                command: env.PIPER_CMD || undefined,
+                modelDir: env.PIPER_MODEL_DIR,
+                defaultModel: env.PIPER_MODEL,
+            });
+        default:
+            throw new Error(`Unknown TTS engine "${engineName}". Use google, espeak or piper.`);
+    }
+};
+
+const createCache = (env) => {
+    if ((env.TTS_CACHE || 'on').toLowerCase() === 'off') return null;
+    return createTTSCache({
+        dir: env.TTS_CACHE_DIR || DEFAULT_CACHE_DIR,
+        maxBytes: Number(env.TTS_CACHE_MAX_MB || DEFAULT_CACHE_MAX_MB) * 1024 * 1024,
+        ttlMs: Number(env.TTS_CACHE_TTL_HOURS ?? DEFAULT_CACHE_TTL_HOURS) * 60 * 60 * 1000,
+    });
+};
+
+export function createTTSProvider(env = process.env) {
+    const engines = (env.TTS_ENGINES || DEFAULT_ENGINES)
+        .split(',')
+        .map(engineName => engineName.trim().toLowerCase())
+        .filter(Boolean)
+        .map(engineName => createEngine(engineName, env));
+    const cache = createCache(env);
+    const keyFor = ({ text, voice, format }) => cacheKey({ text, voice, format, engine: engines[0].name });
+
+    // Tries the engines in order; the result is tagged with the engine that produced it
+    const synthesizeWithEngines = async ({ text, voice, format }) => {
+        const errors = [];
+        for (const engine of engines) {
+            try {
+                const speech = await engine.synthesize({ text, voice, format });
+                return { ...await encodeSpeech(speech, format), engine: engine.name };
+            } catch (error) {
+                console.warn(`TTS engine ${engine.name} failed: ${error.message || error}`);
+                errors.push(`${engine.name}: ${error.message || error}`);
+            }
+        }
+        throw new Error(`All TTS engines failed (${errors.join('; ')})`);
+    };
+
+    const store = (key, text, speech) => {
+        if (speech.engine !== engines[0].name) return Promise.resolve();
+        return cache.set(key, { text, speech }).catch((error) => {
+            console.warn(`TTS cache write failed: ${error.message || error}`);
+        });
+    };
+
+    const synthesizeCached = async ({ text, voice, format }) => {
+        if (!cache) return synthesizeWithEngines({ text, voice, format });
+
+        const key = keyFor({ text, voice, format });
+        const cached = await cache.get(key).catch((error) => {
+            console.warn(`TTS cache read failed: ${error.message || error}`);
+            return null;
+        });
+        if (cached) return { ...cached, cached: true };
+
+        const speech = await synthesizeWithEngines({ text, voice, format });
+        store(key, text, speech); // Not awaited, the caller does not wait for the disk
+        return speech;
+    };
+
+    return {
+        name: engines.map(engine => engine.name).join(' -> '),
+        engines,
+        cache,
+
+        // Resolves with the cached or first successful synthesis. Rejects only
+        // when every engine failed. Timed as a "tts" stage of the request trace.
+        synthesize({ text, voice, format = null }) {
+            meterUsage({ ttsCharacters: text.length });
+            return traceStage('tts', async (details) => {
+                Object.assign(details, { characters: text.length, languageCode: voice?.languageCode || null });
+                const speech = await synthesizeCached({ text, voice, format });
+                ttsCharacters.inc({ engine: speech.engine, cached: Boolean(speech.cached) }, text.length);
+                noteAudio('reply', speech.audioContent, audioExtensionFor(speech.audioEncoding));
+                Object.assign(details, {
+                    engine: speech.engine,
+                    cached: Boolean(speech.cached),
+                    encoding: speech.audioEncoding,
+                    bytes: speech.audioContent.length,
+                });
+                return speech;
+            });
+        },
+
+        // Synthesizes a phrase into the cache unless it is already there.
+        // Resolves with 'cached', 'rendered' or 'fallback' (a later engine
+        // answered, so nothing was cached).
+        async prerender({ text, voice, format = null }) {
+            if (!cache) throw new Error("The TTS cache is disabled (TTS_CACHE=off)");
+
+            const key = keyFor({ text, voice, format });
+            if (await cache.has(key)) return 'cached';
+
+            const speech = await synthesizeWithEngines({ text, voice, format });
+            await store(key, text, speech);
+            return speech.engine === engines[0].name ? 'rendered' : 'fallback';
+        },
+    };
+}
+
+// Splits `text` into sentences, synthesizes them all in parallel and yields
+// { index, text, speech } in sentence order as soon as each one is ready, so
+// the first sentence can play while later ones are still being synthesized.
+export async function* synthesizeSentences(tts, { text, voice, format }) {
+    const sentences = splitSentences(text);
+    const syntheses = sentences.map(sentence => tts.synthesize({ text: sentence, voice, format }));
+    // A consumer that stops early never awaits the rest; keep their failures
+    // from surfacing as unhandled rejections.
+    syntheses.forEach(synthesis => synthesis.catch(() => {}));
+
+    for (let index = 0; index < sentences.length; index++) {
+        yield { index, text: sentences[index], speech: await syntheses[index] };
+    }
+}
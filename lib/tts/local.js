@@ -0,0 +1,91 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+
+// ---------------- Local TTS Engines (offline) ----------------
+// Both engines run as a subprocess, read the text from stdin and produce
+// 16-bit WAV (LINEAR16), so they work without network or credentials. Other
+// requested formats are converted by the provider, see lib/audioOutput.js.
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const VERSION_CHECK_TIMEOUT_MS = 5000;
+
+// Runs a command, writes `input` to its stdin and resolves with its stdout.
+const runCommand = (command, args, input, timeoutMs = DEFAULT_TIMEOUT_MS) => new Promise((resolve, reject) => {
+    const child = spawn(command, args, { timeout: timeoutMs });
+    const stdout = [];
+    const stderr = [];
+
+    child.stdout.on('data', (data) => stdout.push(data));
+    child.stderr.on('data', (data) => stderr.push(data));
+    child.on('error', reject);
+    child.on('close', (code) => {
+        if (code === 0) {
+            resolve(Buffer.concat(stdout));
+        } else {
+            reject(new Error(`${command} exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+        }
+    });
+
+    // A command that exits without reading its input (bad voice, wrong binary)
+    // makes the write fail with EPIPE; the exit code above already reports it.
+    child.stdin.on('error', () => {});
+    child.stdin.end(input, 'utf8');
+});
+
+// "en-US" -> "en-us", "hi-IN" -> "hi": espeak-ng only has regional variants for a few languages.
+// Female voices use espeak-ng's "+f3" voice variant.
+const toEspeakVoice = ({ languageCode = 'en-US', ssmlGender } = {}) => {
+    const [language, region] = languageCode.toLowerCase().split('-');
+    const espeakVoice = ['en', 'es', 'fr', 'pt'].includes(language) && region ? `${language}-${region}` : language;
+    return ssmlGender === 'FEMALE' ? `${espeakVoice}+f3` : espeakVoice;
+};
+
+export function createEspeakEngine({ command = "espeak-ng" } = {}) {
+    return {
+        name: 'espeak',
+        // Local and cheap, so the binary is always run, probe or not
+        async healthCheck() {
+            await runCommand(command, ['--version'], '', VERSION_CHECK_TIMEOUT_MS);
+            return { command };
+        },
+        async synthesize({ text, voice }) {
+            const audioContent = await runCommand(command, ['-v', toEspeakVoice(voice), '--stdin', '--stdout'], text);
+            return { audioContent, audioEncoding: 'LINEAR16', mimeType: 'audio/wav' };
+        },
+    };
+}
+
+// Piper needs one .onnx voice model per language: <modelDir>/<lang>.onnx
+// (e.g. en.onnx, hi.onnx). `defaultModel` is used for languages without one.
+export function createPiperEngine({ command = "piper", modelDir, defaultModel } = {}) {
+    const findModel = (languageCode = 'en-US') => {
+        const language = languageCode.split('-')[0];
+        const candidate = modelDir && path.join(modelDir, `${language}.onnx`);
+        if (candidate && fs.existsSync(candidate)) return candidate;
+        if (defaultModel) return defaultModel;
+        throw new Error(`No Piper voice model for language ${languageCode}`);
+    };
+
+    return {
+        name: 'piper',
+        async healthCheck() {
+            if (!modelDir && !defaultModel) throw new Error("PIPER_MODEL_DIR or PIPER_MODEL is not set");
+            await runCommand(command, ['--version'], '', VERSION_CHECK_TIMEOUT_MS);
+            return { command, modelDir: modelDir || null, defaultModel: defaultModel || null };
+        },
+        async synthesize({ text, voice }) {
+            // Unique per call: the sentences of one reply are synthesized in parallel
+            const outputPath = path.join(os.tmpdir(), `piper_${randomUUID()}.wav`);
+            try {
+                await runCommand(command, ['--model', findModel(voice?.languageCode), '--output_file', outputPath], text);
+                const audioContent = await fs.promises.readFile(outputPath);
+                return { audioContent, audioEncoding: 'LINEAR16', mimeType: 'audio/wav' };
+            } finally {
+                fs.promises.unlink(outputPath).catch(() => {});
+            }
+        },
+    };
+}
@@ -0,0 +1,21 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// ---------------- Per-Request Usage Metering ----------------
+// The auth layer runs each authenticated request inside runWithMeter(), so
+// code deep in the pipeline (TTS, audio decoding) can report what it used
+// without the routes threading a counter through every call:
+//     meterUsage({ audioSeconds: 4.2 })
+//     meterUsage({ ttsCharacters: text.length })
+// Outside a metered request (auth off, CLI scripts) meterUsage does nothing.
+
+const meterStorage = new AsyncLocalStorage();
+
+// `record` receives the amounts as they are reported
+export function runWithMeter(record, fn) {
+    return meterStorage.run(record, fn);
+}
+
+export function meterUsage(amounts) {
+    const record = meterStorage.getStore();
+    if (record) record(amounts);
+}
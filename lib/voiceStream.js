@@ -0,0 +1,328 @@
+import { WebSocketServer } from 'ws';
+import { resolveSession, addTurn, buildMessages } from './sessions.js';
+import { generateReply } from './llm/index.js';
+import { openTranscriptionStream, MAX_BUFFERED_BYTES } from './stt/index.js';
+import { synthesizeSentences } from './tts/index.js';
+import { buildSystemInstruction } from './prompts.js';
+import { resolveVoice } from './voices.js';
+import { personaVoiceOptions } from './personas.js';
+import { isValidUserId } from './memory.js';
+import { resolveAudioFormat, AudioOutputError } from './audioOutput.js';
+import { meterUsage } from './usage.js';
+import { createTrace, currentTrace, runWithTrace, annotateTrace, traceTimings, logEvent } from './trace.js';
+import { requestsInFlight, emptyTranscriptions } from './metrics.js';
+import { noteAudio } from './journal.js';
+import { pcmToWav, isSupportedSampleRate, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE } from './audio.js';
+import { isValidTargetLangCode, detectSpokenLanguage, resolveReplyLanguage } from './languages.js';
+
+// ---------------- Full-Duplex Voice Stream (WebSocket) ----------------
+// Endpoint: ws://<host>/voice-stream
+// With API_AUTH=on the upgrade needs an API key (X-API-Key header, or
+// ?apiKey= for browsers) and every "start" counts as one request against the
+// key's limits, see lib/auth.js. With JOURNAL=on each utterance is one entry
+// of the interaction journal, see lib/journal.js.
+//
+// Client -> Server
+//   Text frames carry JSON control messages:
+//     { "type": "start", "targetLangCode": "en", "sessionId": "...", "sampleRate": 16000 }
+//         Begins an utterance. sessionId is optional (a new session is created
+//         when omitted). sampleRate defaults to 16000 (8000-48000). Optional voiceName /
+//         voiceGender pick the reply voice (see GET /voices), optional
+//         audioEncoding / sampleRateHertz the audio format (see lib/audioOutput.js),
+//         optional personaId / userName / scene the persona (see lib/personas.js),
+//         optional userId whose memories are recalled and updated (see lib/memory.js).
+//     { "type": "language", "targetLangCode": "hi", "voiceGender": "FEMALE" }
+//         Changes the reply language (or voice, format, persona, user) for the
+//         current and later utterances.
+//         "auto" replies in the language detected in each utterance.
+//     { "type": "stop", "requestId": "..." }
+//         Ends the utterance; the server finalizes the transcript and replies.
+//         requestId is optional and names the utterance in the server logs.
+//     { "type": "cancel" }
+//         Drops the current utterance and any reply still being produced.
+//   Binary frames carry raw PCM audio: 16-bit little-endian, mono, at sampleRate.
+//
+// Server -> Client (JSON text frames)
+//     { "type": "started", "sessionId": "..." }
+//     { "type": "transcript", "text": "...", "isFinal": false }   interim, repeated
+//     { "type": "transcript", "text": "...", "isFinal": true, "spokenLangCode": "en" }
+//     { "type": "assistant", "text": "...", "targetLangCode": "en", "knowledgeChunkIds": ["setup:0"] }
+//         knowledgeChunkIds: the knowledge-base passages the answer could draw on,
+//         see lib/knowledge/index.js
+//     { "type": "audio", "index": 0, "text": "...", "encoding": "MP3", "mimeType": "audio/mpeg",
+//       "sampleRateHertz": 24000, "durationMs": 1850, "audioBase64": "..." }
+//         One per sentence, sent in order as soon as each is synthesized.
+//         Without a requested audioEncoding, encoding is LINEAR16 (audio/wav)
+//         when a local fallback engine answered.
+//     { "type": "done", "sessionId": "...", "requestId": "...", "timings": { "stt": 310.2, "llm": 802.5, "tts": 640.1, "total": 1771.9 } }
+//         timings are in ms from the stop message, see lib/trace.js.
+//     { "type": "cancelled" }
+//     { "type": "error", "error": "...", "details": "..." }
+//         Limit refusals also carry "code" and "retryAfterSeconds".
+
+const VOICE_STREAM_PATH = '/voice-stream';
+const DEFAULT_SAMPLE_RATE = 16000;
+
+const send = (ws, message) => {
+    if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+};
+
+export function attachVoiceStream(server, { llm, stt, tts, auth, journal, personas, knowledge, memory }) {
+    const wss = new WebSocketServer({
+        server,
+        path: VOICE_STREAM_PATH,
+        // Refuse unauthenticated upgrades with a plain HTTP 401
+        verifyClient: auth.enabled ? ({ req }, done) => {
+            const identity = auth.verifyUpgrade(req);
+            if (!identity.ok) return done(false, identity.status, identity.body.error);
+            req.apiKeyRecord = identity.key;
+            done(true);
+        } : undefined,
+    });
+
+    wss.on('connection', (ws, req) => {
+        const apiKey = req.apiKeyRecord || null;
+        let targetLangCode = 'en';
+        const voiceOptions = { voiceName: undefined, voiceGender: undefined };
+        let audioFormat = null;
+        let persona = personas.resolve();
+        const promptContext = { userName: undefined, scene: undefined };
+        let userId;
+        let session = null;
+        let sttStream = null;
+        // `chunks` keeps the PCM only when the journal stores audio, at most
+        // MAX_BUFFERED_BYTES of it (`kept`), like the buffered STT stream
+        let utterance = { sampleRate: DEFAULT_SAMPLE_RATE, bytes: 0, chunks: null, kept: 0 };
+        // Bumped on every start/cancel so stale async work stops sending
+        let generation = 0;
+
+        const closeSttStream = () => {
+            if (sttStream) {
+                sttStream.abort();
+                sttStream = null;
+            }
+        };
+
+        // Language, voice, audio format, persona and user choices stick for the rest
+        // of the connection. Returns false when the persona does not exist or the
+        // userId is invalid.
+        const setLanguage = ({ targetLangCode: code, voiceName, voiceGender, audioEncoding, sampleRateHertz, personaId, userName, scene, userId: requestedUserId }) => {
+            if (requestedUserId !== undefined) {
+                if (!isValidUserId(requestedUserId)) {
+                    send(ws, { type: 'error', error: "Invalid userId: use 1-128 letters, digits, '_', '.', '@' or '-'." });
+                    return false;
+                }
+                userId = requestedUserId;
+            }
+            if (personaId !== undefined) {
+                const chosen = personas.resolve(personaId);
+                if (!chosen) {
+                    send(ws, { type: 'error', error: "Persona not found.", personaId });
+                    return false;
+                }
+                persona = chosen;
+            }
+            if (userName !== undefined) promptContext.userName = userName;
+            if (scene !== undefined) promptContext.scene = scene;
+            if (isValidTargetLangCode(code)) targetLangCode = code;
+            if (voiceName !== undefined) voiceOptions.voiceName = voiceName;
+            if (voiceGender !== undefined) voiceOptions.voiceGender = voiceGender;
+            if (audioEncoding !== undefined || sampleRateHertz !== undefined) {
+                try {
+                    audioFormat = resolveAudioFormat({ audioEncoding, sampleRateHertz });
+                } catch (err) {
+                    if (!(err instanceof AudioOutputError)) throw err;
+                    send(ws, { type: 'error', error: err.message, code: err.code });
+                }
+            }
+            return true;
+        };
+
+        const startUtterance = (message) => {
+            closeSttStream();
+            generation++;
+
+            if (apiKey) {
+                const admission = auth.admit(apiKey);
+                if (!admission.ok) {
+                    return send(ws, { type: 'error', ...admission.body });
+                }
+            }
+            if (!setLanguage(message)) return;
+
+            // Usage is metered from the byte count at this rate, so it must be one the audio can have
+            const sampleRate = message.sampleRate === undefined ? DEFAULT_SAMPLE_RATE : Number(message.sampleRate);
+            if (!isSupportedSampleRate(sampleRate)) {
+                return send(ws, { type: 'error', error: `Unsupported sampleRate "${message.sampleRate}". Use a whole number from ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE}.` });
+            }
+
+            session = resolveSession(message.sessionId);
+            if (!session) {
+                return send(ws, { type: 'error', error: "Session not found or expired.", sessionId: message.sessionId });
+            }
+
+            const myGeneration = generation;
+            utterance = { sampleRate, bytes: 0, chunks: journal.withAudio ? [] : null, kept: 0 };
+            sttStream = openTranscriptionStream(stt, {
+                sampleRate: utterance.sampleRate,
+                onPartial: (transcription) => {
+                    if (myGeneration !== generation) return;
+                    send(ws, { type: 'transcript', text: transcription.text, isFinal: false });
+                },
+            });
+
+            send(ws, { type: 'started', sessionId: session.id });
+        };
+
+        // Each utterance is traced from its stop message on, see lib/trace.js
+        const finishUtterance = (message) => runWithTrace(createTrace(message.requestId), async () => {
+            if (!sttStream) {
+                return send(ws, { type: 'error', error: "No utterance in progress. Send a start message first." });
+            }
+            const myGeneration = generation;
+            const activeSession = session;
+            const stream = sttStream;
+            sttStream = null;
+
+            // 16-bit mono PCM: two bytes per sample
+            meterUsage({ audioSeconds: utterance.bytes / (2 * utterance.sampleRate) });
+            annotateTrace({ sessionId: activeSession.id, personaId: persona.id, audioBytes: utterance.bytes, sampleRate: utterance.sampleRate });
+            if (utterance.chunks) noteAudio('input', pcmToWav(Buffer.concat(utterance.chunks), utterance.sampleRate), 'wav');
+            requestsInFlight.inc({ kind: 'voice-stream' });
+
+            try {
+                const transcription = await stream.finish();
+                if (myGeneration !== generation) return;
+
+                const transcribedText = transcription.text;
+                const spokenLangCode = detectSpokenLanguage(transcription);
+                send(ws, { type: 'transcript', text: transcribedText, isFinal: true, spokenLangCode });
+
+                if (transcribedText.length === 0) {
+                    emptyTranscriptions.inc({ route: VOICE_STREAM_PATH });
+                    journal.record(currentTrace(), { route: VOICE_STREAM_PATH, status: 400, error: "Could not transcribe audio. Text is empty." });
+                    return send(ws, {
+                        type: 'error',
+                        error: "Could not transcribe audio. Text is empty.",
+                        assistantResponse: "I'm sorry, I couldn't understand what you said. Please try again."
+                    });
+                }
+
+                const replyLangCode = resolveReplyLanguage(targetLangCode, spokenLangCode);
+                annotateTrace({ spokenLangCode, requestedLangCode: targetLangCode, targetLangCode: replyLangCode });
+                const { assistantText, knowledgeChunkIds } = await generateAssistantReply(activeSession, transcribedText, replyLangCode);
+                if (myGeneration !== generation) return;
+                send(ws, { type: 'assistant', text: assistantText, targetLangCode: replyLangCode, knowledgeChunkIds });
+
+                // Synthesize all sentences in parallel, but deliver them in order
+                const voice = resolveVoice(replyLangCode, personaVoiceOptions(persona, replyLangCode, voiceOptions));
+                for await (const { index, text, speech } of synthesizeSentences(tts, { text: assistantText, voice, format: audioFormat })) {
+                    if (myGeneration !== generation) return;
+                    send(ws, {
+                        type: 'audio',
+                        index,
+                        text,
+                        encoding: speech.audioEncoding,
+                        mimeType: speech.mimeType,
+                        sampleRateHertz: speech.sampleRateHertz,
+                        durationMs: speech.durationMs,
+                        audioBase64: speech.audioContent.toString('base64'),
+                    });
+                }
+
+                const turn = {
+                    inputMode: 'voice',
+                    userText: transcribedText,
+                    assistantText,
+                    spokenLangCode,
+                    targetLangCode: replyLangCode,
+                };
+                addTurn(activeSession, turn);
+                memory.remember(userId, turn);
+                const timings = traceTimings();
+                logEvent('utterance', { path: VOICE_STREAM_PATH, ...currentTrace().fields, timings });
+                journal.record(currentTrace(), { route: VOICE_STREAM_PATH, status: 200 });
+                send(ws, { type: 'done', sessionId: activeSession.id, requestId: currentTrace().requestId, timings });
+
+            } catch (err) {
+                if (myGeneration !== generation) return;
+                console.error("API error in /voice-stream:", err.message || err);
+                logEvent('utterance', { path: VOICE_STREAM_PATH, ...currentTrace().fields, error: err.message, timings: traceTimings() }, 'error');
+                journal.record(currentTrace(), { route: VOICE_STREAM_PATH, status: 500, error: err.message });
+                send(ws, { type: 'error', error: "Failed to process voice stream", details: err.message });
+            } finally {
+                requestsInFlight.dec({ kind: 'voice-stream' });
+            }
+        });
+
+        const generateAssistantReply = async (activeSession, userText, replyLangCode) => {
+            const memories = await memory.recall(userId, userText);
+            const { passages, chunkIds } = await knowledge.retrieve(userText);
+            const assistantText = await generateReply(llm, {
+                systemInstruction: buildSystemInstruction({ persona, targetLangCode: replyLangCode, ...promptContext, memories, passages }),
+                messages: buildMessages(activeSession, userText),
+                generation: persona.generation,
+            });
+            if (!assistantText) {
+                throw new Error("Gemini did not provide a response");
+            }
+            return { assistantText, knowledgeChunkIds: chunkIds };
+        };
+
+        // Runs inside the key's usage meter, so TTS characters are counted too
+        ws.on('message', (data, isBinary) => auth.meter(apiKey, () => {
+            if (isBinary) {
+                if (sttStream) {
+                    utterance.bytes += data.length;
+                    const room = MAX_BUFFERED_BYTES - utterance.kept;
+                    if (utterance.chunks && room > 0) {
+                        const part = data.length > room ? data.subarray(0, room - (room % 2)) : data;
+                        utterance.chunks.push(part);
+                        utterance.kept += part.length;
+                    }
+                    sttStream.write(data);
+                }
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch {
+                return send(ws, { type: 'error', error: "Invalid control message: expected JSON." });
+            }
+            // `null`, numbers and arrays parse fine but are no control message
+            if (!message || typeof message !== 'object' || Array.isArray(message)) {
+                return send(ws, { type: 'error', error: "Invalid control message: expected a JSON object." });
+            }
+
+            switch (message.type) {
+                case 'start':
+                    startUtterance(message);
+                    break;
+                case 'stop':
+                    finishUtterance(message);
+                    break;
+                case 'language':
+                    setLanguage(message);
+                    break;
+                case 'cancel':
+                    generation++;
+                    closeSttStream();
+                    send(ws, { type: 'cancelled' });
+                    break;
+                default:
+                    send(ws, { type: 'error', error: `Unknown control message type: ${message.type}` });
+            }
+        }));
+
+        ws.on('close', () => {
+            generation++;
+            closeSttStream();
+        });
+    });
+
+    return wss;
+}
@@ -0,0 +1,137 @@
+// ---------------- Voice Catalog ----------------
+// Every language the assistant can answer in, keyed by the simple 2-letter
+// code the frontends send. The first voice of each language is its default;
+// the others can be picked per call by name or by gender. The Google Cloud
+// voice names only matter for the google engine, the local engines use
+// languageCode and ssmlGender.
+export const VOICE_GENDERS = ['MALE', 'FEMALE'];
+
+export const VOICE_CATALOG = {
+    'en': {
+        name: 'English (US)',
+        languageCode: 'en-US',
+        voices: [
+            { name: 'en-US-Neural2-J', ssmlGender: 'MALE' },
+            { name: 'en-US-Neural2-D', ssmlGender: 'MALE' },
+            { name: 'en-US-Neural2-F', ssmlGender: 'FEMALE' },
+            { name: 'en-US-Neural2-C', ssmlGender: 'FEMALE' },
+        ],
+    },
+    'es': {
+        name: 'Spanish (Spain)',
+        languageCode: 'es-ES',
+        voices: [
+            { name: 'es-ES-Wavenet-C', ssmlGender: 'MALE' },
+            { name: 'es-ES-Standard-A', ssmlGender: 'FEMALE' },
+        ],
+    },
+    'fr': {
+        name: 'French (France)',
+        languageCode: 'fr-FR',
+        voices: [
+            { name: 'fr-FR-Wavenet-B', ssmlGender: 'MALE' },
+            { name: 'fr-FR-Wavenet-A', ssmlGender: 'FEMALE' },
+        ],
+    },
+    'de': {
+        name: 'German (Germany)',
+        languageCode: 'de-DE',
+        voices: [
+            { name: 'de-DE-Wavenet-E', ssmlGender: 'MALE' },
+            { name: 'de-DE-Wavenet-A', ssmlGender: 'FEMALE' },
+        ],
+    },
+    'ja': {
+        name: 'Japanese (Japan)',
+        languageCode: 'ja-JP',
+        voices: [
+            { name: 'ja-JP-Wavenet-D', ssmlGender: 'MALE' },
+            { name: 'ja-JP-Wavenet-A', ssmlGender: 'FEMALE' },
+        ],
+    },
+    'ru': {
+        name: 'Russian (Russia)',
+        languageCode: 'ru-RU',
+        voices: [
+            { name: 'ru-RU-Wavenet-C', ssmlGender: 'MALE' },
+            { name: 'ru-RU-Wavenet-A', ssmlGender: 'FEMALE' },
+        ],
+    },
+    'hi': {
+        name: 'Hindi (India)',
+        languageCode: 'hi-IN',
+        voices: [
+            { name: 'hi-IN-Wavenet-C', ssmlGender: 'MALE' },
+            { name: 'hi-IN-Wavenet-A', ssmlGender: 'FEMALE' },
+        ],
+    },
+    'ta': {
+        name: 'Tamil (India)',
+        languageCode: 'ta-IN',
+        voices: [
+            { name: 'ta-IN-Wavenet-D', ssmlGender: 'MALE' },
+            { name: 'ta-IN-Wavenet-A', ssmlGender: 'FEMALE' },
+        ],
+    },
+    'te': {
+        name: 'Telugu (India)',
+        languageCode: 'te-IN',
+        voices: [
+            { name: 'te-IN-Wavenet-C', ssmlGender: 'MALE' },
+            { name: 'te-IN-Standard-A', ssmlGender: 'FEMALE' },
+        ],
+    },
+    'ml': {
+        name: 'Malayalam (India)',
+        languageCode: 'ml-IN',
+        voices: [
+            { name: 'ml-IN-Wavenet-B', ssmlGender: 'MALE' },
+            { name: 'ml-IN-Wavenet-A', ssmlGender: 'FEMALE' },
+        ],
+    },
+    'kn': {
+        name: 'Kannada (India)',
+        languageCode: 'kn-IN',
+        voices: [
+            { name: 'kn-IN-Wavenet-B', ssmlGender: 'MALE' },
+            { name: 'kn-IN-Wavenet-A', ssmlGender: 'FEMALE' },
+        ],
+    },
+};
+
+const toVoiceConfig = (language, voice) => ({ languageCode: language.languageCode, name: voice.name, ssmlGender: voice.ssmlGender });
+
+// Default voice per language, in the { languageCode, name, ssmlGender } shape
+// the TTS engines take. Also serves as the list of valid target languages.
+export const VOICE_MAP = Object.fromEntries(
+    Object.entries(VOICE_CATALOG).map(([code, language]) => [code, toVoiceConfig(language, language.voices[0])])
+);
+
+// Voice for one reply: the requested voice name if this language has it,
+// else the first voice of the requested gender, else the language default.
+// Unknown names and genders fall back silently, because with
+// targetLangCode=auto the client cannot know the reply language in advance.
+export function resolveVoice(langCode, { voiceName, voiceGender } = {}) {
+    const language = VOICE_CATALOG[langCode];
+    if (!language) return VOICE_MAP.en;
+
+    const gender = typeof voiceGender === 'string' ? voiceGender.toUpperCase() : null;
+    const voice = language.voices.find(candidate => candidate.name === voiceName)
+        || language.voices.find(candidate => candidate.ssmlGender === gender)
+        || language.voices[0];
+    return toVoiceConfig(language, voice);
+}
+
+// Public shape of the catalog for GET /voices
+export function describeVoiceCatalog() {
+    return {
+        genders: VOICE_GENDERS,
+        languages: Object.entries(VOICE_CATALOG).map(([code, language]) => ({
+            code,
+            name: language.name,
+            languageCode: language.languageCode,
+            defaultVoice: language.voices[0],
+            voices: language.voices,
+        })),
+    };
+}
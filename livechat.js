@@ -1,7 +1,8 @@
 import readline from "readline";
-import { GoogleGenAI } from "@google/genai";
 import dotenv from "dotenv";
-import { spawn } from "child_process";
+import { createLLMProvider, generateReply } from "./lib/llm/index.js";
+import { createTTSProvider } from "./lib/tts/index.js";
+import fs from "fs";
 import path from "path";
 import player from "play-sound";
 import { fileURLToPath } from "url";
@@ -13,13 +14,9 @@ const __dirname = path.dirname(__filename);
 // ---------- Load environment ----------
 dotenv.config();
 
-// ---------- Gemini Client ----------
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  console.error("❌ Gemini API key missing.");
-  process.exit(1);
-}
-const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
+// ---------- LLM Client ----------
+// Chosen by LLM_PROVIDER (gemini | openai | stub), see lib/llm/index.js
+const llm = createLLMProvider();
 
 // ---------- Readline setup ----------
 const rl = readline.createInterface({
@@ -30,33 +27,23 @@ const rl = readline.createInterface({
 let conversationHistory = [];
 console.log("🎤 Gemini Terminal Chat (type 'exit' to quit)");
 
+// ---------- TTS (engines tried in TTS_ENGINES order, see lib/tts/index.js) ----------
+const tts = createTTSProvider();
+const FEMALE_VOICE = { languageCode: "en-US", name: "en-US-Neural2-F", ssmlGender: "FEMALE" };
+
 // Audio player
 const audioPlayer = player({});
 
 // ---------- Function to speak using female TTS ----------
-function speakFemale(text) {
-  return new Promise((resolve, reject) => {
-    const pythonScript = path.join(__dirname, "livevoice.py");
-
-    const py = spawn("python", [pythonScript, text]);
-
-    py.stdout.on("data", (data) => {
-      console.log(data.toString());
-    });
-
-    py.stderr.on("data", (data) => {
-      console.error("Python error:", data.toString());
-    });
-
-    py.on("close", (code) => {
-      if (code === 0) {
-        audioPlayer.play("female_test.wav", (err) => {
-          if (err) console.error("Audio play error:", err);
-          resolve();
-        });
-      } else {
-        reject(new Error(`Python TTS exited with code ${code}`));
-      }
+async function speakFemale(text) {
+  const speech = await tts.synthesize({ text, voice: FEMALE_VOICE });
+  const outputPath = path.join(__dirname, speech.mimeType === "audio/wav" ? "female_test.wav" : "female_test.mp3");
+  fs.writeFileSync(outputPath, speech.audioContent);
+
+  await new Promise((resolve) => {
+    audioPlayer.play(outputPath, (err) => {
+      if (err) console.error("Audio play error:", err);
+      resolve();
     });
   });
 }
@@ -73,18 +60,13 @@ function ask() {
     conversationHistory.push({ role: "user", content: userText });
 
     try {
-      const resp = await ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: conversationHistory.map(m => m.content),
-      });
-
-      if (!resp || !resp.text) throw new Error("No response from Gemini");
-      const geminiText = resp.text;
+      const geminiText = await generateReply(llm, { messages: conversationHistory });
+      if (!geminiText) throw new Error("No response from Gemini");
 
       conversationHistory.push({ role: "assistant", content: geminiText });
       console.log("Gemini:", geminiText);
 
-      // Speak the reply with Coqui TTS
+      // Speak the reply
       await speakFemale(geminiText);
 
     } catch (err) {
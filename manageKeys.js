@@ -0,0 +1,84 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { createKeyRegistry, LIMIT_NAMES } from './lib/apiKeys.js';
+
+// ---------------- API Key Admin Command ----------------
+//     npm run keys -- issue <name> [--requests-per-minute N] [--requests-per-day N]
+//                                  [--audio-seconds-per-day N] [--tts-characters-per-day N]
+//     npm run keys -- limits <id> [same options]
+//     npm run keys -- revoke <id>
+//     npm run keys -- list
+// Edits API_KEYS_FILE (default data/api-keys.json), see lib/apiKeys.js. A
+// running server picks the change up by itself. Limits not given use the
+// server's API_DEFAULT_* values; 0 means unlimited.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+if (process.env.NODE_ENV !== "production") {
+    dotenv.config({ path: path.resolve(__dirname, '.env') });
+}
+
+// "requestsPerMinute" -> "requests-per-minute"
+const optionName = (limitName) => limitName.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: Object.fromEntries(LIMIT_NAMES.map(limitName => [optionName(limitName), { type: 'string' }])),
+});
+
+const readLimits = () => {
+    const limits = {};
+    for (const limitName of LIMIT_NAMES) {
+        const value = options[optionName(limitName)];
+        if (value === undefined) continue;
+        const limit = Number(value);
+        if (!Number.isFinite(limit) || limit < 0) {
+            throw new Error(`--${optionName(limitName)} must be a number of 0 or more`);
+        }
+        limits[limitName] = limit;
+    }
+    return limits;
+};
+
+const registry = createKeyRegistry({ file: process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json') });
+const [command, argument] = positionals;
+
+try {
+    switch (command) {
+        case 'issue': {
+            if (!argument) throw new Error("Usage: issue <name>");
+            const { apiKey, key } = registry.issue({ name: argument, limits: readLimits() });
+            console.log(`✅ Issued ${key.id} for "${key.name}". Store this key now, it is not shown again:`);
+            console.log(apiKey);
+            break;
+        }
+        case 'limits': {
+            if (!argument) throw new Error("Usage: limits <id> --requests-per-minute N ...");
+            registry.setLimits(argument, readLimits());
+            console.log(`✅ Updated limits of ${argument}.`);
+            break;
+        }
+        case 'revoke': {
+            if (!argument) throw new Error("Usage: revoke <id>");
+            registry.revoke(argument);
+            console.log(`✅ Revoked ${argument}.`);
+            break;
+        }
+        case 'list': {
+            const keys = registry.list();
+            if (keys.length === 0) console.log(`No keys in ${registry.file}.`);
+            for (const key of keys) {
+                const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+                console.log(`${key.id}  ${key.prefix}…  ${key.name}  (${status})  limits: ${JSON.stringify(key.limits)}`);
+            }
+            break;
+        }
+        default:
+            throw new Error("Usage: manageKeys.js issue <name> | limits <id> | revoke <id> | list");
+    }
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+}
@@ -1,7 +1,8 @@
 import readline from "readline";
-import { GoogleGenAI } from "@google/genai";
 import dotenv from "dotenv";
-import { spawn } from "child_process";
+import { createLLMProvider, generateReply } from "./lib/llm/index.js";
+import { createTTSProvider } from "./lib/tts/index.js";
+import fs from "fs";
 import path from "path";
 import player from "play-sound";
 import { fileURLToPath } from "url";
@@ -12,50 +13,26 @@ const __dirname = path.dirname(__filename);
 
 // ----- Load environment -----
 dotenv.config();
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  console.error("❌ GEMINI_API_KEY missing in .env");
-  process.exit(1);
-}
-
-// ----- Init Gemini -----
-const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
 
-// ----- Init TTS server (Python) -----
-const ttsScript = path.join(__dirname, "myserver.py");
-const ttsProcess = spawn("python", [ttsScript]);
+// ----- Init LLM (LLM_PROVIDER: gemini | openai | stub, see lib/llm/index.js) -----
+const llm = createLLMProvider();
 
-ttsProcess.stdout.once("data", () => {
-  console.log("🔊 TTS engine loaded");
-});
+// ----- Init TTS (engines tried in TTS_ENGINES order, see lib/tts/index.js) -----
+const tts = createTTSProvider();
+const FEMALE_VOICE = { languageCode: "en-US", name: "en-US-Neural2-F", ssmlGender: "FEMALE" };
 
-ttsProcess.stderr.on("data", (d) => {
-  console.error("TTS error:", d.toString());
-});
-
-// ----- Function to send text to TTS -----
+// ----- Function to speak text -----
 const audioPlayer = player({});
-function speakFemale(text) {
-  return new Promise((resolve, reject) => {
-    const payload = JSON.stringify({ text }) + "\n";
-    ttsProcess.stdin.write(payload, "utf8");
-
-    const handle = (chunk) => {
-      try {
-        const res = JSON.parse(chunk.toString());
-        if (res.ok) {
-          audioPlayer.play("female_test.wav", (err) => {
-            if (err) console.error("Audio play error:", err);
-            resolve();
-          });
-        } else reject(new Error(res.error));
-      } catch {
-        // Ignore incomplete JSON (sometimes chunked)
-      } finally {
-        ttsProcess.stdout.off("data", handle);
-      }
-    };
-    ttsProcess.stdout.on("data", handle);
+async function speakFemale(text) {
+  const speech = await tts.synthesize({ text, voice: FEMALE_VOICE });
+  const outputPath = path.join(__dirname, speech.mimeType === "audio/wav" ? "female_test.wav" : "female_test.mp3");
+  fs.writeFileSync(outputPath, speech.audioContent);
+
+  await new Promise((resolve) => {
+    audioPlayer.play(outputPath, (err) => {
+      if (err) console.error("Audio play error:", err);
+      resolve();
+    });
   });
 }
 
@@ -69,8 +46,6 @@ function ask() {
   rl.question("You: ", async (userText) => {
     if (userText.toLowerCase() === "exit") {
       console.log("👋 Exiting...");
-      ttsProcess.stdin.write(JSON.stringify({ text: "__exit__" }) + "\n");
-      ttsProcess.kill();
       rl.close();
       return;
     }
@@ -78,18 +53,13 @@ function ask() {
     conversationHistory.push({ role: "user", content: userText });
 
     try {
-      const resp = await ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: conversationHistory.map(m => m.content),
-      });
-
-      if (!resp || !resp.text) throw new Error("No response from Gemini");
-      const geminiText = resp.text;
+      const geminiText = await generateReply(llm, { messages: conversationHistory });
+      if (!geminiText) throw new Error("No response from Gemini");
       conversationHistory.push({ role: "assistant", content: geminiText });
 
       console.log("Gemini:", geminiText);
 
-      // Speak instantly (no reload)
+      // Speak the reply
       await speakFemale(geminiText);
 
     } catch (err) {
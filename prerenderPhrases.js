@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { createTTSProvider } from './lib/tts/index.js';
+import { resolveAudioFormat } from './lib/audioOutput.js';
+import { splitSentences } from './lib/sentences.js';
+import { VOICE_MAP, VOICE_CATALOG } from './lib/voices.js';
+
+// ---------------- Pre-render Phrase Packs into the TTS Cache ----------------
+// Synthesizes the phrases in phrases.json ({ "<lang>": ["...", ...] }, one list
+// per VOICE_MAP language) into the TTS cache, so common replies are served
+// instantly and offline. Each phrase is also rendered sentence by sentence,
+// which is how streamed replies are synthesized.
+//
+//     npm run prerender-phrases -- [--languages en,hi] [--all-voices]
+//         [--audio-encoding LINEAR16] [--sample-rate-hertz 16000] [--phrases file.json]
+//
+// Uses the same TTS_ENGINES / TTS_CACHE_* settings as the server. Exits with
+// code 1 if any phrase could not be cached.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+if (process.env.NODE_ENV !== "production") {
+    dotenv.config({ path: path.resolve(__dirname, '.env') });
+}
+
+const { values: options } = parseArgs({
+    options: {
+        'languages': { type: 'string' },
+        'all-voices': { type: 'boolean', default: false },
+        'audio-encoding': { type: 'string' },
+        'sample-rate-hertz': { type: 'string' },
+        'phrases': { type: 'string', default: process.env.TTS_PHRASES_FILE || path.join(__dirname, 'phrases.json') },
+    },
+});
+
+const phrasePacks = JSON.parse(fs.readFileSync(options.phrases, 'utf8'));
+const format = resolveAudioFormat({ audioEncoding: options['audio-encoding'], sampleRateHertz: options['sample-rate-hertz'] });
+const languages = options.languages
+    ? options.languages.split(',').map(code => code.trim()).filter(Boolean)
+    : Object.keys(VOICE_MAP);
+
+const tts = createTTSProvider();
+if (!tts.cache) {
+    console.error("❌ The TTS cache is disabled (TTS_CACHE=off), nothing to pre-render into.");
+    process.exit(1);
+}
+console.log(`🔊 TTS engines: ${tts.name}, cache: ${tts.cache.dir}`);
+
+const counts = { rendered: 0, cached: 0, fallback: 0, failed: 0 };
+
+for (const langCode of languages) {
+    if (!VOICE_MAP[langCode]) {
+        console.warn(`⚠️ Skipping "${langCode}": not a VOICE_MAP language.`);
+        continue;
+    }
+    const phrases = phrasePacks[langCode] || [];
+    const { languageCode, voices } = VOICE_CATALOG[langCode];
+    const voiceConfigs = (options['all-voices'] ? voices : voices.slice(0, 1))
+        .map(voice => ({ languageCode, name: voice.name, ssmlGender: voice.ssmlGender }));
+
+    for (const phrase of phrases) {
+        const sentences = splitSentences(phrase);
+        const texts = sentences.length > 1 ? [phrase, ...sentences] : [phrase];
+
+        for (const voice of voiceConfigs) {
+            for (const text of texts) {
+                try {
+                    const outcome = await tts.prerender({ text, voice, format });
+                    counts[outcome]++;
+                    console.log(`${outcome === 'fallback' ? '⚠️' : '✅'} [${langCode} ${voice.name}] ${outcome}: "${text}"`);
+                } catch (err) {
+                    counts.failed++;
+                    console.error(`❌ [${langCode} ${voice.name}] failed: "${text}" (${err.message || err})`);
+                }
+            }
+        }
+    }
+}
+
+console.log(`Done. Rendered ${counts.rendered}, already cached ${counts.cached}, fallback engine only ${counts.fallback}, failed ${counts.failed}.`);
+console.log("Cache:", await tts.cache.stats());
+
+if (counts.failed > 0 || counts.fallback > 0) process.exitCode = 1;
@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { createLLMProvider } from './lib/llm/index.js';
+import { createSTTProvider } from './lib/stt/index.js';
+import { createTTSProvider } from './lib/tts/index.js';
+import { createPersonaStore } from './lib/personas.js';
+import { createKnowledgeBase } from './lib/knowledge/index.js';
+import { createToolRegistry } from './lib/tools/index.js';
+import { loadJournalCases, loadAudioCases, replayCase, compareRuns } from './lib/replay.js';
+
+// ---------------- Replay Recorded Interactions (Regression Check) ----------------
+// Replays journal entries (see lib/journal.js) and loose audio files through
+// STT -> LLM -> TTS and compares the outcome with a saved baseline:
+//
+//     npm run replay -- [--journal logs/requests.jsonl] [--audio uploads] [--target-lang auto]
+//         [--stt env|recorded] [--llm env|recorded] [--tts env|off]
+//         [--baseline replay/baseline.json] [--update-baseline] [--report replay/report.json]
+//         [--strict-replies] [--latency-tolerance 0.5] [--latency-floor-ms 250] [--limit N]
+//
+// --journal and --audio may be repeated; without either, logs/requests.jsonl
+// is used. "env" stages use the providers configured as for the server
+// (LLM_PROVIDER, STT_PROVIDER, TTS_ENGINES, PERSONAS_FILE; LLM_PROVIDER=stub and
+// STT_PROVIDER=fixture run fully offline), "recorded" ones the journal.
+// Without a baseline file (or with --update-baseline) the run becomes the
+// baseline. Exits with code 1 when any case regressed, see compareRuns() in
+// lib/replay.js for what counts. Recordings that used memories or the game
+// state are skipped with --llm env, see replayCase().
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+if (process.env.NODE_ENV !== "production") {
+    dotenv.config({ path: path.resolve(__dirname, '.env') });
+}
+
+const STAGE_MODES = { stt: ['env', 'recorded'], llm: ['env', 'recorded'], tts: ['env', 'off'] };
+
+const { values: options } = parseArgs({
+    options: {
+        'journal': { type: 'string', multiple: true },
+        'audio': { type: 'string', multiple: true },
+        'target-lang': { type: 'string', default: 'auto' },
+        'stt': { type: 'string', default: 'env' },
+        'llm': { type: 'string', default: 'env' },
+        'tts': { type: 'string', default: 'env' },
+        'baseline': { type: 'string', default: path.join(__dirname, 'replay', 'baseline.json') },
+        'update-baseline': { type: 'boolean', default: false },
+        'report': { type: 'string' },
+        'strict-replies': { type: 'boolean', default: false },
+        'latency-tolerance': { type: 'string', default: '0.5' },
+        'latency-floor-ms': { type: 'string', default: '250' },
+        'limit': { type: 'string' },
+    },
+});
+
+const modes = { stt: options.stt, llm: options.llm, tts: options.tts };
+for (const [stage, mode] of Object.entries(modes)) {
+    if (!STAGE_MODES[stage].includes(mode)) {
+        console.error(`❌ --${stage} must be ${STAGE_MODES[stage].join(' or ')}.`);
+        process.exit(1);
+    }
+}
+
+const writeJson = (file, data) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+};
+
+// Long transcripts and replies are cut for the console; the report has them whole
+const preview = (value) => {
+    const text = JSON.stringify(value);
+    return text && text.length > 80 ? `${text.slice(0, 77)}..."` : text;
+};
+
+// 1. COLLECT THE CASES
+const journals = options.journal || (options.audio ? [] : [path.join(__dirname, 'logs', 'requests.jsonl')]);
+let cases = [
+    ...journals.flatMap(file => loadJournalCases(file)),
+    ...(options.audio || []).flatMap(target => loadAudioCases(target, options['target-lang'])),
+];
+if (options.limit) cases = cases.slice(0, Number(options.limit));
+
+if (cases.length === 0) {
+    console.error("❌ Nothing to replay: no journal entries with a transcript or audio, and no audio files.");
+    process.exit(1);
+}
+
+// 2. REPLAY THEM, ONE AT A TIME SO LATENCIES ARE COMPARABLE
+const llm = createLLMProvider();
+const stt = createSTTProvider();
+const tts = modes.tts === 'env' ? createTTSProvider() : null;
+const personas = createPersonaStore({ file: process.env.PERSONAS_FILE || undefined, defaultId: process.env.PERSONA_DEFAULT || undefined });
+const knowledge = createKnowledgeBase();
+const tools = createToolRegistry();
+console.log(`🔁 Replaying ${cases.length} case(s). STT: ${modes.stt === 'env' ? stt.name : 'recorded'}, LLM: ${modes.llm === 'env' ? `${llm.name} (${llm.model})` : 'recorded'}, TTS: ${tts ? tts.name : 'off'}`);
+
+const results = {};
+for (const interaction of cases) {
+    const result = await replayCase(interaction, { stt, llm, tts, personas, knowledge, tools, modes });
+    results[interaction.id] = { source: interaction.source, ...result };
+    if (result.skipped) {
+        console.log(`⏭️ ${interaction.id} skipped: ${result.skipped}`);
+        continue;
+    }
+    console.log(`${result.error ? '❌' : '✅'} ${interaction.id} (${result.timings.total} ms) ${result.error || preview(result.transcript)}`);
+}
+
+const run = { createdAt: new Date().toISOString(), modes, cases: results };
+
+// 3. COMPARE WITH THE BASELINE
+if (options['update-baseline'] || !fs.existsSync(options.baseline)) {
+    writeJson(options.baseline, run);
+    console.log(`📌 Saved ${cases.length} case(s) as the baseline in ${options.baseline}.`);
+} else {
+    const baseline = JSON.parse(fs.readFileSync(options.baseline, 'utf8'));
+    const comparisons = compareRuns(baseline.cases, results, {
+        strictReplies: options['strict-replies'],
+        latencyTolerance: Number(options['latency-tolerance']),
+        latencyFloorMs: Number(options['latency-floor-ms']),
+    });
+
+    // A partial replay (--limit) does not make the rest of the baseline "missing"
+    const relevant = options.limit ? comparisons.filter(comparison => results[comparison.id]) : comparisons;
+
+    const ICONS = { ok: '✅', changed: '📝', regressed: '❌', new: '🆕', missing: '⚠️', skipped: '⏭️' };
+    console.log(`\nCompared with the baseline of ${baseline.createdAt}:`);
+    for (const { id, status, differences } of relevant) {
+        if (status === 'ok' || status === 'skipped') continue;
+        console.log(`${ICONS[status]} ${id}: ${status}`);
+        for (const { field, regression, from, to } of differences) {
+            console.log(`    ${regression ? '!' : ' '} ${field}: ${preview(from)} -> ${preview(to)}`);
+        }
+    }
+
+    const counts = Object.fromEntries(Object.keys(ICONS).map(status => [status, relevant.filter(comparison => comparison.status === status).length]));
+    console.log(`Done. ${counts.ok} unchanged, ${counts.changed} changed, ${counts.regressed} regressed, ${counts.new} new, ${counts.missing} missing, ${counts.skipped} skipped.`);
+
+    if (options.report) {
+        writeJson(options.report, { ...run, baselineCreatedAt: baseline.createdAt, counts, comparisons: relevant });
+        console.log(`📄 Report written to ${options.report}.`);
+    }
+
+    if (counts.regressed > 0) process.exitCode = 1;
+}
@@ -0,0 +1,29 @@
+import express from 'express';
+
+// ---------------- /healthz and /readyz: load balancer checks ----------------
+// GET /healthz  200 while the process runs
+// GET /readyz   200 when every dependency is usable, 503 otherwise, with the
+//               per-dependency report of lib/health.js. ?probe=true (or
+//               READYZ_PROBE=on for every call) also makes one cheap call to
+//               Gemini / Soniox / Google TTS.
+// Always mounted and never behind API keys, whatever the preset.
+export function createHealthRouter({ health, probeByDefault = false }) {
+    const router = express.Router();
+
+    router.get("/healthz", (req, res) => {
+        res.set('Cache-Control', 'no-store').json(health.liveness());
+    });
+
+    router.get("/readyz", async (req, res) => {
+        const probe = req.query.probe !== undefined ? req.query.probe === 'true' : probeByDefault;
+        try {
+            const report = await health.readiness({ probe });
+            res.set('Cache-Control', 'no-store').status(report.status === 'ready' ? 200 : 503).json(report);
+        } catch (err) {
+            console.error("API error in /readyz:", err.message || err);
+            res.status(503).json({ status: 'not_ready', error: err.message });
+        }
+    });
+
+    return router;
+}
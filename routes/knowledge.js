@@ -0,0 +1,113 @@
+import express from 'express';
+import multer from 'multer';
+import { KnowledgeError, sendKnowledgeError } from '../lib/knowledge/index.js';
+
+// ---------------- KNOWLEDGE BASE ROUTES ----------------
+// Manage the documents the assistant routes answer from, see lib/knowledge/index.js.
+//     GET    /knowledge/documents                         { embeddingModel, documents: [...] }
+//     GET    /knowledge/documents/:documentId             the document with its chunks
+//     POST   /knowledge/documents                         201; multipart with the document in `file`
+//                                                         (plus optional `id`, `title`, `format`), or
+//                                                         JSON { text, id, title, format }
+//     POST   /knowledge/documents/:documentId/reindex     re-chunks and re-embeds one document
+//     POST   /knowledge/reindex                           ... all of them, e.g. after changing
+//                                                         KNOWLEDGE_EMBEDDING_MODEL or the chunk size
+//     DELETE /knowledge/documents/:documentId             204
+//     GET    /knowledge/search?q=...&topK=4               the passages a question would retrieve
+// Errors answer with { error, code }, see KnowledgeError in lib/knowledge/documents.js.
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+export function createKnowledgeRouter({ knowledge }) {
+    const router = express.Router();
+
+    const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_DOCUMENT_BYTES } });
+
+    const readUpload = (req, res, next) => {
+        upload.single('file')(req, res, (err) => {
+            if (err?.code === 'LIMIT_FILE_SIZE') {
+                return sendKnowledgeError(res, new KnowledgeError(`The document is larger than ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB.`, 'DOCUMENT_TOO_LARGE', 413));
+            }
+            if (err) {
+                return sendKnowledgeError(res, new KnowledgeError(`Invalid upload: ${err.message}`, 'INVALID_DOCUMENT', 400));
+            }
+            next();
+        });
+    };
+
+    router.get("/knowledge/documents", (req, res) => {
+        res.json({ embeddingModel: knowledge.embeddingModel, documents: knowledge.list() });
+    });
+
+    router.get("/knowledge/documents/:documentId", (req, res) => {
+        const document = knowledge.get(req.params.documentId);
+        if (!document) {
+            return res.status(404).json({ error: "Document not found.", code: 'DOCUMENT_NOT_FOUND' });
+        }
+        res.json(document);
+    });
+
+    router.post("/knowledge/documents", readUpload, async (req, res) => {
+        const fields = req.body || {};
+        try {
+            let document;
+            if (req.file) {
+                document = { content: req.file.buffer, fileName: req.file.originalname, mimeType: req.file.mimetype };
+            } else if (typeof fields.text === 'string') {
+                document = { content: Buffer.from(fields.text, 'utf8') };
+            } else {
+                throw new KnowledgeError("Send the document as the multipart field \"file\" or as JSON { text }.", 'INVALID_DOCUMENT', 400);
+            }
+
+            const added = await knowledge.add({ ...document, id: fields.id || undefined, title: fields.title, format: fields.format || undefined });
+            res.status(201).json(added);
+        } catch (err) {
+            if (!sendKnowledgeError(res, err)) throw err;
+        }
+    });
+
+    router.post("/knowledge/documents/:documentId/reindex", async (req, res) => {
+        try {
+            const [document] = await knowledge.reindex(req.params.documentId);
+            res.json(document);
+        } catch (err) {
+            if (sendKnowledgeError(res, err)) return;
+            console.error(`❌ Re-indexing "${req.params.documentId}" failed:`, err.message);
+            res.status(500).json({ error: "Failed to re-index the document", details: err.message });
+        }
+    });
+
+    router.post("/knowledge/reindex", async (req, res) => {
+        try {
+            const documents = await knowledge.reindex();
+            console.log(`📚 Re-indexed ${documents.length} document(s).`);
+            res.json({ embeddingModel: knowledge.embeddingModel, documents });
+        } catch (err) {
+            if (sendKnowledgeError(res, err)) return;
+            console.error("❌ Re-indexing the knowledge base failed:", err.message);
+            res.status(500).json({ error: "Failed to re-index the knowledge base", details: err.message });
+        }
+    });
+
+    router.delete("/knowledge/documents/:documentId", async (req, res) => {
+        try {
+            await knowledge.remove(req.params.documentId);
+            res.status(204).end();
+        } catch (err) {
+            if (!sendKnowledgeError(res, err)) throw err;
+        }
+    });
+
+    router.get("/knowledge/search", async (req, res) => {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!query) {
+            return res.status(400).json({ error: "Missing query parameter q." });
+        }
+        const topK = req.query.topK === undefined ? knowledge.topK : Number(req.query.topK);
+        if (!Number.isInteger(topK) || topK < 1 || topK > 50) {
+            return res.status(400).json({ error: "topK must be an integer from 1 to 50." });
+        }
+        res.json({ query, ...(await knowledge.search(query, topK)) });
+    });
+
+    return router;
+}
@@ -0,0 +1,62 @@
+import express from 'express';
+import { sendMemoryError } from '../lib/memory.js';
+
+// ---------------- USER MEMORY ROUTES ----------------
+// View, edit and erase what the assistant remembers about a user, see lib/memory.js.
+// The user id is whatever the client sends as `userId`; with API_AUTH=on any
+// key can reach any user, so the game should only expose a player's own id.
+//     GET    /users/:userId/memories              { userId, enabled, memories: [...] }
+//     POST   /users/:userId/memories              201, { text, kind } (kind defaults to "other")
+//     PATCH  /users/:userId/memories/:memoryId    changes the given fields only
+//     DELETE /users/:userId/memories/:memoryId    204
+//     DELETE /users/:userId/memories              { deleted }: forgets everything about the user
+// Errors answer with { error, code }, see MemoryError in lib/memory.js.
+export function createMemoryRouter({ memory }) {
+    const router = express.Router();
+
+    router.get("/users/:userId/memories", async (req, res) => {
+        try {
+            const memories = await memory.list(req.params.userId);
+            res.json({ userId: req.params.userId, enabled: memory.enabled, memories });
+        } catch (err) {
+            if (!sendMemoryError(res, err)) throw err;
+        }
+    });
+
+    router.post("/users/:userId/memories", async (req, res) => {
+        try {
+            res.status(201).json(await memory.add(req.params.userId, req.body));
+        } catch (err) {
+            if (!sendMemoryError(res, err)) throw err;
+        }
+    });
+
+    router.patch("/users/:userId/memories/:memoryId", async (req, res) => {
+        try {
+            res.json(await memory.update(req.params.userId, req.params.memoryId, req.body));
+        } catch (err) {
+            if (!sendMemoryError(res, err)) throw err;
+        }
+    });
+
+    router.delete("/users/:userId/memories/:memoryId", async (req, res) => {
+        try {
+            await memory.remove(req.params.userId, req.params.memoryId);
+            res.status(204).end();
+        } catch (err) {
+            if (!sendMemoryError(res, err)) throw err;
+        }
+    });
+
+    router.delete("/users/:userId/memories", async (req, res) => {
+        try {
+            const deleted = await memory.erase(req.params.userId);
+            console.log(`💭 Erased ${deleted} memories of ${req.params.userId}.`);
+            res.json({ deleted });
+        } catch (err) {
+            if (!sendMemoryError(res, err)) throw err;
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,17 @@
+import express from 'express';
+import { renderMetrics } from '../lib/metrics.js';
+
+// ---------------- /metrics: Prometheus text format ----------------
+// Request counts, stage latency histograms, LLM retries, empty
+// transcriptions, TTS characters and in-flight work since the server
+// started; see lib/metrics.js for the series. With API_AUTH=on the scraper
+// needs a key too (Authorization: Bearer <key>).
+export function createMetricsRouter() {
+    const router = express.Router();
+
+    router.get("/metrics", (req, res) => {
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+    });
+
+    return router;
+}
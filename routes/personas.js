@@ -0,0 +1,55 @@
+import express from 'express';
+import { sendPersonaError } from '../lib/personas.js';
+
+// ---------------- PERSONA ROUTES ----------------
+// Manage the personas requests pick with `personaId`, see lib/personas.js.
+// The store is a file on this server; with several instances, manage
+// PERSONAS_FILE on shared storage or deploy it with the app.
+//     GET    /personas              { defaultId, personas: [...] }
+//     GET    /personas/:personaId
+//     POST   /personas              201, id derived from the name when omitted; 409 if taken
+//     PATCH  /personas/:personaId   changes the given fields only
+//     DELETE /personas/:personaId   204; the PERSONA_DEFAULT persona cannot be deleted
+// Invalid personas get 400 with code INVALID_PERSONA.
+export function createPersonasRouter({ personas }) {
+    const router = express.Router();
+
+    router.get("/personas", (req, res) => {
+        res.json({ defaultId: personas.defaultId, personas: personas.list() });
+    });
+
+    router.get("/personas/:personaId", (req, res) => {
+        const persona = personas.get(req.params.personaId);
+        if (!persona) {
+            return res.status(404).json({ error: "Persona not found." });
+        }
+        res.json(persona);
+    });
+
+    router.post("/personas", (req, res) => {
+        try {
+            res.status(201).json(personas.create(req.body));
+        } catch (err) {
+            if (!sendPersonaError(res, err)) throw err;
+        }
+    });
+
+    router.patch("/personas/:personaId", (req, res) => {
+        try {
+            res.json(personas.update(req.params.personaId, req.body));
+        } catch (err) {
+            if (!sendPersonaError(res, err)) throw err;
+        }
+    });
+
+    router.delete("/personas/:personaId", (req, res) => {
+        try {
+            personas.remove(req.params.personaId);
+            res.status(204).end();
+        } catch (err) {
+            if (!sendPersonaError(res, err)) throw err;
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,201 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { generateReplyWithTools } from '../lib/llm/index.js';
+import { resolveSession, addTurn, buildMessages } from '../lib/sessions.js';
+import { resolveVoice } from '../lib/voices.js';
+import { wantsEventStream } from '../lib/sse.js';
+import { streamSpokenReply } from '../lib/spokenReply.js';
+import { buildSystemInstruction } from '../lib/prompts.js';
+import { personaVoiceOptions } from '../lib/personas.js';
+import { buildToolContext } from '../lib/tools/index.js';
+import { isValidUserId } from '../lib/memory.js';
+import { prepareAudioForSTT, sendAudioInputError, uploadedAudioSeconds } from '../lib/audioInput.js';
+import { meterUsage } from '../lib/usage.js';
+import { annotateTrace, traceTimings } from '../lib/trace.js';
+import { emptyTranscriptions } from '../lib/metrics.js';
+import { noteAudio } from '../lib/journal.js';
+import { negotiateAudioFormat, speechFields } from '../lib/audioOutput.js';
+import { wantsMultipart, sendMultipartReply } from '../lib/multipart.js';
+import { DEFAULT_LANG_CODE, isValidTargetLangCode, detectSpokenLanguage, resolveReplyLanguage } from '../lib/languages.js';
+
+// ---------------- /process-raw-audio: RAW audio in (Unity / Web UI), JSON + base64 audio out ----------------
+// The body is the audio file itself: WAV, WebM/Opus, Ogg, MP3, FLAC or M4A.
+// The format is sniffed from the bytes, so the Content-Type is not checked;
+// rejected uploads get an error code, see lib/audioInput.js.
+// With ?stream=true (or Accept: text/event-stream) the audio is streamed per
+// sentence as server-sent events instead, see lib/spokenReply.js.
+// ?audioEncoding= / ?sampleRateHertz= (or Accept) pick the reply audio format,
+// see lib/audioOutput.js. ?multipart=true (or Accept: multipart/mixed) returns
+// the JSON and the raw audio as two parts of one body, see lib/multipart.js.
+// JSON replies carry per-stage `timings` in ms, see lib/trace.js.
+// ?personaId= picks who answers, ?userName= / ?scene= fill its prompt
+// template, see lib/personas.js.
+// The model may call server-side tools (see lib/tools/index.js), for the
+// user described by ?locale= / ?timeZone= and the session's game state; the
+// calls are listed in `toolCalls` and only the final answer is spoken.
+// Knowledge-base passages relevant to the transcript inform the answer (see
+// lib/knowledge/index.js); `knowledgeChunkIds` lists them.
+// ?userId= recalls and updates what the assistant remembers about the user,
+// see lib/memory.js.
+export function createProcessRawAudioRouter({ llm, stt, tts, uploadDir, journal, personas, tools, knowledge, memory }) {
+    const router = express.Router();
+
+    const readRawAudio = express.raw({ type: () => true, limit: '5mb' });
+
+    router.post("/process-raw-audio", journal.middleware, readRawAudio, negotiateAudioFormat, async (req, res) => {
+
+        // Target language comes from the query string, the body is the audio itself.
+        // "auto" replies in whatever language the user spoke.
+        let targetLangCode = req.query.targetLangCode;
+        // Validate and default the language code
+        if (!isValidTargetLangCode(targetLangCode)) {
+            targetLangCode = DEFAULT_LANG_CODE;
+        }
+
+        const { userId } = req.query;
+        if (userId !== undefined && !isValidUserId(userId)) {
+            return res.status(400).json({ error: "Invalid userId: use 1-128 letters, digits, '_', '.', '@' or '-'." });
+        }
+
+        const session = resolveSession(req.query.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found or expired.", sessionId: req.query.sessionId });
+        }
+
+        const persona = personas.resolve(req.query.personaId);
+        if (!persona) {
+            return res.status(404).json({ error: "Persona not found.", personaId: req.query.personaId });
+        }
+
+        // A JSON or form body was already parsed by the app-level parsers and carries no audio
+        const audioBuffer = Buffer.isBuffer(req.body) ? req.body : null;
+        let audioFilePath = null;
+
+        try {
+            // 1. CHECK THE FORMAT, DECODE IF THE STT PROVIDER CANNOT TAKE IT AS IS
+            const preparedAudio = await prepareAudioForSTT(audioBuffer, stt);
+            const { audio, format, extension } = preparedAudio;
+            noteAudio('input', audioBuffer, format);
+
+            if (!fs.existsSync(uploadDir)) {
+                fs.mkdirSync(uploadDir);
+            }
+
+            // 2. SAVE AUDIO BUFFER TO TEMP FILE
+            audioFilePath = path.join(uploadDir, `audio_${randomUUID()}.${extension}`);
+            await fs.promises.writeFile(audioFilePath, audio);
+
+            console.log(`Received raw ${format} audio (size: ${audioBuffer.length} bytes). Target response language: ${targetLangCode}. Processing...`);
+
+            // 3. TRANSCRIBE (provider chosen by STT_PROVIDER, see lib/stt/index.js)
+            const transcription = await stt.transcribeFile(audioFilePath);
+            meterUsage({ audioSeconds: uploadedAudioSeconds(preparedAudio, transcription) });
+
+            // 4. EXTRACT TRANSCRIPT AND DETECTED LANGUAGE
+            const transcribedText = transcription.text;
+            const spokenLangCode = detectSpokenLanguage(transcription);
+            const replyLangCode = resolveReplyLanguage(targetLangCode, spokenLangCode);
+            annotateTrace({ sessionId: session.id, personaId: persona.id, audioFormat: format, audioBytes: audioBuffer.length, spokenLangCode, requestedLangCode: targetLangCode, targetLangCode: replyLangCode });
+
+            console.log(`Final Transcription (Spoken in ${spokenLangCode}): "${transcribedText}"`);
+
+            if (transcribedText.length === 0) {
+                emptyTranscriptions.inc({ route: '/process-raw-audio' });
+                return res.status(400).json({
+                    error: "Could not transcribe audio. Text is empty.",
+                    sessionId: session.id,
+                    transcribedText: "",
+                    spokenLangCode,
+                    assistantResponse: "I'm sorry, I couldn't understand what you said. Please try again."
+                });
+            }
+
+            // 5. RECALL THE USER AND LOOK UP THE KNOWLEDGE BASE
+            const memories = await memory.recall(userId, transcribedText);
+            const { passages, chunkIds: knowledgeChunkIds } = await knowledge.retrieve(transcribedText);
+
+            // 6. CONSTRUCT PROMPT AND GET GEMINI RESPONSE (running any tools it calls)
+            const { reply: geminiTextResponse, toolCalls } = await generateReplyWithTools(llm, {
+                systemInstruction: buildSystemInstruction({ persona, targetLangCode: replyLangCode, spokenLangCode, userName: req.query.userName, scene: req.query.scene, memories, passages }),
+                messages: buildMessages(session, transcribedText),
+                generation: persona.generation,
+                tools,
+                toolContext: buildToolContext({ session, replyLangCode, locale: req.query.locale, timeZone: req.query.timeZone, tools }),
+            });
+
+            if (!geminiTextResponse) {
+                return res.status(500).json({ error: "Gemini did not provide a response" });
+            }
+
+            console.log(`${llm.name} Response (in ${replyLangCode}): "${geminiTextResponse}"`);
+
+            const ttsVoiceConfig = resolveVoice(replyLangCode, personaVoiceOptions(persona, replyLangCode, { voiceName: req.query.voiceName, voiceGender: req.query.voiceGender }));
+            const turn = {
+                inputMode: 'voice',
+                userText: transcribedText,
+                assistantText: geminiTextResponse,
+                spokenLangCode,
+                targetLangCode: replyLangCode,
+            };
+
+            // Streaming mode: one SSE audio event per sentence instead of a single base64 blob
+            if (wantsEventStream(req)) {
+                addTurn(session, turn);
+                const delivered = await streamSpokenReply(res, tts, {
+                    reply: { sessionId: session.id, transcribedText, spokenLangCode, targetLangCode: replyLangCode, assistantResponse: geminiTextResponse, toolCalls, knowledgeChunkIds },
+                    voice: ttsVoiceConfig,
+                    format: res.locals.audioFormat,
+                });
+                // Only turns the user actually got are learned from
+                if (delivered) memory.remember(userId, turn);
+                return;
+            }
+
+            // 7. SYNTHESIZE SPEECH
+            const speech = await tts.synthesize({ text: geminiTextResponse, voice: ttsVoiceConfig, format: res.locals.audioFormat });
+
+            addTurn(session, turn);
+
+            // Send structured JSON response back to the client (Unity/Web)
+            const reply = {
+                sessionId: session.id,
+                transcribedText: transcribedText,
+                spokenLangCode, // Language detected in the audio
+                targetLangCode: replyLangCode, // Language of the reply (resolves "auto")
+                assistantResponse: geminiTextResponse,
+                toolCalls, // [{ name, args, result | error, durationMs }]
+                knowledgeChunkIds, // the knowledge-base passages the answer could draw on
+                ...speechFields(speech), // audioBase64 plus its mimeType, encoding, sample rate and duration
+                timings: traceTimings() // ms per stage (decode, stt, retrieve, llm, tts) and total
+            };
+
+            if (wantsMultipart(req)) {
+                sendMultipartReply(res, reply, speech);
+            } else {
+                res.json(reply);
+            }
+            memory.remember(userId, turn);
+
+        } catch (err) {
+            if (sendAudioInputError(res, err)) return;
+
+            const errorMessage = err.message || "Failed to process audio file";
+            console.error("API error in /process-raw-audio:", errorMessage);
+
+            res.status(500).json({
+                error: "Failed to process audio file",
+                details: errorMessage
+            });
+        } finally {
+            // --- CLEANUP: Delete temporary file ---
+            if (audioFilePath) fs.promises.unlink(audioFilePath).catch(() => {});
+        }
+    }, (err, req, res, next) => {
+        // Body over the size limit
+        if (!sendAudioInputError(res, err)) next(err);
+    });
+
+    return router;
+}
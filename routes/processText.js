@@ -0,0 +1,205 @@
+import express from 'express';
+import { generateReplyWithTools, streamReplyWithTools, cleanReplyText } from '../lib/llm/index.js';
+import { resolveSession, addTurn, buildMessages, setGameState } from '../lib/sessions.js';
+import { resolveVoice } from '../lib/voices.js';
+import { wantsEventStream, openEventStream } from '../lib/sse.js';
+import { sendSpokenReply } from '../lib/spokenReply.js';
+import { negotiateAudioFormat, speechFields } from '../lib/audioOutput.js';
+import { wantsMultipart, sendMultipartReply } from '../lib/multipart.js';
+import { buildSystemInstruction } from '../lib/prompts.js';
+import { personaVoiceOptions } from '../lib/personas.js';
+import { buildToolContext } from '../lib/tools/index.js';
+import { isValidUserId } from '../lib/memory.js';
+import { annotateTrace, traceTimings } from '../lib/trace.js';
+import { noteInteraction } from '../lib/journal.js';
+import { AUTO_LANG_CODE, DEFAULT_LANG_CODE, isValidTargetLangCode, guessLanguageFromText, resolveReplyLanguage } from '../lib/languages.js';
+
+// ---------------- /process-text: JSON text in, JSON + base64 audio out ----------------
+// With "stream": true (or Accept: text/event-stream) the reply is streamed as
+// server-sent events instead: text deltas while the model generates, the full
+// reply, then its audio per sentence (skipped with "generateAudio": false).
+// See lib/spokenReply.js for the events. The audio encoding can be chosen
+// with "audioEncoding" / "sampleRateHertz" or Accept, see lib/audioOutput.js.
+// With "multipart": true (or Accept: multipart/mixed) the JSON and the raw
+// audio come back as two parts of one body, see lib/multipart.js.
+// JSON replies carry per-stage `timings` in ms, see lib/trace.js.
+// Prompts and replies go to the interaction journal, see lib/journal.js.
+// "personaId" picks who answers (default PERSONA_DEFAULT); "userName" and
+// "scene" fill the persona's prompt template, see lib/personas.js.
+// The model may call server-side tools before it answers (see
+// lib/tools/index.js); "locale" / "timeZone" describe the user for them and
+// "gameState" updates the session's game state. The tools it called are
+// listed in `toolCalls`; only the answer is spoken. Streamed replies keep
+// their text deltas with tools enabled: every model round is streamed.
+// Knowledge-base passages relevant to the prompt go into the system
+// instruction (see lib/knowledge/index.js); `knowledgeChunkIds` lists them.
+// With "userId" the assistant recalls what it remembers about the user and
+// learns from the turn afterwards, see lib/memory.js.
+export function createProcessTextRouter({ llm, tts, journal, personas, tools, knowledge, memory }) {
+    const router = express.Router();
+
+    const streamTextReply = async (res, { session, userId, prompt, spokenLangCode, replyLangCode, knowledgeChunkIds, systemInstruction, generation, toolContext, voice, format, withAudio }) => {
+        const events = openEventStream(res);
+        try {
+            let streamedText = '';
+            const toolCalls = [];
+            for await (const { text, toolCall } of streamReplyWithTools(llm, {
+                systemInstruction,
+                messages: buildMessages(session, prompt),
+                generation,
+                tools,
+                toolContext,
+            })) {
+                if (events.closed) return; // Client disconnected, stop generating
+                if (toolCall) {
+                    toolCalls.push(toolCall);
+                    continue;
+                }
+                streamedText += text;
+                events.send('delta', { text });
+            }
+
+            const geminiTextResponse = cleanReplyText(streamedText);
+            if (!geminiTextResponse) {
+                return events.send('error', { error: "Gemini did not provide a response" });
+            }
+
+            console.log(`${llm.name} Response (in ${replyLangCode}, streamed): "${geminiTextResponse}"`);
+
+            addTurn(session, {
+                inputMode: 'text',
+                userText: prompt,
+                assistantText: geminiTextResponse,
+                targetLangCode: replyLangCode,
+            });
+            const delivered = await sendSpokenReply(events, tts, {
+                reply: { sessionId: session.id, transcribedText: prompt, spokenLangCode, targetLangCode: replyLangCode, assistantResponse: geminiTextResponse, toolCalls, knowledgeChunkIds },
+                voice,
+                format,
+                withAudio,
+            });
+            // Only turns the user actually got are learned from
+            if (delivered) memory.remember(userId, { userText: prompt, assistantText: geminiTextResponse, spokenLangCode, targetLangCode: replyLangCode });
+        } catch (err) {
+            console.error("API error in /process-text (stream):", err.message || err);
+            noteInteraction({ error: `Failed to process text prompt: ${err.message}` });
+            events.send('error', { error: "Failed to process text prompt", details: err.message });
+        } finally {
+            events.end();
+        }
+    };
+
+    router.post("/process-text", journal.middleware, negotiateAudioFormat, async (req, res) => {
+        const { prompt, targetLangCode: receivedLangCode, sessionId, userId, personaId, userName, scene, locale, timeZone, gameState, voiceName, voiceGender, generateAudio } = req.body || {};
+        let targetLangCode = receivedLangCode || DEFAULT_LANG_CODE;
+
+        // Validate and default the language code
+        if (!isValidTargetLangCode(targetLangCode)) {
+            targetLangCode = DEFAULT_LANG_CODE;
+        }
+
+        if (!prompt || typeof prompt !== 'string') {
+            return res.status(400).json({ error: "Invalid or missing text prompt." });
+        }
+
+        if (userId !== undefined && !isValidUserId(userId)) {
+            return res.status(400).json({ error: "Invalid userId: use 1-128 letters, digits, '_', '.', '@' or '-'." });
+        }
+
+        const session = resolveSession(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found or expired.", sessionId });
+        }
+
+        const persona = personas.resolve(personaId);
+        if (!persona) {
+            return res.status(404).json({ error: "Persona not found.", personaId });
+        }
+
+        if (gameState !== undefined) {
+            if (!gameState || typeof gameState !== 'object' || Array.isArray(gameState)) {
+                return res.status(400).json({ error: "gameState must be a JSON object." });
+            }
+            setGameState(session, gameState);
+        }
+
+        // Typed text has no audio to identify, so "auto" goes by the script it is written in
+        const spokenLangCode = targetLangCode === AUTO_LANG_CODE ? guessLanguageFromText(prompt) || DEFAULT_LANG_CODE : undefined;
+        const replyLangCode = resolveReplyLanguage(targetLangCode, spokenLangCode);
+
+        annotateTrace({ sessionId: session.id, personaId: persona.id, promptCharacters: prompt.length, spokenLangCode, requestedLangCode: targetLangCode, targetLangCode: replyLangCode });
+        noteInteraction({ inputMode: 'text', transcript: prompt });
+
+        const memories = await memory.recall(userId, prompt);
+        const { passages, chunkIds: knowledgeChunkIds } = await knowledge.retrieve(prompt);
+        const systemInstruction = buildSystemInstruction({ persona, targetLangCode: replyLangCode, userName, scene, memories, passages });
+        const ttsVoiceConfig = resolveVoice(replyLangCode, personaVoiceOptions(persona, replyLangCode, { voiceName, voiceGender }));
+        const toolContext = buildToolContext({ session, replyLangCode, locale, timeZone, tools });
+
+        console.log(`Received text prompt (session ${session.id}). Target response language: ${replyLangCode}.`);
+
+        if (wantsEventStream(req)) {
+            return streamTextReply(res, { session, userId, prompt, spokenLangCode, replyLangCode, knowledgeChunkIds, systemInstruction, generation: persona.generation, toolContext, voice: ttsVoiceConfig, format: res.locals.audioFormat, withAudio: generateAudio !== false });
+        }
+
+        try {
+            // 1. CONSTRUCT PROMPT AND GET GEMINI RESPONSE (running any tools it calls)
+            const { reply: geminiTextResponse, toolCalls } = await generateReplyWithTools(llm, {
+                systemInstruction,
+                messages: buildMessages(session, prompt),
+                generation: persona.generation,
+                tools,
+                toolContext,
+            });
+
+            if (!geminiTextResponse) {
+                return res.status(500).json({ error: "Gemini did not provide a response" });
+            }
+
+            console.log(`${llm.name} Response (in ${replyLangCode}): "${geminiTextResponse}"`);
+
+            // 2. SYNTHESIZE SPEECH (Optional, but included for a full-featured text API)
+            const speech = await tts.synthesize({ text: geminiTextResponse, voice: ttsVoiceConfig, format: res.locals.audioFormat });
+
+            addTurn(session, {
+                inputMode: 'text',
+                userText: prompt,
+                assistantText: geminiTextResponse,
+                targetLangCode: replyLangCode,
+            });
+
+            // Send structured JSON response back to the client
+            const reply = {
+                sessionId: session.id,
+                // For text input, transcribedText is the prompt itself
+                transcribedText: prompt,
+                spokenLangCode, // Only set for "auto": the language guessed from the prompt
+                targetLangCode: replyLangCode,
+                assistantResponse: geminiTextResponse,
+                toolCalls, // [{ name, args, result | error, durationMs }]
+                knowledgeChunkIds, // the knowledge-base passages the answer could draw on
+                // audioBase64 and its mimeType, encoding, sample rate and duration, for playback in Unity
+                ...speechFields(speech),
+                timings: traceTimings()
+            };
+
+            if (wantsMultipart(req)) {
+                sendMultipartReply(res, reply, speech);
+            } else {
+                res.json(reply);
+            }
+            memory.remember(userId, { userText: prompt, assistantText: geminiTextResponse, spokenLangCode, targetLangCode: replyLangCode });
+
+        } catch (err) {
+            const errorMessage = err.message || "Failed to process text prompt";
+            console.error("API error in /process-text:", errorMessage);
+
+            res.status(500).json({
+                error: "Failed to process text prompt",
+                details: errorMessage
+            });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,56 @@
+import express from 'express';
+import { createSession, getSession, deleteSession, summarizeSession, serializeSession, setGameState } from '../lib/sessions.js';
+
+// ---------------- SESSION ROUTES ----------------
+// Clients create a session once and pass its `sessionId` to /process-text
+// (JSON body) or /process-raw-audio (query string) to keep the conversation.
+// The game client reports the player's state with PUT .../game-state (a JSON
+// object, replacing the previous one); the assistant looks it up with the
+// lookup_game_state tool.
+// There is no listing of all sessions: with API keys every client would see
+// the others' ids and transcripts. A session id is the capability to use it.
+export function createSessionsRouter() {
+    const router = express.Router();
+
+    router.post("/sessions", (req, res) => {
+        const session = createSession();
+        res.status(201).json(summarizeSession(session));
+    });
+
+    router.get("/sessions/:sessionId", (req, res) => {
+        const session = getSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found or expired." });
+        }
+        res.json(serializeSession(session));
+    });
+
+    router.get("/sessions/:sessionId/game-state", (req, res) => {
+        const session = getSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found or expired." });
+        }
+        res.json({ gameState: session.gameState || null, updatedAt: session.gameStateUpdatedAt || null });
+    });
+
+    router.put("/sessions/:sessionId/game-state", (req, res) => {
+        const session = getSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found or expired." });
+        }
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ error: "The game state must be a JSON object." });
+        }
+        setGameState(session, req.body);
+        res.json({ gameState: session.gameState, updatedAt: session.gameStateUpdatedAt });
+    });
+
+    router.delete("/sessions/:sessionId", (req, res) => {
+        if (!deleteSession(req.params.sessionId)) {
+            return res.status(404).json({ error: "Session not found or expired." });
+        }
+        res.status(204).end();
+    });
+
+    return router;
+}
@@ -0,0 +1,74 @@
+import express from 'express';
+import { generateReply } from '../lib/llm/index.js';
+import { guessLanguageFromText, resolveReplyLanguage } from '../lib/languages.js';
+import { resolveVoice } from '../lib/voices.js';
+import { buildSystemInstruction } from '../lib/prompts.js';
+import { personaVoiceOptions } from '../lib/personas.js';
+import { isValidUserId } from '../lib/memory.js';
+import { negotiateAudioFormat, sendSpeech } from '../lib/audioOutput.js';
+import { annotateTrace } from '../lib/trace.js';
+import { noteInteraction } from '../lib/journal.js';
+
+// ---------------- /speak: JSON text in, raw audio out ----------------
+// Fallback for clients without a microphone; answers with the speech only.
+// The format comes from audioEncoding / sampleRateHertz or Accept and is
+// reported in X-Audio-* headers, see lib/audioOutput.js.
+// "personaId", "userName" and "scene" pick and fill the persona, see lib/personas.js.
+// The knowledge-base passages the answer could draw on are listed, comma-separated,
+// in X-Knowledge-Chunk-Ids (see lib/knowledge/index.js).
+// "userId" recalls and updates what the assistant remembers about the user,
+// see lib/memory.js.
+export function createSpeakRouter({ llm, tts, journal, personas, knowledge, memory }) {
+    const router = express.Router();
+
+    router.post("/speak", journal.middleware, negotiateAudioFormat, async (req, res) => {
+        try {
+            const { text, targetLangCode = 'en', userId, personaId, userName, scene, voiceName, voiceGender } = req.body || {};
+            if (!text) {
+                return res.status(400).json({ error: "No text provided" });
+            }
+
+            if (userId !== undefined && !isValidUserId(userId)) {
+                return res.status(400).json({ error: "Invalid userId: use 1-128 letters, digits, '_', '.', '@' or '-'." });
+            }
+
+            const persona = personas.resolve(personaId);
+            if (!persona) {
+                return res.status(404).json({ error: "Persona not found.", personaId });
+            }
+
+            // "auto" answers in the language the text is written in
+            const replyLangCode = resolveReplyLanguage(targetLangCode, guessLanguageFromText(text));
+            const ttsVoiceConfig = resolveVoice(replyLangCode, personaVoiceOptions(persona, replyLangCode, { voiceName, voiceGender }));
+            annotateTrace({ personaId: persona.id, promptCharacters: String(text).length, requestedLangCode: targetLangCode, targetLangCode: replyLangCode });
+            noteInteraction({ inputMode: 'text', transcript: String(text) });
+
+            const memories = await memory.recall(userId, String(text));
+            const { passages, chunkIds } = await knowledge.retrieve(String(text));
+            const geminiTextResponse = await generateReply(llm, {
+                systemInstruction: buildSystemInstruction({ persona, targetLangCode: replyLangCode, userName, scene, memories, passages }),
+                messages: [{ role: 'user', content: text }],
+                generation: persona.generation,
+            });
+
+            if (!geminiTextResponse) {
+                return res.status(500).json({ error: "Gemini did not provide a response" });
+            }
+
+            const speech = await tts.synthesize({ text: geminiTextResponse, voice: ttsVoiceConfig, format: res.locals.audioFormat });
+
+            if (chunkIds.length > 0) res.set('X-Knowledge-Chunk-Ids', chunkIds.join(','));
+            sendSpeech(res, speech);
+            memory.remember(userId, { userText: String(text), assistantText: geminiTextResponse, targetLangCode: replyLangCode });
+
+        } catch (err) {
+            console.error("API error in /speak:", err.message || err);
+            res.status(500).json({
+                error: "Failed to generate speech",
+                details: err.message
+            });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,153 @@
+import express from 'express';
+import fs from 'fs';
+import multer from 'multer';
+import { generateReply } from '../lib/llm/index.js';
+import { buildSystemInstruction } from '../lib/prompts.js';
+import { personaVoiceOptions } from '../lib/personas.js';
+import { isValidUserId } from '../lib/memory.js';
+import { resolveVoice } from '../lib/voices.js';
+import { prepareAudioForSTT, sendAudioInputError, uploadedAudioSeconds } from '../lib/audioInput.js';
+import { meterUsage } from '../lib/usage.js';
+import { annotateTrace, traceTimings } from '../lib/trace.js';
+import { emptyTranscriptions } from '../lib/metrics.js';
+import { noteAudio } from '../lib/journal.js';
+import { requestedAudioFormat, sendAudioOutputError, speechFields, sendSpeech } from '../lib/audioOutput.js';
+import { DEFAULT_LANG_CODE, isValidTargetLangCode, detectSpokenLanguage, resolveReplyLanguage } from '../lib/languages.js';
+
+// ---------------- /transcribe-file: multipart upload (field "audio") ----------------
+// Two historical response contracts, picked with TRANSCRIBE_FILE_RESPONSE:
+//     json   { transcribedText, spokenLangCode, targetLangCode, assistantResponse, knowledgeChunkIds,
+//              audioBase64, audioMimeType, audioEncoding, audioSampleRateHertz, audioDurationMs, timings }
+//            (readyserver / ready.html)
+//     audio  the synthesized speech as the raw response body (multiserver / myserver)
+// The upload may be WAV, WebM/Opus, Ogg, MP3, FLAC or M4A, sniffed from its
+// bytes; rejected uploads get an error code, see lib/audioInput.js.
+// The reply audio format comes from audioEncoding / sampleRateHertz or Accept,
+// see lib/audioOutput.js.
+// The form fields personaId, userName and scene pick and fill the persona,
+// see lib/personas.js.
+// Knowledge-base passages relevant to the transcript inform the answer, see
+// lib/knowledge/index.js; the audio contract lists them in X-Knowledge-Chunk-Ids.
+// The form field userId recalls and updates what the assistant remembers
+// about the user, see lib/memory.js.
+export function createTranscribeFileRouter({ llm, stt, tts, uploadDir, journal, personas, knowledge, memory, responseFormat = 'json' }) {
+    const router = express.Router();
+    const upload = multer({ dest: uploadDir, limits: { fileSize: 25 * 1024 * 1024 } });
+
+    router.post("/transcribe-file", journal.middleware, upload.single('audio'), async (req, res) => {
+        const audioFilePath = req.file?.path;
+        let decodedFilePath = null;
+
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: "No audio file provided" });
+            }
+
+            // 1. GET TARGET LANGUAGE FROM FRONTEND ("auto" = reply in the spoken language)
+            const targetLangCode = req.body?.targetLangCode || DEFAULT_LANG_CODE;
+
+            if (!isValidTargetLangCode(targetLangCode)) {
+                return res.status(400).json({ error: `Unsupported target language code: ${targetLangCode}` });
+            }
+
+            const { userId } = req.body;
+            if (userId !== undefined && !isValidUserId(userId)) {
+                return res.status(400).json({ error: "Invalid userId: use 1-128 letters, digits, '_', '.', '@' or '-'." });
+            }
+
+            const persona = personas.resolve(req.body.personaId);
+            if (!persona) {
+                return res.status(404).json({ error: "Persona not found.", personaId: req.body.personaId });
+            }
+
+            // Resolved after multer has parsed the form fields
+            const audioFormat = requestedAudioFormat(req);
+
+            console.log(`Received audio file for processing. Target response language: ${targetLangCode}`);
+
+            // 2. CHECK THE FORMAT, DECODE IF THE STT PROVIDER CANNOT TAKE IT AS IS
+            const uploadedAudio = await fs.promises.readFile(audioFilePath);
+            const preparedAudio = await prepareAudioForSTT(uploadedAudio, stt);
+            const { audio, format } = preparedAudio;
+            noteAudio('input', uploadedAudio, format);
+            if (audio !== uploadedAudio) {
+                decodedFilePath = `${audioFilePath}.wav`;
+                await fs.promises.writeFile(decodedFilePath, audio);
+            }
+
+            console.log(`Audio file is ${format}${decodedFilePath ? ', decoded to WAV' : ''}.`);
+
+            // 3. TRANSCRIBE (provider chosen by STT_PROVIDER, see lib/stt/index.js)
+            const transcription = await stt.transcribeFile(decodedFilePath || audioFilePath);
+            meterUsage({ audioSeconds: uploadedAudioSeconds(preparedAudio, transcription) });
+
+            // 4. EXTRACT TRANSCRIPT AND DETECTED LANGUAGE
+            const transcribedText = transcription.text;
+            const spokenLangCode = detectSpokenLanguage(transcription); // Default to English if detection fails
+            const replyLangCode = resolveReplyLanguage(targetLangCode, spokenLangCode);
+            annotateTrace({ personaId: persona.id, audioFormat: format, audioBytes: req.file.size, spokenLangCode, requestedLangCode: targetLangCode, targetLangCode: replyLangCode });
+
+            console.log(`Final Transcription (Spoken in ${spokenLangCode}): "${transcribedText}"`);
+
+            if (transcribedText.length === 0) {
+                emptyTranscriptions.inc({ route: '/transcribe-file' });
+                return res.status(400).json({ error: "Could not transcribe audio. Text is empty." });
+            }
+
+            // 5. RECALL THE USER AND LOOK UP THE KNOWLEDGE BASE
+            const memories = await memory.recall(userId, transcribedText);
+            const { passages, chunkIds: knowledgeChunkIds } = await knowledge.retrieve(transcribedText);
+
+            // 6. CONSTRUCT MULTILINGUAL PROMPT AND GET GEMINI RESPONSE
+            const geminiTextResponse = await generateReply(llm, {
+                systemInstruction: buildSystemInstruction({ persona, targetLangCode: replyLangCode, spokenLangCode, userName: req.body.userName, scene: req.body.scene, memories, passages }),
+                messages: [{ role: 'user', content: transcribedText }],
+                generation: persona.generation,
+            });
+
+            if (!geminiTextResponse) {
+                return res.status(500).json({ error: "Gemini did not provide a response" });
+            }
+
+            console.log(`${llm.name} Response (in ${replyLangCode}): "${geminiTextResponse}"`);
+
+            // 7. SYNTHESIZE SPEECH USING DYNAMIC VOICE MAP
+            const speech = await tts.synthesize({ text: geminiTextResponse, voice: resolveVoice(replyLangCode, personaVoiceOptions(persona, replyLangCode, { voiceName: req.body.voiceName, voiceGender: req.body.voiceGender })), format: audioFormat });
+
+            if (responseFormat === 'audio') {
+                if (knowledgeChunkIds.length > 0) res.set('X-Knowledge-Chunk-Ids', knowledgeChunkIds.join(','));
+                sendSpeech(res, speech);
+            } else {
+                res.json({
+                    transcribedText: transcribedText,
+                    spokenLangCode, // Language detected in the audio
+                    targetLangCode: replyLangCode, // Language of the reply (resolves "auto")
+                    assistantResponse: geminiTextResponse,
+                    knowledgeChunkIds, // the knowledge-base passages the answer could draw on
+                    ...speechFields(speech), // Unity will decode audioBase64 for playback
+                    timings: traceTimings() // ms per stage (decode, stt, retrieve, llm, tts) and total
+                });
+            }
+            // Learned from once the reply went out
+            memory.remember(userId, { userText: transcribedText, assistantText: geminiTextResponse, spokenLangCode, targetLangCode: replyLangCode });
+
+        } catch (err) {
+            if (sendAudioInputError(res, err) || sendAudioOutputError(res, err)) return;
+
+            console.error("API error in /transcribe-file:", err.message || err);
+            res.status(500).json({
+                error: "Failed to process audio file",
+                details: err.message
+            });
+        } finally {
+            // Clean up the multer temp file on success and on error
+            if (audioFilePath) fs.promises.unlink(audioFilePath).catch(() => {});
+            if (decodedFilePath) fs.promises.unlink(decodedFilePath).catch(() => {});
+        }
+    }, (err, req, res, next) => {
+        // Upload over the size limit
+        if (!sendAudioInputError(res, err)) next(err);
+    });
+
+    return router;
+}
@@ -0,0 +1,179 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { resolveSession, addTurn } from '../lib/sessions.js';
+import { resolveVoice, VOICE_MAP } from '../lib/voices.js';
+import { translateText, parseInterpreterLangCodes, interpreterDirection } from '../lib/translation.js';
+import { prepareAudioForSTT, sendAudioInputError, uploadedAudioSeconds } from '../lib/audioInput.js';
+import { negotiateAudioFormat, speechFields } from '../lib/audioOutput.js';
+import { meterUsage } from '../lib/usage.js';
+import { annotateTrace, traceTimings } from '../lib/trace.js';
+import { emptyTranscriptions } from '../lib/metrics.js';
+import { noteInteraction, noteAudio } from '../lib/journal.js';
+import { guessLanguageFromText, identifyLanguage } from '../lib/languages.js';
+
+// ---------------- /translate and /translate-audio: speech-to-speech translation ----------------
+// Translates instead of answering, see lib/translation.js.
+//     POST /translate        JSON { text, targetLangCode, ... }
+//     POST /translate-audio  the audio itself as the body (like /process-raw-audio),
+//                            the other fields in the query string
+// Fields:
+//     targetLangCode        language to translate into (required, no "auto")
+//     sourceLangCode        language of the input; detected when omitted
+//     interpreterLangCodes  "en,hi": interpreter mode, every turn is translated into
+//                           the other party's language; stored in the session
+//     sessionId             keeps the interpreter configuration and the turns;
+//                           a session is created for interpreter mode when omitted
+//     voiceName / voiceGender, audioEncoding / sampleRateHertz, generateAudio=false
+// Reply: { sessionId, mode: "translate" | "interpreter", interpreterLangCodes, sourceText,
+//          sourceLangCode, targetLangCode, translatedText, audioBase64, ..., timings }
+export function createTranslateRouter({ llm, stt, tts, uploadDir, journal }) {
+    const router = express.Router();
+
+    const readRawAudio = express.raw({ type: () => true, limit: '5mb' });
+
+    // Settles the session and whether this is interpreter mode before any
+    // work is done. Returns { session, langCodes } or { status, body } to refuse.
+    const resolveMode = ({ sessionId, interpreterLangCodes, targetLangCode }) => {
+        let langCodes = null;
+        if (interpreterLangCodes !== undefined) {
+            langCodes = parseInterpreterLangCodes(interpreterLangCodes);
+            if (!langCodes) {
+                return { status: 400, body: { error: "interpreterLangCodes must be two different supported language codes, e.g. \"en,hi\"." } };
+            }
+        }
+
+        const session = sessionId || langCodes ? resolveSession(sessionId) : null;
+        if ((sessionId || langCodes) && !session) {
+            return { status: 404, body: { error: "Session not found or expired.", sessionId } };
+        }
+        // Configured once, kept for the rest of the conversation
+        if (langCodes) session.interpreterLangCodes = langCodes;
+        langCodes = session?.interpreterLangCodes || null;
+
+        if (!langCodes && !VOICE_MAP[targetLangCode]) {
+            return { status: 400, body: { error: `Unsupported or missing targetLangCode: ${targetLangCode}. Translation needs an explicit language, "auto" is not accepted.` } };
+        }
+        return { session, langCodes };
+    };
+
+    // Translates the source text, synthesizes the translation and answers
+    const translateAndReply = async (res, { session, langCodes, fields, sourceText, detectedLangCode, inputMode }) => {
+        const claimedLangCode = VOICE_MAP[fields.sourceLangCode] ? fields.sourceLangCode : null;
+        const { sourceLangCode, targetLangCode } = langCodes
+            ? interpreterDirection(langCodes, claimedLangCode || detectedLangCode, session.turns.at(-1)?.spokenLangCode)
+            : { sourceLangCode: claimedLangCode || detectedLangCode, targetLangCode: fields.targetLangCode };
+        annotateTrace({ sessionId: session?.id, mode: langCodes ? 'interpreter' : 'translate', spokenLangCode: sourceLangCode, targetLangCode });
+
+        const translatedText = await translateText(llm, { text: sourceText, sourceLangCode, targetLangCode });
+        if (!translatedText) {
+            return res.status(500).json({ error: `${llm.name} did not provide a translation` });
+        }
+        noteInteraction({ reply: translatedText });
+
+        console.log(`Translated (${sourceLangCode || 'unknown'} -> ${targetLangCode}): "${translatedText}"`);
+
+        const speech = String(fields.generateAudio) === 'false'
+            ? null
+            : await tts.synthesize({ text: translatedText, voice: resolveVoice(targetLangCode, { voiceName: fields.voiceName, voiceGender: fields.voiceGender }), format: res.locals.audioFormat });
+
+        if (session) {
+            addTurn(session, { inputMode, userText: sourceText, assistantText: translatedText, spokenLangCode: sourceLangCode, targetLangCode });
+        }
+
+        res.json({
+            sessionId: session?.id,
+            mode: langCodes ? 'interpreter' : 'translate',
+            interpreterLangCodes: langCodes || undefined,
+            sourceText,
+            sourceLangCode, // null when it could not be identified
+            targetLangCode,
+            translatedText,
+            ...(speech ? speechFields(speech) : {}),
+            timings: traceTimings()
+        });
+    };
+
+    router.post("/translate", journal.middleware, negotiateAudioFormat, async (req, res) => {
+        const fields = req.body || {};
+        const { text } = fields;
+        if (!text || typeof text !== 'string') {
+            return res.status(400).json({ error: "Invalid or missing text." });
+        }
+
+        const mode = resolveMode(fields);
+        if (mode.status) {
+            return res.status(mode.status).json(mode.body);
+        }
+
+        annotateTrace({ promptCharacters: text.length, requestedLangCode: fields.targetLangCode });
+        noteInteraction({ inputMode: 'text', transcript: text });
+
+        try {
+            // Typed text: only non-Latin scripts identify their language
+            await translateAndReply(res, { ...mode, fields, sourceText: text, detectedLangCode: guessLanguageFromText(text), inputMode: 'text' });
+        } catch (err) {
+            console.error("API error in /translate:", err.message || err);
+            res.status(500).json({
+                error: "Failed to translate text",
+                details: err.message
+            });
+        }
+    });
+
+    router.post("/translate-audio", journal.middleware, readRawAudio, negotiateAudioFormat, async (req, res) => {
+        const fields = req.query;
+        const mode = resolveMode(fields);
+        if (mode.status) {
+            return res.status(mode.status).json(mode.body);
+        }
+
+        // A JSON or form body was already parsed by the app-level parsers and carries no audio
+        const audioBuffer = Buffer.isBuffer(req.body) ? req.body : null;
+        let audioFilePath = null;
+
+        try {
+            // 1. CHECK THE FORMAT, DECODE IF THE STT PROVIDER CANNOT TAKE IT AS IS
+            const preparedAudio = await prepareAudioForSTT(audioBuffer, stt);
+            const { audio, format, extension } = preparedAudio;
+            noteAudio('input', audioBuffer, format);
+            annotateTrace({ audioFormat: format, audioBytes: audioBuffer.length, requestedLangCode: fields.targetLangCode });
+
+            // 2. SAVE AND TRANSCRIBE
+            await fs.promises.mkdir(uploadDir, { recursive: true });
+            audioFilePath = path.join(uploadDir, `translate_${randomUUID()}.${extension}`);
+            await fs.promises.writeFile(audioFilePath, audio);
+
+            const transcription = await stt.transcribeFile(audioFilePath);
+            meterUsage({ audioSeconds: uploadedAudioSeconds(preparedAudio, transcription) });
+
+            const sourceText = transcription.text;
+            console.log(`Transcribed for translation: "${sourceText}"`);
+
+            if (sourceText.length === 0) {
+                emptyTranscriptions.inc({ route: '/translate-audio' });
+                return res.status(400).json({ error: "Could not transcribe audio. Text is empty.", sessionId: mode.session?.id });
+            }
+
+            // 3. TRANSLATE AND SPEAK
+            await translateAndReply(res, { ...mode, fields, sourceText, detectedLangCode: identifyLanguage(transcription), inputMode: 'voice' });
+
+        } catch (err) {
+            if (sendAudioInputError(res, err)) return;
+
+            console.error("API error in /translate-audio:", err.message || err);
+            res.status(500).json({
+                error: "Failed to translate audio",
+                details: err.message
+            });
+        } finally {
+            if (audioFilePath) fs.promises.unlink(audioFilePath).catch(() => {});
+        }
+    }, (err, req, res, next) => {
+        // Body over the size limit
+        if (!sendAudioInputError(res, err)) next(err);
+    });
+
+    return router;
+}
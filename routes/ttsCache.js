@@ -0,0 +1,22 @@
+import express from 'express';
+
+// ---------------- /tts-cache: TTS cache statistics ----------------
+// Hits, misses, hit rate, entries and bytes since the server started; see
+// lib/tts/cache.js. { enabled: false } when TTS_CACHE=off.
+export function createTTSCacheRouter({ tts }) {
+    const router = express.Router();
+
+    router.get("/tts-cache", async (req, res) => {
+        if (!tts.cache) {
+            return res.json({ enabled: false });
+        }
+        try {
+            res.json({ enabled: true, ...await tts.cache.stats() });
+        } catch (err) {
+            console.error("API error in /tts-cache:", err.message || err);
+            res.status(500).json({ error: "Failed to read the TTS cache", details: err.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,20 @@
+import express from 'express';
+import { describeVoiceCatalog } from '../lib/voices.js';
+import { AUTO_LANG_CODE, DEFAULT_LANG_CODE } from '../lib/languages.js';
+
+// ---------------- /voices: supported languages and voices ----------------
+// The web UIs build their language dropdowns from this, and clients pick
+// `voiceName` / `voiceGender` per call from the listed voices.
+export function createVoicesRouter() {
+    const router = express.Router();
+
+    router.get("/voices", (req, res) => {
+        res.json({
+            defaultLangCode: DEFAULT_LANG_CODE,
+            autoLangCode: AUTO_LANG_CODE, // Reply in the detected spoken language
+            ...describeVoiceCatalog(),
+        });
+    });
+
+    return router;
+}
@@ -1,278 +1,176 @@
 import express from 'express';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { TextToSpeechClient } from '@google-cloud/text-to-speech';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { SpeechClient } from '@soniox/soniox-node';
-import fs from 'fs';
+import { createLLMProvider } from './lib/llm/index.js';
+import { createSTTProvider } from './lib/stt/index.js';
+import { createTTSProvider } from './lib/tts/index.js';
+import { attachVoiceStream } from './lib/voiceStream.js';
+import { loadServerConfig, UI_PAGES } from './lib/config.js';
+import { createAuth } from './lib/auth.js';
+import { createHealthChecks } from './lib/health.js';
+import { createJournal } from './lib/journal.js';
+import { createPersonaStore } from './lib/personas.js';
+import { createToolRegistry } from './lib/tools/index.js';
+import { createKnowledgeBase } from './lib/knowledge/index.js';
+import { createMemoryStore } from './lib/memory.js';
+import { traceRequests } from './lib/trace.js';
+import { countRequests } from './lib/metrics.js';
+import { createVoicesRouter } from './routes/voices.js';
+import { createSessionsRouter } from './routes/sessions.js';
+import { createPersonasRouter } from './routes/personas.js';
+import { createProcessTextRouter } from './routes/processText.js';
+import { createProcessRawAudioRouter } from './routes/processRawAudio.js';
+import { createTranscribeFileRouter } from './routes/transcribeFile.js';
+import { createSpeakRouter } from './routes/speak.js';
+import { createTranslateRouter } from './routes/translate.js';
+import { createKnowledgeRouter } from './routes/knowledge.js';
+import { createMemoryRouter } from './routes/memory.js';
+import { createTTSCacheRouter } from './routes/ttsCache.js';
+import { createMetricsRouter } from './routes/metrics.js';
+import { createHealthRouter } from './routes/health.js';
 
 // Fix for __dirname in ES Modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load .env only during local development. 
+// Load .env only during local development.
 if (process.env.NODE_ENV !== "production") {
     dotenv.config({ path: path.resolve(__dirname, '.env') });
 }
 
+// Routes and UI page are chosen by SERVER_PRESET / ROUTES / UI_PAGE, see lib/config.js
+const config = loadServerConfig();
+
 const app = express();
+// Request ID, per-stage timings and one JSON log line per request, see lib/trace.js
+app.use(traceRequests);
+// Request counts, latency and in-flight gauge for GET /metrics, see lib/metrics.js
+app.use(countRequests);
 app.use(cors());
-// IMPORTANT: We only parse JSON for standard and text-only routes. 
-app.use(express.json()); 
+// IMPORTANT: We only parse JSON for standard and text-only routes.
+app.use(express.json());
 
 const PORT = process.env.PORT || 3000;
 
-// Helper function for exponential backoff delay
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-const MAX_RETRIES = 3;
-
-// ---------------- 1. Multilingual Voice Map ----------------
-const VOICE_MAP = {
-    // Note: TTS will respond in the language of the voice name's prefix (e.g., en-US, es-ES)
-    'en': { languageCode: 'en-US', name: 'en-US-Neural2-J', ssmlGender: 'MALE' }, 
-    'es': { languageCode: 'es-ES', name: 'es-ES-Wavenet-C', ssmlGender: 'MALE' }, 
-    'fr': { languageCode: 'fr-FR', name: 'fr-FR-Wavenet-B', ssmlGender: 'MALE' }, 
-    'de': { languageCode: 'de-DE', name: 'de-DE-Wavenet-E', ssmlGender: 'MALE' }, 
-    'ja': { languageCode: 'ja-JP', name: 'ja-JP-Wavenet-D', ssmlGender: 'MALE' }, 
-    'ru': { languageCode: 'ru-RU', name: 'ru-RU-Wavenet-C', ssmlGender: 'MALE' }, 
-    'hi': { languageCode: 'hi-IN', name: 'hi-IN-Wavenet-C', ssmlGender: 'MALE' },
-    'ta': { languageCode: 'ta-IN', name: 'ta-IN-Wavenet-D', ssmlGender: 'MALE' }, 
-    'te': { languageCode: 'te-IN', name: 'te-IN-Wavenet-C', ssmlGender: 'MALE' },
-    'ml': { languageCode: 'ml-IN', name: 'ml-IN-Wavenet-B', ssmlGender: 'MALE' },
-    'kn': { languageCode: 'kn-IN', name: 'kn-IN-Wavenet-B', ssmlGender: 'MALE' },
-};
-
 // ---------------- Init Clients ----------------
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const SONIOX_API_KEY = process.env.SONIOX_API_KEY;
-
-if (!GEMINI_API_KEY || !SONIOX_API_KEY) {
-    console.error("❌ API Keys missing! Check your environment variables (GEMINI_API_KEY, SONIOX_API_KEY).");
-    // process.exit(1);
+// LLM backend is chosen by LLM_PROVIDER (gemini | openai | stub), see lib/llm/index.js
+const llm = createLLMProvider();
+// Transcription backend is chosen by STT_PROVIDER (soniox | whisper | fixture), see lib/stt/index.js
+const stt = createSTTProvider();
+console.log(`🧠 LLM provider: ${llm.name} (${llm.model}), 🎧 STT provider: ${stt.name} (${stt.model})`);
+
+// Speech engines are tried in TTS_ENGINES order (default google,espeak), see lib/tts/index.js
+const tts = createTTSProvider();
+console.log(`🔊 TTS engines: ${tts.name}, cache: ${tts.cache?.dir || 'off'}`);
+
+// API keys and per-key limits, off unless API_AUTH=on, see lib/auth.js
+const auth = createAuth();
+if (!auth.enabled) {
+    console.warn("⚠️ API_AUTH is off: every route is open to anyone who can reach this server.");
 }
 
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-const ttsClient = new TextToSpeechClient();
-const sonioxClient = new SpeechClient({ api_key: SONIOX_API_KEY });
-
-
-// ---------------- STATIC FILE SERVING ----------------
-app.use(express.static(__dirname)); 
-
-// ---------------- Root route ----------------
-app.get("/", (req, res) => {
-    // Assuming 'he.html' is your web UI file
-    res.sendFile(path.join(__dirname, 'shee.html')); 
-});
-
-
-// ---------------- NEW ROUTE: Handles JSON Text input ----------------
-app.post("/process-text", async (req, res) => {
-    const { prompt, targetLangCode: receivedLangCode } = req.body;
-    let targetLangCode = receivedLangCode || 'en';
+// One JSON line per interaction, optionally with its audio, off unless JOURNAL=on; see lib/journal.js
+const journal = createJournal();
+if (journal.enabled) {
+    console.log(`📓 Journal: ${journal.file}${journal.withAudio ? ', with audio' : ''}`);
+}
 
-    // Validate and default the language code
-    if (!VOICE_MAP[targetLangCode]) {
-        targetLangCode = 'en'; 
-    }
-    
-    if (!prompt || typeof prompt !== 'string') {
-        return res.status(400).json({ error: "Invalid or missing text prompt." });
-    }
-
-    console.log(`Received text prompt. Target response language: ${targetLangCode}.`);
-
-    try {
-        // 1. CONSTRUCT PROMPT AND GET GEMINI RESPONSE
-        const systemInstruction = `You are a helpful and friendly virtual assistant.
-        The required output response language is: ${targetLangCode}.
-        Respond ONLY in the required output language (${targetLangCode}) to the user's question.`;
-
-        const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash", systemInstruction });
-        
-        let geminiResult;
-        // --- EXPONENTIAL BACKOFF RETRY FOR GEMINI ---
-        for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-            try {
-                geminiResult = await model.generateContent(prompt);
-                break; 
-            } catch (error) {
-                if (attempt === MAX_RETRIES - 1) { throw error; }
-                await delay(Math.pow(2, attempt) * 1000);
-            }
-        }
-
-        let geminiTextResponse = geminiResult.response.text().trim();
-        // Remove code block wrappers if Gemini sometimes includes them
-        if (geminiTextResponse.startsWith('```') && geminiTextResponse.endsWith('```')) {
-            geminiTextResponse = geminiTextResponse.split('\n').slice(1, -1).join('\n').trim();
-        }
-
-        if (!geminiTextResponse) {
-            return res.status(500).json({ error: "Gemini did not provide a response" });
-        }
-        
-        console.log(`Gemini Response (in ${targetLangCode}): "${geminiTextResponse}"`);
-
-        // 2. SYNTHESIZE SPEECH (Optional, but included for a full-featured text API)
-        const ttsVoiceConfig = VOICE_MAP[targetLangCode]; 
-        const [ttsResponse] = await ttsClient.synthesizeSpeech({
-            input: { text: geminiTextResponse },
-            voice: ttsVoiceConfig,
-            audioConfig: { audioEncoding: 'MP3' },
-        });
-        
-        const audioBufferResponse = ttsResponse.audioContent;
-        const audioBase64 = audioBufferResponse.toString('base64');
-
-        // Send structured JSON response back to the client
-        res.json({
-            // For text input, transcribedText is the prompt itself
-            transcribedText: prompt, 
-            assistantResponse: geminiTextResponse,
-            audioBase64: audioBase64 // Send the TTS audio buffer for playback in Unity
-        });
-
-    } catch (err) {
-        const errorMessage = err.message || "Failed to process text prompt";
-        console.error("API error in /process-text:", errorMessage);
-        
-        res.status(500).json({
-            error: "Failed to process text prompt",
-            details: errorMessage
-        });
+// Named personas (system prompt, voices, generation settings) picked per request
+// with personaId, stored in PERSONAS_FILE; see lib/personas.js
+const personas = createPersonaStore({ file: process.env.PERSONAS_FILE || undefined, defaultId: process.env.PERSONA_DEFAULT || undefined });
+console.log(`🎭 Personas: ${personas.list().map(persona => persona.id).join(', ')} (default: ${personas.defaultId})`);
+
+// Server-side tools the LLM may call (time, calculator, game state), chosen with TOOLS; see lib/tools/index.js
+const tools = createToolRegistry();
+console.log(`🛠️ Tools: ${tools.enabled ? tools.names().join(', ') : 'none'}`);
+
+// Documents the assistant answers from, stored in KNOWLEDGE_DIR and searched with
+// embeddings or BM25 (KNOWLEDGE_EMBEDDINGS); see lib/knowledge/index.js
+const knowledge = createKnowledgeBase();
+console.log(`📚 Knowledge base: ${knowledge.list().length} document(s), ${knowledge.size} chunks, search: ${knowledge.embeddingModel || 'bm25'}`);
+
+// Facts remembered per userId across sessions, extracted after each turn;
+// MEMORY=off turns it off, see lib/memory.js
+const memory = createMemoryStore(llm);
+console.log(`💭 User memory: ${memory.enabled ? memory.dir : 'off'}`);
+
+const deps = { llm, stt, tts, auth, journal, personas, tools, knowledge, memory, uploadDir: path.join(__dirname, 'uploads') };
+
+// Missing credentials and an unwritable uploads directory are reported here
+// and by GET /readyz, so a half-configured instance gets no traffic; see lib/health.js
+const health = createHealthChecks(deps);
+const describeFailure = (result) => result.error || Object.entries(result.engines)
+    .filter(([, engine]) => engine.status === 'fail')
+    .map(([engineName, engine]) => `${engineName} (${engine.error})`)
+    .join(', ');
+health.readiness().then(({ checks }) => {
+    for (const [name, result] of Object.entries(checks)) {
+        if (result.status === 'fail') console.error(`❌ Not ready, ${name}: ${describeFailure(result)}`);
+        if (result.status === 'degraded') console.warn(`⚠️ Degraded, ${name}: ${describeFailure(result)}`);
     }
 });
 
 
-// ---------------- AUDIO ROUTE: Handles RAW WAV data from Unity ----------------
-app.post("/process-raw-audio", express.raw({ type: 'audio/wav', limit: '5mb' }), async (req, res) => {
-    
-    // ⭐ FIX: Read target language from query params
-    let targetLangCode = req.query.targetLangCode;
-    // Validate and default the language code
-    if (!VOICE_MAP[targetLangCode]) {
-        targetLangCode = 'en'; 
-    }
-    
-    let spokenLangCode = 'en'; 
-
-    if (!req.body || req.header('Content-Type') !== 'audio/wav') {
-        return res.status(400).json({ error: "Invalid request: Expected raw audio/wav data with Content-Type: audio/wav." });
+// ---------------- UI PAGES + Root route ----------------
+// Only the UI pages are served, never the project directory: it also holds
+// data/ (API keys, usage, memories), logs/ (the journal) and the source.
+if (config.uiPage) {
+    for (const page of UI_PAGES) {
+        app.get(`/${page}`, (req, res) => {
+            res.sendFile(path.join(__dirname, page));
+        });
     }
 
-    const audioBuffer = req.body;
-    const tempFileName = `audio_${Date.now()}.wav`;
-    const uploadDir = path.join(__dirname, 'uploads');
-    const audioFilePath = path.join(uploadDir, tempFileName);
-    
-    try {
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir);
-        }
-
-        // 1. SAVE RAW AUDIO BUFFER TO TEMP FILE
-        await fs.promises.writeFile(audioFilePath, audioBuffer);
-
-        console.log(`Received raw audio (size: ${audioBuffer.length} bytes). Target response language: ${targetLangCode}. Processing...`);
-        
-        // 2. TRANSCRIBE WITH SONIOX 
-        const sonioxModel = "en_v2"; 
-        
-        const result = await sonioxClient.transcribeFileShort(
-            audioFilePath,
-            { model: sonioxModel }
-        );
-
-        // 3. EXTRACT TRANSCRIPT AND DETECTED LANGUAGE
-        let transcribedText = "";
-        
-        transcribedText = result.words.map(word => {
-            if (word.language && spokenLangCode === 'en') {
-                spokenLangCode = word.language; 
-            }
-            return word.text;
-        }).join("").replace(/(\s+)([.,?!;])/g, '$2').trim();
-
-        console.log(`Final Transcription (Spoken in ${spokenLangCode}): "${transcribedText}"`);
-        
-        // --- CLEANUP: Delete temporary file ---
-        if (fs.existsSync(audioFilePath)) {
-            fs.unlinkSync(audioFilePath);
-        }
-
-        if (transcribedText.length === 0) {
-            return res.status(400).json({ 
-                error: "Could not transcribe audio. Text is empty.",
-                transcribedText: "",
-                assistantResponse: "I'm sorry, I couldn't understand what you said. Please try again."
-            });
-        }
-
-        // 4. CONSTRUCT PROMPT AND GET GEMINI RESPONSE
-        const ttsVoiceConfig = VOICE_MAP[targetLangCode]; 
-        
-        const systemInstruction = `You are a helpful and friendly virtual assistant.
-        The required output response language is: ${targetLangCode}.
-        Respond ONLY in the required output language (${targetLangCode}) to the user's question.`;
-
-        const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash", systemInstruction });
-        
-        let geminiResult;
-        for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-            try {
-                geminiResult = await model.generateContent(transcribedText);
-                break; 
-            } catch (error) {
-                if (attempt === MAX_RETRIES - 1) { throw error; }
-                await delay(Math.pow(2, attempt) * 1000);
-            }
-        }
-
-        let geminiTextResponse = geminiResult.response.text().trim();
-        if (geminiTextResponse.startsWith('```') && geminiTextResponse.endsWith('```')) {
-            geminiTextResponse = geminiTextResponse.split('\n').slice(1, -1).join('\n').trim();
-        }
+    app.get("/", (req, res) => {
+        res.sendFile(path.join(__dirname, config.uiPage));
+    });
+} else {
+    app.get("/", (req, res) => {
+        res.send("✅ Anshu backend running.");
+    });
+}
 
-        if (!geminiTextResponse) {
-            return res.status(500).json({ error: "Gemini did not provide a response" });
-        }
-        
-        console.log(`Gemini Response (in ${targetLangCode}): "${geminiTextResponse}"`);
 
-        // 5. SYNTHESIZE SPEECH
-        const [ttsResponse] = await ttsClient.synthesizeSpeech({
-            input: { text: geminiTextResponse },
-            voice: ttsVoiceConfig,
-            audioConfig: { audioEncoding: 'MP3' },
-        });
-        
-        const audioBufferResponse = ttsResponse.audioContent;
-        const audioBase64 = audioBufferResponse.toString('base64');
+// ---------------- HEALTH CHECKS ----------------
+// /healthz and /readyz for the load balancer, in every preset and without API keys.
+app.use(createHealthRouter({ health, probeByDefault: (process.env.READYZ_PROBE || 'off').toLowerCase() === 'on' }));
+
+
+// ---------------- API ROUTES ----------------
+// One module per route under routes/, mounted only when enabled in the config.
+// Everything registered after the auth middleware needs an API key when API_AUTH=on.
+app.use(auth.middleware);
+
+const ROUTERS = {
+    'voices': () => createVoicesRouter(),
+    'sessions': () => createSessionsRouter(),
+    'personas': () => createPersonasRouter(deps),
+    'process-text': () => createProcessTextRouter(deps),
+    'process-raw-audio': () => createProcessRawAudioRouter(deps),
+    'transcribe-file': () => createTranscribeFileRouter({ ...deps, responseFormat: config.transcribeFileResponse }),
+    'speak': () => createSpeakRouter(deps),
+    'translate': () => createTranslateRouter(deps),
+    'knowledge': () => createKnowledgeRouter(deps),
+    'memory': () => createMemoryRouter(deps),
+    'tts-cache': () => createTTSCacheRouter(deps),
+    'metrics': () => createMetricsRouter(),
+};
 
+for (const routeName of config.routes) {
+    if (ROUTERS[routeName]) app.use(ROUTERS[routeName]());
+}
 
-        // Send structured JSON response back to the client (Unity/Web)
-        res.json({
-            transcribedText: transcribedText,
-            assistantResponse: geminiTextResponse,
-            audioBase64: audioBase64 // MP3 data
-        });
 
-    } catch (err) {
-        const errorMessage = err.message || "Failed to process audio file";
-        console.error("API error in /process-raw-audio:", errorMessage);
-        
-        res.status(500).json({
-            error: "Failed to process audio file",
-            details: errorMessage
-        });
-    }
+// ---------------- Start server ----------------
+const server = app.listen(PORT, () => {
+    console.log(`✅ Anshu backend running on http://localhost:${PORT}`);
+    console.log(`🧩 Preset: ${config.preset}, routes: ${config.routes.join(', ')}, UI: ${config.uiPage || 'none'}`);
 });
 
-
-// ------ ---------- Start server ----------------
-app.listen(PORT, () => {
-    console.log(`✅ Anshu backend running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// ---------------- WEBSOCKET VOICE STREAM ----------------
+// Full-duplex alternative to /process-raw-audio; see lib/voiceStream.js for the protocol.
+if (config.routes.includes('voice-stream')) {
+    attachVoiceStream(server, deps);
+}
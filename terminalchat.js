@@ -1,17 +1,35 @@
 import readline from "readline";
-import { GoogleGenAI } from "@google/genai";
 import dotenv from "dotenv";
-import say from "say";
+import { createLLMProvider, generateReply } from "./lib/llm/index.js";
+import path from "path";
+import fs from "fs";
+import player from "play-sound";
+import { fileURLToPath } from "url";
+import { createTTSProvider } from "./lib/tts/index.js";
 
 dotenv.config();
 
-// ----------------- Gemini Client -----------------
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  console.error("❌ Gemini API key missing.");
-  process.exit(1);
+// Fix for __dirname in ES Modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ----------------- LLM Client -----------------
+// Chosen by LLM_PROVIDER (gemini | openai | stub), see lib/llm/index.js
+const llm = createLLMProvider();
+
+// ----------------- TTS (engines tried in TTS_ENGINES order, see lib/tts/index.js) -----------------
+const tts = createTTSProvider();
+const MALE_VOICE = { languageCode: "en-US", name: "en-US-Neural2-J", ssmlGender: "MALE" };
+const audioPlayer = player({});
+
+async function speak(text) {
+  const speech = await tts.synthesize({ text, voice: MALE_VOICE });
+  const outputPath = path.join(__dirname, speech.mimeType === "audio/wav" ? "gemini_response.wav" : "gemini_response.mp3");
+  fs.writeFileSync(outputPath, speech.audioContent);
+  audioPlayer.play(outputPath, (err) => {
+    if (err) console.error("Audio play error:", err);
+  });
 }
-const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
 
 // ----------------- Readline setup -----------------
 const rl = readline.createInterface({
@@ -37,25 +55,18 @@ function ask() {
 
     try {
       // Generate Gemini response (send full conversation for context)
-      const resp = await ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: conversationHistory.map(m => m.content),
-      });
-
-      if (!resp || !resp.text) throw new Error("No response from Gemini");
-
-      const geminiText = resp.text;
+      const geminiText = await generateReply(llm, { messages: conversationHistory });
+      if (!geminiText) throw new Error("No response from Gemini");
 
       // Add Gemini response to conversation
       conversationHistory.push({ role: "assistant", content: geminiText });
 
-      // Speak Gemini response locally (male voice)
-      // Windows: "David", macOS: "Alex"
-      say.speak(geminiText, "David", 1.0);
-
       // Print Gemini text
       console.log("Gemini:", geminiText);
 
+      // Speak Gemini response (male voice)
+      await speak(geminiText);
+
     } catch (err) {
       console.error("Error:", err.message);
     }
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pcmToWav } from '../lib/audio.js';
+import { AudioInputError, sniffAudioFormat, uploadedAudioSeconds, prepareAudioForSTT } from '../lib/audioInput.js';
+
+// `header` padded with zeros to a length the sniffer looks at
+const withHeader = (header) => Buffer.concat([Buffer.from(header, 'latin1'), Buffer.alloc(32)]);
+
+// One second of 16 kHz mono silence
+const wav = () => pcmToWav(Buffer.alloc(32000), 16000);
+
+test('formats are recognized by their magic bytes', () => {
+    assert.equal(sniffAudioFormat(wav()), 'wav');
+    assert.equal(sniffAudioFormat(Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.alloc(32)])), 'webm');
+    assert.equal(sniffAudioFormat(withHeader('OggS')), 'ogg');
+    assert.equal(sniffAudioFormat(withHeader('fLaC')), 'flac');
+    assert.equal(sniffAudioFormat(withHeader('\0\0\0\x20ftypM4A ')), 'm4a');
+    assert.equal(sniffAudioFormat(withHeader('ID3')), 'mp3');
+    assert.equal(sniffAudioFormat(Buffer.concat([Buffer.from([0xFF, 0xFB]), Buffer.alloc(32)])), 'mp3');
+});
+
+test('unknown or too short data is not recognized', () => {
+    assert.equal(sniffAudioFormat(null), null);
+    assert.equal(sniffAudioFormat(Buffer.from('RIFF')), null);
+    assert.equal(sniffAudioFormat(withHeader('{"text": "hello"}')), null);
+    assert.equal(sniffAudioFormat(withHeader('RIFF\0\0\0\0AVI ')), null);
+});
+
+test('metered seconds are the later of the measured duration and the last word', () => {
+    assert.equal(uploadedAudioSeconds({ durationMs: 2400 }, null), 2.4);
+    assert.equal(uploadedAudioSeconds({ durationMs: 2400 }, { words: [{ startMs: 500, durationMs: 300 }] }), 2.4);
+    assert.equal(uploadedAudioSeconds({ durationMs: 10 }, { words: [{ startMs: 0 }, { startMs: 8000, durationMs: 500 }] }), 8.5);
+    assert.equal(uploadedAudioSeconds({ durationMs: null }, { words: [] }), 0);
+});
+
+test('metered seconds are never negative or non-finite', () => {
+    assert.equal(uploadedAudioSeconds({ durationMs: NaN }, null), 0);
+    assert.equal(uploadedAudioSeconds({ durationMs: -1000 }, null), 0);
+    assert.equal(uploadedAudioSeconds({ durationMs: Infinity }, { words: [{ startMs: Infinity }] }), 0);
+    assert.equal(uploadedAudioSeconds({ durationMs: 1000 }, { words: [{ startMs: -5000, durationMs: 0 }] }), 1);
+});
+
+test('a WAV the provider takes is passed through with its duration', async () => {
+    const audio = wav();
+    const prepared = await prepareAudioForSTT(audio, { inputFormats: ['wav'] });
+    assert.equal(prepared.audio, audio);
+    assert.equal(prepared.format, 'wav');
+    assert.equal(prepared.durationMs, 1000);
+});
+
+test('empty and unrecognized uploads are refused', async () => {
+    await assert.rejects(prepareAudioForSTT(Buffer.alloc(0), {}), { code: 'EMPTY_AUDIO', status: 400 });
+    await assert.rejects(prepareAudioForSTT(withHeader('not audio at all'), {}), { code: 'UNSUPPORTED_AUDIO_FORMAT', status: 415 });
+});
+
+test('WAV headers claiming an unsupported sample rate or channel count are refused', async () => {
+    const fastRate = wav();
+    fastRate.writeUInt32LE(4000000000, 24);
+    await assert.rejects(prepareAudioForSTT(fastRate, { inputFormats: ['wav'] }), (err) => {
+        assert.ok(err instanceof AudioInputError);
+        assert.equal(err.code, 'UNSUPPORTED_AUDIO_FORMAT');
+        assert.equal(err.status, 415);
+        return true;
+    });
+
+    const channels = wav();
+    channels.writeUInt16LE(6, 22);
+    await assert.rejects(prepareAudioForSTT(channels, { inputFormats: ['wav'] }), { code: 'UNSUPPORTED_AUDIO_FORMAT' });
+});
+
+test('FLAC headers claiming an unsupported sample rate are refused', async () => {
+    // STREAMINFO with a 20-bit rate of 655350 Hz, mono
+    const flac = Buffer.alloc(42);
+    flac.write('fLaC', 0, 'latin1');
+    flac[18] = 0x9F;
+    flac[19] = 0xFF;
+    flac[20] = 0x60;
+    await assert.rejects(prepareAudioForSTT(flac, { inputFormats: ['flac'] }), { code: 'UNSUPPORTED_AUDIO_FORMAT', status: 415 });
+});
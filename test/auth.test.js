@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAuth } from '../lib/auth.js';
+import { meterUsage } from '../lib/usage.js';
+
+// A server with API_AUTH=on and one key with `limits`, in a temp directory
+const setup = (limits = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+    const auth = createAuth({
+        API_AUTH: 'on',
+        API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+        API_USAGE_FILE: path.join(dir, 'api-usage.json'),
+    });
+    // After the usage flush auth registers for 'exit', which would recreate the directory
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    const { apiKey } = auth.registry.issue({ name: 'test', limits });
+    return { auth, apiKey };
+};
+
+// Runs one request through the middleware; `work` runs as the route would
+const request = (auth, { apiKey, path: requestPath = '/process-text', work } = {}) => {
+    const headers = {};
+    const res = {
+        statusCode: 200,
+        body: null,
+        set(name, value) {
+            if (typeof name === 'object') Object.assign(headers, name);
+            else headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+    };
+    const req = { path: requestPath, url: requestPath, headers: apiKey ? { 'x-api-key': apiKey } : {} };
+    let passed = false;
+    auth.middleware(req, res, () => {
+        passed = true;
+        work?.();
+    });
+    return { passed, status: res.statusCode, body: res.body, headers };
+};
+
+test('requests without a valid key are refused with 401', () => {
+    const { auth } = setup();
+
+    const missing = request(auth);
+    assert.equal(missing.passed, false);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'API_KEY_MISSING');
+    assert.equal(missing.headers['WWW-Authenticate'], 'Bearer');
+
+    const invalid = request(auth, { apiKey: 'ak_not-a-key' });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.code, 'API_KEY_INVALID');
+});
+
+test('public paths need no key', () => {
+    const { auth } = setup();
+    assert.equal(request(auth, { path: '/voices' }).passed, true);
+});
+
+test('Bearer tokens are accepted like X-API-Key', () => {
+    const { auth, apiKey } = setup();
+    const res = { set() { return this; }, status() { return this; }, json() { return this; } };
+    let passed = false;
+    auth.middleware({ path: '/process-text', url: '/process-text', headers: { authorization: `Bearer ${apiKey}` } }, res, () => { passed = true; });
+    assert.equal(passed, true);
+});
+
+test('the per-minute window refuses with Retry-After and reopens after a minute', (t) => {
+    let now = Date.UTC(2026, 0, 1, 12, 0, 0);
+    t.mock.method(Date, 'now', () => now);
+    const { auth, apiKey } = setup({ requestsPerMinute: 2 });
+
+    const first = request(auth, { apiKey });
+    assert.equal(first.passed, true);
+    assert.equal(first.headers['X-RateLimit-Limit'], '2');
+    assert.equal(first.headers['X-RateLimit-Remaining'], '1');
+    assert.equal(request(auth, { apiKey }).headers['X-RateLimit-Remaining'], '0');
+
+    now += 20 * 1000;
+    const limited = request(auth, { apiKey });
+    assert.equal(limited.passed, false);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.equal(limited.headers['Retry-After'], '40');
+    assert.equal(limited.body.retryAfterSeconds, 40);
+
+    now += 40 * 1000;
+    assert.equal(request(auth, { apiKey }).passed, true);
+});
+
+test('a limit of 0 means unlimited', () => {
+    const { auth, apiKey } = setup({ requestsPerMinute: 0 });
+    for (let i = 0; i < 50; i++) {
+        assert.equal(request(auth, { apiKey }).passed, true);
+    }
+});
+
+test('the daily request quota refuses until UTC midnight', () => {
+    const { auth, apiKey } = setup({ requestsPerDay: 1 });
+    assert.equal(request(auth, { apiKey }).passed, true);
+
+    const refused = request(auth, { apiKey });
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.code, 'DAILY_QUOTA_EXCEEDED');
+    assert.equal(refused.body.quota, 'requestsPerDay');
+    const retryAfter = Number(refused.headers['Retry-After']);
+    assert.ok(retryAfter > 0 && retryAfter <= 24 * 60 * 60);
+});
+
+test('metered audio counts against the daily quota from the next request on', () => {
+    const { auth, apiKey } = setup({ audioSecondsPerDay: 5 });
+
+    // The request that crosses the quota completes
+    const crossing = request(auth, { apiKey, work: () => meterUsage({ audioSeconds: 6 }) });
+    assert.equal(crossing.passed, true);
+
+    const refused = request(auth, { apiKey });
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.quota, 'audioSecondsPerDay');
+});
+
+test('non-finite or negative amounts are not metered', () => {
+    const { auth, apiKey } = setup({ audioSecondsPerDay: 5 });
+    request(auth, { apiKey, work: () => meterUsage({ audioSeconds: NaN }) });
+    request(auth, { apiKey, work: () => meterUsage({ audioSeconds: -100 }) });
+    request(auth, { apiKey, work: () => meterUsage({ audioSeconds: Infinity }) });
+    request(auth, { apiKey, work: () => meterUsage({ audioSeconds: 4 }) });
+    assert.equal(request(auth, { apiKey }).passed, true);
+});
+
+test('revoked keys are refused', () => {
+    const { auth, apiKey } = setup();
+    const [key] = auth.registry.list();
+    auth.registry.revoke(key.id);
+    assert.equal(request(auth, { apiKey }).body.code, 'API_KEY_INVALID');
+});
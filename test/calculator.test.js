@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateExpression } from '../lib/tools/calculator.js';
+
+test('commas between function arguments separate the arguments', () => {
+    assert.equal(evaluateExpression('min(5,100)'), 5);
+    assert.equal(evaluateExpression('max(1,234)'), 234);
+    assert.equal(evaluateExpression('pow(2,100)'), 2 ** 100);
+    assert.equal(evaluateExpression('min(3, 4,5)'), 3);
+    assert.equal(evaluateExpression('max(1,000, 2)'), 2);
+});
+
+test('commas outside argument lists are thousands separators', () => {
+    assert.equal(evaluateExpression('1,000 + 5'), 1005);
+    assert.equal(evaluateExpression('12,345.67 * 2'), 24691.34);
+    assert.equal(evaluateExpression('(1,000,000) / 2'), 500000);
+    assert.equal(evaluateExpression('sqrt(16) + 2,500'), 2504);
+});
+
+test('a comma that is not a thousands separator is rejected', () => {
+    assert.throws(() => evaluateExpression('1,0000'));
+    assert.throws(() => evaluateExpression('1, 000'));
+});
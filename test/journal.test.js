@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { createJournal } from '../lib/journal.js';
+import { createTrace } from '../lib/trace.js';
+
+// A journal in a temp directory, with a clock the test moves forward
+const setup = (t, env = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const clock = { now: Date.UTC(2026, 0, 1, 12, 0, 0) };
+    t.mock.method(Date, 'now', () => clock.now);
+    const journal = createJournal({ JOURNAL: 'on', JOURNAL_FILE: path.join(dir, 'requests.jsonl'), ...env });
+    return { dir, clock, journal };
+};
+
+// Records one finished request, optionally with an uploaded audio file
+const record = (journal, requestId, { audio = null } = {}) => {
+    const trace = createTrace(requestId);
+    trace.interaction = { transcript: `said ${requestId}`, audio: { input: audio, reply: [] } };
+    journal.record(trace, { route: '/process-text', status: 200 });
+};
+
+const journalFiles = (dir) => fs.readdirSync(dir).filter(name => name.endsWith('.jsonl')).sort();
+
+const entries = (dir, name) => fs.readFileSync(path.join(dir, name), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+// Writes are queued in the background; waits until the entry of `requestId` is on disk
+const written = async (dir, requestId) => {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const names = fs.existsSync(dir) ? journalFiles(dir) : [];
+        if (names.some(name => entries(dir, name).some(entry => entry.requestId === requestId))) return;
+        await sleep(10);
+    }
+    assert.fail(`"${requestId}" never reached the journal`);
+};
+
+test('entries are appended as JSON lines to a private file', async (t) => {
+    const { dir, journal } = setup(t);
+    record(journal, 'one');
+    record(journal, 'two');
+    await written(dir, 'two');
+
+    assert.deepEqual(journalFiles(dir), ['requests.jsonl']);
+    const [first, second] = entries(dir, 'requests.jsonl');
+    assert.equal(first.requestId, 'one');
+    assert.equal(first.transcript, 'said one');
+    assert.equal(second.route, '/process-text');
+    assert.equal(fs.statSync(path.join(dir, 'requests.jsonl')).mode & 0o777, 0o600);
+});
+
+test('the journal rotates when the next entry would pass JOURNAL_MAX_MB', async (t) => {
+    const { dir, clock, journal } = setup(t, { JOURNAL_MAX_MB: '0.0001' });
+    for (const requestId of ['a', 'b', 'c']) {
+        record(journal, requestId);
+        await written(dir, requestId);
+        clock.now += 1000;
+    }
+
+    // Each entry is larger than the limit (105 bytes), so every write after the first rotates
+    assert.deepEqual(journalFiles(dir), ['requests.20260101T120000000Z.jsonl', 'requests.20260101T120001000Z.jsonl', 'requests.jsonl']);
+    assert.equal(entries(dir, 'requests.20260101T120000000Z.jsonl')[0].requestId, 'a');
+    assert.equal(entries(dir, 'requests.jsonl')[0].requestId, 'c');
+});
+
+test('the journal rotates once it is JOURNAL_ROTATE_HOURS old', async (t) => {
+    const { dir, clock, journal } = setup(t, { JOURNAL_ROTATE_HOURS: '1' });
+    record(journal, 'morning');
+    await written(dir, 'morning');
+
+    clock.now += 59 * 60 * 1000;
+    record(journal, 'still-morning');
+    await written(dir, 'still-morning');
+    assert.deepEqual(journalFiles(dir), ['requests.jsonl']);
+
+    clock.now += 60 * 1000;
+    record(journal, 'noon');
+    await written(dir, 'noon');
+    assert.deepEqual(journalFiles(dir), ['requests.20260101T120000000Z.jsonl', 'requests.jsonl']);
+    assert.deepEqual(entries(dir, 'requests.jsonl').map(entry => entry.requestId), ['noon']);
+});
+
+test('only JOURNAL_KEEP_FILES rotated files are kept, with their audio', async (t) => {
+    const { dir, clock, journal } = setup(t, { JOURNAL_MAX_MB: '0.0001', JOURNAL_KEEP_FILES: '1', JOURNAL_AUDIO: 'on' });
+    const audio = { content: Buffer.from('RIFF'), extension: 'wav' };
+
+    record(journal, 'old', { audio });
+    await written(dir, 'old');
+    const [oldAudio] = fs.readdirSync(path.join(dir, 'audio'));
+    assert.equal(entries(dir, 'requests.jsonl')[0].audio.input, path.join('audio', oldAudio));
+
+    for (const requestId of ['kept', 'live']) {
+        clock.now += 1000;
+        record(journal, requestId, { audio });
+        await written(dir, requestId);
+    }
+    // The write of "live" rotated "kept" and deleted the file holding "old"
+    assert.deepEqual(journalFiles(dir), ['requests.20260101T120001000Z.jsonl', 'requests.jsonl']);
+    assert.equal(entries(dir, 'requests.20260101T120001000Z.jsonl')[0].requestId, 'kept');
+    assert.equal(fs.readdirSync(path.join(dir, 'audio')).includes(oldAudio), false);
+    assert.equal(fs.readdirSync(path.join(dir, 'audio')).length, 2);
+});
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { tokenize, createBm25Index } from '../lib/knowledge/bm25.js';
+import { createKnowledgeBase, KnowledgeError } from '../lib/knowledge/index.js';
+import { createKnowledgeRouter } from '../routes/knowledge.js';
+
+// A knowledge base without embeddings in a temp directory
+const setup = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    return { dir, knowledge: createKnowledgeBase({ KNOWLEDGE_DIR: dir, KNOWLEDGE_EMBEDDINGS: 'off' }) };
+};
+
+test('tokenize keeps letters and digits of any script and drops stopwords', () => {
+    assert.deepEqual(tokenize('Tell me about the Project, v2!'), ['project', 'v2']);
+    assert.deepEqual(tokenize('नमस्ते दुनिया'), ['नमस्ते', 'दुनिया']);
+    assert.deepEqual(tokenize('ＡＢＣ'), ['abc']);
+    assert.deepEqual(tokenize('the of and'), []);
+});
+
+test('BM25 ranks rarer and more frequent matches first', () => {
+    const index = createBm25Index([
+        { id: 'solar', text: 'Solar panels turn sunlight into electricity. Solar power is renewable.' },
+        { id: 'wind', text: 'Wind turbines turn wind into electricity.' },
+        { id: 'coal', text: 'Coal plants burn coal for electricity.' },
+    ]);
+
+    assert.deepEqual(index.search('solar', 5).map(result => result.id), ['solar']);
+    assert.equal(index.search('wind electricity', 5)[0].id, 'wind');
+    // "electricity" is in every chunk and worth less than "coal"
+    const [best, ...rest] = index.search('coal electricity', 5);
+    assert.equal(best.id, 'coal');
+    assert.ok(rest.every(result => result.score < best.score));
+});
+
+test('BM25 returns nothing without a shared word and respects the limit', () => {
+    const index = createBm25Index([
+        { id: 'a', text: 'apples and pears' },
+        { id: 'b', text: 'apples and plums' },
+        { id: 'c', text: 'apples and figs' },
+    ]);
+    assert.deepEqual(index.search('bananas', 5), []);
+    assert.deepEqual(index.search('what is the', 5), []);
+    assert.equal(index.search('apples', 2).length, 2);
+    assert.deepEqual(createBm25Index([]).search('apples', 5), []);
+});
+
+test('added documents are searchable with BM25 and re-index from their text', async (t) => {
+    const { knowledge } = setup(t);
+    await knowledge.add({ content: Buffer.from('The lighthouse keeper lights the lamp every evening.'), id: 'lighthouse', format: 'text' });
+
+    const { method, passages } = await knowledge.search('lighthouse lamp');
+    assert.equal(method, 'bm25');
+    assert.equal(passages[0].documentId, 'lighthouse');
+
+    const [document] = await knowledge.reindex('lighthouse');
+    assert.equal(document.id, 'lighthouse');
+    assert.equal(document.embedded, false);
+});
+
+test('re-indexing an unknown document is a KnowledgeError 404', async (t) => {
+    const { knowledge } = setup(t);
+    await assert.rejects(knowledge.reindex('missing'), (err) => {
+        assert.ok(err instanceof KnowledgeError);
+        assert.equal(err.status, 404);
+        return true;
+    });
+});
+
+test('a failed re-index rejects without blocking later changes', async (t) => {
+    const { dir, knowledge } = setup(t);
+    await knowledge.add({ content: Buffer.from('Tides follow the moon.'), id: 'tides', format: 'text' });
+    fs.rmSync(path.join(dir, 'documents', 'tides.txt'));
+
+    await assert.rejects(knowledge.reindex('tides'), { code: 'ENOENT' });
+    await assert.rejects(knowledge.reindex(), { code: 'ENOENT' });
+
+    // The queue of changes carries on after the failure
+    await knowledge.add({ content: Buffer.from('Rivers flow to the sea.'), id: 'rivers', format: 'text' });
+    assert.deepEqual(knowledge.list().map(document => document.id).sort(), ['rivers', 'tides']);
+});
+
+test('the re-index routes answer a failure with a JSON 500', async (t) => {
+    const { dir, knowledge } = setup(t);
+    await knowledge.add({ content: Buffer.from('Tides follow the moon.'), id: 'tides', format: 'text' });
+    fs.rmSync(path.join(dir, 'documents', 'tides.txt'));
+
+    const app = express();
+    app.use(createKnowledgeRouter({ knowledge }));
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const one = await fetch(`${base}/knowledge/documents/tides/reindex`, { method: 'POST' });
+    assert.equal(one.status, 500);
+    assert.equal((await one.json()).error, 'Failed to re-index the document');
+
+    const all = await fetch(`${base}/knowledge/reindex`, { method: 'POST' });
+    assert.equal(all.status, 500);
+    assert.equal((await all.json()).error, 'Failed to re-index the knowledge base');
+
+    const unknown = await fetch(`${base}/knowledge/documents/missing/reindex`, { method: 'POST' });
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).code, 'DOCUMENT_NOT_FOUND');
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { wantsMultipart, sendMultipartReply } from '../lib/multipart.js';
+
+const fakeRequest = ({ query = {}, body, accept } = {}) => ({ query, body, get: (name) => (name === 'Accept' ? accept : undefined) });
+
+// Collects what sendMultipartReply sends
+const fakeResponse = () => ({
+    headers: {},
+    body: null,
+    set(name, value) {
+        this.headers[name] = value;
+        return this;
+    },
+    send(body) {
+        this.body = body;
+        return this;
+    },
+});
+
+// Splits a reply by reading each part's Content-Length, as a client would
+const readParts = (body, boundary) => {
+    const parts = [];
+    let offset = 0;
+    for (;;) {
+        const headerEnd = body.indexOf('\r\n\r\n', offset);
+        const head = body.subarray(offset, headerEnd === -1 ? body.length : headerEnd).toString('latin1');
+        if (head.startsWith(`--${boundary}--`)) return parts;
+        assert.ok(head.startsWith(`--${boundary}\r\n`), `expected a boundary at byte ${offset}`);
+        const headers = Object.fromEntries(head.split('\r\n').slice(1).map((line) => line.split(': ')));
+        const start = headerEnd + 4;
+        const length = Number(headers['Content-Length']);
+        parts.push({ headers, body: body.subarray(start, start + length) });
+        assert.equal(body.subarray(start + length, start + length + 2).toString('latin1'), '\r\n');
+        offset = start + length + 2;
+    }
+};
+
+test('multipart is opted into by query, JSON body or Accept header', () => {
+    assert.equal(wantsMultipart(fakeRequest({ query: { multipart: 'true' } })), true);
+    assert.equal(wantsMultipart(fakeRequest({ body: { multipart: true } })), true);
+    assert.equal(wantsMultipart(fakeRequest({ accept: 'multipart/mixed, application/json' })), true);
+    assert.equal(wantsMultipart(fakeRequest()), false);
+    assert.equal(wantsMultipart(fakeRequest({ query: { multipart: 'false' }, body: { multipart: 'true' } })), false);
+});
+
+test('the reply is JSON metadata then the raw audio, each sized by Content-Length', () => {
+    // Audio that contains CRLFs and something that looks like a boundary
+    const audio = Buffer.concat([Buffer.from('\r\n--anshu-\r\n\r\n'), Buffer.from([0, 1, 2, 255])]);
+    const res = fakeResponse();
+    sendMultipartReply(res, { text: 'Hällo', audioBase64: audio.toString('base64'), audioMimeType: 'audio/wav' }, { mimeType: 'audio/wav', audioContent: audio });
+
+    const boundary = res.headers['Content-Type'].match(/^multipart\/mixed; boundary=(anshu-[0-9a-f]{24})$/)?.[1];
+    assert.ok(boundary);
+
+    const [metadata, speech, ...rest] = readParts(res.body, boundary);
+    assert.equal(rest.length, 0);
+    assert.equal(metadata.headers['Content-Type'], 'application/json; charset=utf-8');
+    assert.deepEqual(JSON.parse(metadata.body.toString('utf8')), { text: 'Hällo', audioMimeType: 'audio/wav' });
+    assert.equal(speech.headers['Content-Type'], 'audio/wav');
+    assert.deepEqual(speech.body, audio);
+    assert.equal(res.body.subarray(-(boundary.length + 6)).toString('latin1'), `--${boundary}--\r\n`);
+});
+
+test('every reply gets a new boundary', () => {
+    const boundaries = new Set();
+    for (let i = 0; i < 3; i++) {
+        const res = fakeResponse();
+        sendMultipartReply(res, { text: 'hi' }, { mimeType: 'audio/mpeg', audioContent: Buffer.from([1]) });
+        boundaries.add(res.headers['Content-Type']);
+    }
+    assert.equal(boundaries.size, 3);
+});
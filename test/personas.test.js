@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BUILT_IN_PERSONA, PersonaError, createPersonaStore, renderTemplate, personaVoiceOptions } from '../lib/personas.js';
+import { VOICE_CATALOG } from '../lib/voices.js';
+
+// A store on a personas file in a temp directory
+const setup = (t, options = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'personas.json');
+    return { file, store: createPersonaStore({ file, ...options }) };
+};
+
+const guide = { name: 'Museum Guide', systemPrompt: 'You are {{personaName}}{{#scene}}, standing in {{scene}}{{/scene}}.' };
+
+const rejects = (fn, code) => assert.throws(fn, (err) => {
+    assert.ok(err instanceof PersonaError);
+    assert.equal(err.code, code);
+    return true;
+});
+
+test('templates fill variables and drop sections without a value', () => {
+    assert.equal(renderTemplate(guide.systemPrompt, { personaName: 'Mira', scene: 'the atrium' }), 'You are Mira, standing in the atrium.');
+    assert.equal(renderTemplate(guide.systemPrompt, { personaName: 'Mira' }), 'You are Mira.');
+});
+
+test('the built-in persona answers until the file has others', (t) => {
+    const { store } = setup(t);
+    assert.equal(store.defaultId, 'anshu');
+    assert.equal(store.resolve(undefined), BUILT_IN_PERSONA);
+    assert.deepEqual(store.list().map(persona => persona.id), ['anshu']);
+    assert.equal(store.resolve('nobody'), null);
+});
+
+test('created personas get an id from their name and are saved', (t) => {
+    const { file, store } = setup(t);
+    const persona = store.create(guide);
+    assert.equal(persona.id, 'museum-guide');
+    assert.equal(store.resolve('museum-guide'), persona);
+
+    const reopened = createPersonaStore({ file, defaultId: 'museum-guide' });
+    assert.equal(reopened.defaultId, 'museum-guide');
+    assert.equal(reopened.resolve(undefined).name, 'Museum Guide');
+    rejects(() => reopened.create(guide), 'PERSONA_EXISTS');
+});
+
+test('ids must be strings of the allowed characters', (t) => {
+    const { store } = setup(t);
+    rejects(() => store.create({ ...guide, id: 42 }), 'INVALID_PERSONA');
+    rejects(() => store.create({ ...guide, id: 'Has Spaces' }), 'INVALID_PERSONA');
+    rejects(() => store.create({ ...guide, name: '!!!' }), 'INVALID_PERSONA');
+    assert.equal(store.create({ ...guide, id: '42' }).id, '42');
+});
+
+test('invalid prompts, voices and generation settings are refused', (t) => {
+    const { store } = setup(t);
+    rejects(() => store.create({ ...guide, systemPrompt: ' ' }), 'INVALID_PERSONA');
+    rejects(() => store.create({ ...guide, systemPrompt: 'Hi {{mood}}' }), 'INVALID_PERSONA');
+    rejects(() => store.create({ ...guide, voices: { 'xx-XX': {} } }), 'INVALID_PERSONA');
+    rejects(() => store.create({ ...guide, voices: { en: { voiceName: 'no-such-voice' } } }), 'INVALID_PERSONA');
+    rejects(() => store.create({ ...guide, generation: { temperature: 3 } }), 'INVALID_PERSONA');
+    rejects(() => store.create({ ...guide, generation: { maxOutputTokens: 1.5 } }), 'INVALID_PERSONA');
+    rejects(() => store.create({ ...guide, generation: { seed: 1 } }), 'INVALID_PERSONA');
+    assert.deepEqual(store.list().map(persona => persona.id), ['anshu']);
+});
+
+test('persona voices are defaults the request can override', (t) => {
+    const { store } = setup(t);
+    const [langCode, { voices: [voice] }] = Object.entries(VOICE_CATALOG)[0];
+    const persona = store.create({ ...guide, voices: { [langCode]: { voiceName: voice.name } } });
+
+    assert.equal(personaVoiceOptions(persona, langCode).voiceName, voice.name);
+    assert.equal(personaVoiceOptions(persona, langCode, { voiceName: 'requested' }).voiceName, 'requested');
+    assert.equal(personaVoiceOptions(persona, 'zz-ZZ').voiceName, undefined);
+});
+
+test('the built-in and the default persona cannot be deleted', (t) => {
+    const { file, store } = setup(t);
+    rejects(() => store.remove('anshu'), 'PERSONA_BUILT_IN');
+    rejects(() => store.remove('nobody'), 'PERSONA_NOT_FOUND');
+
+    store.create(guide);
+    const withDefault = createPersonaStore({ file, defaultId: 'museum-guide' });
+    rejects(() => withDefault.remove('museum-guide'), 'PERSONA_IS_DEFAULT');
+    store.remove('museum-guide');
+    assert.equal(store.resolve('museum-guide'), null);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createSession,
+    getSession,
+    resolveSession,
+    deleteSession,
+    addTurn,
+    buildMessages,
+    summarizeSession,
+} from '../lib/sessions.js';
+
+const MINUTE = 60 * 1000;
+
+const turn = (userText, assistantText) => ({ inputMode: 'text', userText, assistantText, targetLangCode: 'en-US' });
+
+test('a missing id starts a session and a known id resolves to it', () => {
+    const session = resolveSession(undefined);
+    assert.match(session.id, /^[0-9a-f-]{36}$/);
+    assert.deepEqual(session.turns, []);
+    assert.equal(resolveSession(session.id), session);
+    assert.equal(getSession(session.id), session);
+});
+
+test('unknown and deleted ids resolve to null', () => {
+    assert.equal(resolveSession('no-such-session'), null);
+
+    const session = createSession();
+    assert.equal(deleteSession(session.id), true);
+    assert.equal(resolveSession(session.id), null);
+    assert.equal(deleteSession(session.id), false);
+});
+
+test('sessions expire after 30 idle minutes, counted from the last turn', (t) => {
+    let now = Date.UTC(2026, 0, 1, 12, 0, 0);
+    t.mock.method(Date, 'now', () => now);
+    const session = createSession();
+    assert.equal(summarizeSession(session).expiresAt, new Date(now + 30 * MINUTE).toISOString());
+
+    now += 20 * MINUTE;
+    addTurn(session, turn('Hi', 'Hello!'));
+    now += 20 * MINUTE;
+    assert.equal(getSession(session.id), session);
+
+    now += 11 * MINUTE;
+    assert.equal(getSession(session.id), null);
+    // Expired sessions are dropped, not revived by a later clock
+    now -= 30 * MINUTE;
+    assert.equal(getSession(session.id), null);
+});
+
+test('turns become the message history and only the last 20 are kept', () => {
+    const session = createSession();
+    for (let i = 1; i <= 25; i++) addTurn(session, turn(`question ${i}`, `answer ${i}`));
+
+    assert.equal(session.turns.length, 20);
+    assert.equal(session.turns[0].userText, 'question 6');
+    assert.equal(session.turns[0].spokenLangCode, null);
+    assert.equal(summarizeSession(session).turnCount, 20);
+
+    const messages = buildMessages(session, 'question 26');
+    assert.equal(messages.length, 41);
+    assert.deepEqual(messages.slice(-3), [
+        { role: 'user', content: 'question 25' },
+        { role: 'assistant', content: 'answer 25' },
+        { role: 'user', content: 'question 26' },
+    ]);
+});
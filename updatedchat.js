@@ -1,23 +1,17 @@
 import readline from "readline";
-import { GoogleGenAI } from "@google/genai";
 import dotenv from "dotenv";
+import { createLLMProvider, generateReply } from "./lib/llm/index.js";
 import fs from "fs"; // Import the file system module
-import { TextToSpeechClient } from "@google-cloud/text-to-speech"; // Import Google Cloud TTS
+import { createTTSProvider } from "./lib/tts/index.js";
 
 dotenv.config();
 
-// ----------------- Gemini Client -----------------
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  console.error("❌ Gemini API key missing.");
-  process.exit(1);
-}
-const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
+// ----------------- LLM Client -----------------
+// Chosen by LLM_PROVIDER (gemini | openai | stub), see lib/llm/index.js
+const llm = createLLMProvider();
 
-// ----------------- Google Cloud TTS Client -----------------
-// The client will automatically use the credentials from the
-// GOOGLE_APPLICATION_CREDENTIALS environment variable
-const ttsClient = new TextToSpeechClient();
+// ----------------- TTS (engines tried in TTS_ENGINES order, see lib/tts/index.js) -----------------
+const tts = createTTSProvider();
 
 // ----------------- Readline setup -----------------
 const rl = readline.createInterface({
@@ -43,29 +37,22 @@ async function ask() {
 
     try {
       // Generate Gemini response (send full conversation for context)
-      const resp = await ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: conversationHistory.map(m => ({ text: m.content })),
-      });
-
-      if (!resp || !resp.text) throw new Error("No response from Gemini");
-
-      const geminiText = resp.text;
+      const geminiText = await generateReply(llm, { messages: conversationHistory });
+      if (!geminiText) throw new Error("No response from Gemini");
 
       // Add Gemini response to conversation
       conversationHistory.push({ role: "assistant", content: geminiText });
 
-      // ----------------- Google Cloud TTS Call -----------------
-      console.log("Generating audio with Google Cloud TTS...");
+      // ----------------- TTS Call -----------------
+      console.log(`Generating audio with ${tts.name}...`);
       
-      const [response] = await ttsClient.synthesizeSpeech({
-        input: { text: geminiText },
-        voice: { languageCode: "en-US", ssmlGender: "NEUTRAL" }, // Use a standard voice
-        audioConfig: { audioEncoding: "MP3" },
+      const response = await tts.synthesize({
+        text: geminiText,
+        voice: { languageCode: "en-US", ssmlGender: "NEUTRAL" }
       });
 
       // Define the filename and save the audio content to a file
-      const outputFilename = "gemini_response.mp3";
+      const outputFilename = `gemini_response.${response.mimeType === "audio/wav" ? "wav" : "mp3"}`;
       fs.writeFileSync(outputFilename, response.audioContent);
       console.log(`✅ Audio content saved to '${outputFilename}'`);
       
@@ -1,10 +1,10 @@
 import readline from "readline";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
+import { createLLMProvider, generateReply } from "./lib/llm/index.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { TextToSpeechClient } from "@google-cloud/text-to-speech";
+import { createTTSProvider } from "./lib/tts/index.js";
 import sound from "sound-play";
 
 dotenv.config();
@@ -13,16 +13,12 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ----------------- Gemini Client -----------------
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  console.error("❌ Gemini API key missing.");
-  process.exit(1);
-}
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+// ----------------- LLM Client -----------------
+// Chosen by LLM_PROVIDER (gemini | openai | stub), see lib/llm/index.js
+const llm = createLLMProvider();
 
-// ----------------- Google Cloud TTS Client -----------------
-const ttsClient = new TextToSpeechClient();
+// ----------------- TTS (engines tried in TTS_ENGINES order, see lib/tts/index.js) -----------------
+const tts = createTTSProvider();
 
 // ----------------- Readline setup -----------------
 const rl = readline.createInterface({
@@ -31,10 +27,7 @@ const rl = readline.createInterface({
 });
 
 // Keep conversation in memory
-const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-const chat = model.startChat({
-  history: [],
-});
+let conversationHistory = [];
 
 console.log("🎤 Gemini Terminal Chat (type 'exit' to quit)");
 
@@ -46,30 +39,30 @@ async function ask() {
       return;
     }
 
+    conversationHistory.push({ role: "user", content: userText });
+
     try {
-      // Generate response from Gemini using the chat session
-      const result = await chat.sendMessage(userText);
-      const geminiText = result.response.text();
+      // Generate response using the full conversation
+      const geminiText = await generateReply(llm, { messages: conversationHistory });
 
       if (!geminiText) throw new Error("No response from Gemini");
 
-      // ----------------- Google Cloud TTS Call with SSML -----------------
-      console.log("Generating audio with Google Cloud TTS...");
-      
-      const ssmlText = `<speak><prosody rate="medium">${geminiText}</prosody></speak>`;
+      conversationHistory.push({ role: "assistant", content: geminiText });
 
-      const [response] = await ttsClient.synthesizeSpeech({
-        input: { ssml: ssmlText },
+      // ----------------- TTS Call -----------------
+      console.log(`Generating audio with ${tts.name}...`);
+      
+      const response = await tts.synthesize({
+        text: geminiText,
         voice: {
           languageCode: "en-US",
           name: "en-US-Neural2-J", // Using a professional, clear voice
           ssmlGender: "MALE"
-        },
-        audioConfig: { audioEncoding: "MP3" },
+        }
       });
       
       const timestamp = new Date().getTime();
-      const outputFilename = `gemini_response_${timestamp}.mp3`;
+      const outputFilename = `gemini_response_${timestamp}.${response.mimeType === "audio/wav" ? "wav" : "mp3"}`;
       const outputPath = path.join(__dirname, outputFilename);
 
       fs.writeFileSync(outputPath, response.audioContent);